@@ -0,0 +1,8 @@
+// Limits on a single forward request
+const MAX_FORWARD_MESSAGES = 20;
+const MAX_FORWARD_TARGETS = 10;
+
+module.exports = {
+  MAX_FORWARD_MESSAGES,
+  MAX_FORWARD_TARGETS
+};
@@ -0,0 +1,7 @@
+// Emoji that can be used as message reactions
+// Keep in sync with frontend/src/utils/reactions.js
+const ALLOWED_REACTIONS = ['👍', '👎', '❤️', '😂', '😮', '😢', '🎉', '🙏', '🔥', '👀'];
+
+module.exports = {
+  ALLOWED_REACTIONS
+};
@@ -0,0 +1,35 @@
+// Text search configurations a conversation can index its messages with
+// (PostgreSQL's built-in ones; 'simple' skips stemming and stop words, for any language)
+// Keep in sync with frontend/src/utils/search.js
+const SEARCH_LANGUAGES = [
+  'simple',
+  'arabic',
+  'danish',
+  'dutch',
+  'english',
+  'finnish',
+  'french',
+  'german',
+  'greek',
+  'hungarian',
+  'indonesian',
+  'irish',
+  'italian',
+  'lithuanian',
+  'nepali',
+  'norwegian',
+  'portuguese',
+  'romanian',
+  'russian',
+  'spanish',
+  'swedish',
+  'tamil',
+  'turkish'
+];
+
+const DEFAULT_SEARCH_LANGUAGE = 'english';
+
+module.exports = {
+  SEARCH_LANGUAGES,
+  DEFAULT_SEARCH_LANGUAGE
+};
@@ -0,0 +1,268 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+jest.mock('../../models/message', () => ({
+  ...jest.requireActual('../../models/message'),
+  createMessage: jest.fn()
+}));
+jest.mock('../../services/linkPreviews', () => ({
+  queueLinkPreviews: jest.fn()
+}));
+
+const { query } = require('../../config/database');
+const { MAX_CLIENT_ID_LENGTH, createMessage } = require('../../models/message');
+const {
+  publishToConversation,
+  publishToUser,
+  removeUserFromConversation
+} = require('../../services/eventBus');
+const { setupSocketHandlers } = require('../socketController');
+
+// Records what the controller sends to which room
+const createFakeIo = () => {
+  const io = {
+    emitted: [],
+    left: [],
+    use: jest.fn(),
+    on: jest.fn((event, handler) => {
+      io.handlers[event] = handler;
+    }),
+    handlers: {},
+    to: (room) => ({
+      emit: (event, payload) => io.emitted.push({ room, event, payload })
+    }),
+    in: (room) => ({
+      socketsLeave: (target) => io.left.push({ room, target })
+    })
+  };
+  return io;
+};
+
+describe('event bus relay', () => {
+  const io = createFakeIo();
+
+  beforeAll(() => {
+    setupSocketHandlers(io);
+  });
+
+  beforeEach(() => {
+    io.emitted = [];
+    io.left = [];
+  });
+
+  it('sends conversation events to the conversation room', () => {
+    publishToConversation(12, 'message_updated', { id: 5 });
+
+    expect(io.emitted).toEqual([{ room: 'conversation_12', event: 'message_updated', payload: { id: 5 } }]);
+  });
+
+  it('sends user events to every client of that user', () => {
+    publishToUser(3, 'conversation_created', { id: 12 });
+
+    expect(io.emitted).toEqual([{ room: 'user_3', event: 'conversation_created', payload: { id: 12 } }]);
+  });
+
+  it("drops a user's clients from a conversation room", () => {
+    removeUserFromConversation(3, 12);
+
+    expect(io.left).toEqual([{ room: 'user_3', target: 'conversation_12' }]);
+    expect(io.emitted).toEqual([]);
+  });
+});
+
+describe('send_message', () => {
+  const io = createFakeIo();
+  let socket;
+
+  // A connected socket for user 1, with its event handlers collected
+  const connect = () => {
+    const handlers = {};
+    const connected = {
+      id: 'socket-1',
+      userId: 1,
+      username: 'alice',
+      join: jest.fn(),
+      emit: jest.fn(),
+      to: () => ({ emit: jest.fn() }),
+      on: (event, handler) => {
+        handlers[event] = handler;
+      },
+      handlers,
+      send: (data) => new Promise(resolve => handlers.send_message(data, resolve))
+    };
+    io.handlers.connection(connected);
+    return connected;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setupSocketHandlers(io);
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    io.emitted = [];
+    // Every participant check passes
+    query.mockResolvedValue({ rows: [{}], rowCount: 0 });
+    createMessage.mockImplementation(async (data) => ({
+      message: { id: 50, conversation_id: data.conversationId, content: data.content, client_id: data.clientId },
+      created: true
+    }));
+    socket = connect();
+  });
+
+  it.each([
+    ['a number', 12345],
+    ['an object', { id: 'abc' }],
+    ['a string that is too long', 'x'.repeat(MAX_CLIENT_ID_LENGTH + 1)]
+  ])('rejects a client ID that is %s before touching the database', async (description, clientId) => {
+    query.mockClear();
+
+    const ack = await socket.send({ conversationId: 3, content: 'hi', clientId });
+
+    expect(ack).toEqual({ success: false, error: 'Invalid client ID' });
+    expect(query).not.toHaveBeenCalled();
+    expect(createMessage).not.toHaveBeenCalled();
+  });
+
+  it.each(['image', 'file', 'system', 'poll'])('rejects a %s message, which needs its own route', async (messageType) => {
+    const ack = await socket.send({ conversationId: 3, content: 'photo.png', messageType });
+
+    expect(ack).toEqual({ success: false, error: 'Invalid message type' });
+    expect(createMessage).not.toHaveBeenCalled();
+  });
+
+  it('sends a text message with a client ID of the longest allowed length', async () => {
+    const clientId = 'c'.repeat(MAX_CLIENT_ID_LENGTH);
+
+    const ack = await socket.send({ conversationId: 3, content: 'hi', clientId });
+
+    expect(ack.success).toBe(true);
+    expect(createMessage).toHaveBeenCalledWith(expect.objectContaining({ clientId, messageType: 'text' }));
+    expect(io.emitted).toContainEqual(expect.objectContaining({ room: 'conversation_3', event: 'new_message' }));
+  });
+
+  it('acks a retried message with the stored copy without broadcasting it again', async () => {
+    createMessage.mockResolvedValueOnce({ message: { id: 50, client_id: 'retry-1' }, created: false });
+
+    const ack = await socket.send({ conversationId: 3, content: 'hi', clientId: 'retry-1' });
+
+    expect(ack).toEqual({ success: true, message: { id: 50, client_id: 'retry-1' } });
+    expect(io.emitted).toEqual([]);
+  });
+
+  it('refuses to quote a message from another conversation', async () => {
+    query.mockImplementation(async (sql) => (
+      /SELECT id, conversation_id FROM messages m/.test(sql)
+        ? { rows: [{ id: 7, conversation_id: 4 }] }
+        : { rows: [{}] }
+    ));
+
+    const ack = await socket.send({ conversationId: 3, content: 'hi', replyToId: 7 });
+
+    expect(ack).toEqual({ success: false, error: 'Quoted message not found in this conversation' });
+    expect(createMessage).not.toHaveBeenCalled();
+  });
+
+  it('clears the draft it was sent from and syncs that to your other devices', async () => {
+    query.mockImplementation(async (sql) => (
+      /DELETE FROM message_drafts/.test(sql) ? { rows: [], rowCount: 1 } : { rows: [{}] }
+    ));
+
+    // The draft is cleared after the ack, so wait for the whole handler
+    await socket.handlers.send_message({ conversationId: 3, content: 'hi' }, () => {});
+
+    expect(io.emitted).toContainEqual({ room: 'user_1', event: 'draft_updated', payload: { conversationId: 3, draft: null } });
+  });
+
+  it('leaves the draft alone for a thread reply', async () => {
+    query.mockImplementation(async (sql) => (
+      /SELECT id, conversation_id, thread_id FROM messages m/.test(sql)
+        ? { rows: [{ id: 10, conversation_id: 3, thread_id: null }] }
+        : { rows: [{}], rowCount: 1 }
+    ));
+
+    const ack = jest.fn();
+    await socket.handlers.send_message({ conversationId: 3, content: 'hi', threadId: 10 }, ack);
+
+    expect(ack).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(query.mock.calls.some(([sql]) => /DELETE FROM message_drafts/.test(sql))).toBe(false);
+    expect(io.emitted.map(({ event }) => event)).not.toContain('draft_updated');
+  });
+});
+
+describe('read and delivery receipts', () => {
+  const io = createFakeIo();
+  let socket;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setupSocketHandlers(io);
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    io.emitted = [];
+    socket = {
+      id: 'socket-2',
+      userId: 1,
+      username: 'alice',
+      handlers: {},
+      join: jest.fn(),
+      emit: jest.fn(),
+      on: (event, handler) => {
+        socket.handlers[event] = handler;
+      }
+    };
+    io.handlers.connection(socket);
+  });
+
+  it('moves the read pointer and sends a receipt to the conversation', async () => {
+    query.mockImplementation(async (sql) => {
+      if (/UPDATE conversation_participants/.test(sql)) {
+        return { rows: [{ last_read_message_id: 42, last_read_at: '2024-05-01T10:00:00Z' }] };
+      }
+      return { rows: [{ id: 42 }] };
+    });
+
+    await socket.handlers.mark_read({ conversationId: 3, messageId: 42 });
+
+    expect(io.emitted).toContainEqual({
+      room: 'conversation_3',
+      event: 'read_receipt',
+      payload: { conversationId: 3, userId: 1, username: 'alice', lastReadMessageId: 42, readAt: '2024-05-01T10:00:00Z' }
+    });
+  });
+
+  it('refuses read receipts from people outside the conversation', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    await socket.handlers.mark_read({ conversationId: 3, messageId: 42 });
+
+    expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Not a participant in this conversation' });
+    expect(io.emitted.filter(({ event }) => event === 'read_receipt')).toEqual([]);
+  });
+
+  it('sends a delivery receipt only when the pointer moved', async () => {
+    query.mockResolvedValueOnce({ rows: [{ last_delivered_message_id: 42 }] });
+    await socket.handlers.message_delivered({ conversationId: 3, messageId: 42 });
+
+    query.mockResolvedValueOnce({ rows: [] });
+    await socket.handlers.message_delivered({ conversationId: 3, messageId: 99 });
+
+    expect(io.emitted.filter(({ event }) => event === 'delivery_receipt')).toEqual([{
+      room: 'conversation_3',
+      event: 'delivery_receipt',
+      payload: { conversationId: 3, userId: 1, lastDeliveredMessageId: 42 }
+    }]);
+  });
+});
@@ -1,5 +1,15 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const {
+  MESSAGE_FORMATS,
+  MAX_CLIENT_ID_LENGTH,
+  findThreadParent,
+  findReplyTarget,
+  createMessage
+} = require('../models/message');
+const { markConversationRead, markConversationDelivered, clearDraft } = require('../models/conversation');
+const { eventBus, publishToUser } = require('../services/eventBus');
+const { queueLinkPreviews } = require('../services/linkPreviews');
 
 // Store active user connections
 const activeUsers = new Map(); // userId -> socketId
@@ -42,6 +52,19 @@ const setupSocketHandlers = (io) => {
     }
   });
 
+  // Relay events published by routes and background jobs
+  eventBus.on('conversation_event', ({ conversationId, event, payload }) => {
+    io.to(`conversation_${conversationId}`).emit(event, payload);
+  });
+
+  eventBus.on('user_event', ({ userId, event, payload }) => {
+    io.to(`user_${userId}`).emit(event, payload);
+  });
+
+  eventBus.on('room_leave', ({ userId, conversationId }) => {
+    io.in(`user_${userId}`).socketsLeave(`conversation_${conversationId}`);
+  });
+
   io.on('connection', (socket) => {
     console.log(`🔌 User ${socket.username} (${socket.userId}) connected`);
 
@@ -85,9 +108,49 @@ const setupSocketHandlers = (io) => {
     });
 
     // Handle new messages
-    socket.on('send_message', async (data) => {
+    // Clients pass an ack callback which receives the stored message (or an error)
+    socket.on('send_message', async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      const fail = (message) => {
+        respond({ success: false, error: message });
+        if (typeof ack !== 'function') {
+          socket.emit('error', { message });
+        }
+      };
+
       try {
-        const { conversationId, content, messageType = 'text' } = data;
+        const {
+          conversationId,
+          content,
+          messageType = 'text',
+          format = 'plain',
+          threadId = null,
+          replyToId = null,
+          clientId = null
+        } = data;
+
+        if (!content || !content.trim()) {
+          fail('Message content is required');
+          return;
+        }
+
+        // System messages are only created by the server, and files and images need
+        // an upload, so they're sent through the attachments route
+        if (messageType !== 'text') {
+          fail('Invalid message type');
+          return;
+        }
+
+        if (clientId !== null && (typeof clientId !== 'string' || clientId.length > MAX_CLIENT_ID_LENGTH)) {
+          fail('Invalid client ID');
+          return;
+        }
+
+        if (!MESSAGE_FORMATS.includes(format)) {
+          fail('Invalid message format');
+          return;
+        }
 
         // Validate user is participant
         const participantResult = await query(
@@ -96,33 +159,40 @@ const setupSocketHandlers = (io) => {
         );
 
         if (participantResult.rows.length === 0) {
-          socket.emit('error', { message: 'Not a participant in this conversation' });
+          fail('Not a participant in this conversation');
           return;
         }
 
-        // Save message to database
-        const messageResult = await query(
-          `INSERT INTO messages (conversation_id, sender_id, content, message_type) 
-           VALUES ($1, $2, $3, $4) 
-           RETURNING id, created_at`,
-          [conversationId, socket.userId, content, messageType]
-        );
+        // Replies can only be posted to top-level messages in the same conversation
+        if (threadId && !(await findThreadParent(threadId, conversationId))) {
+          fail('Invalid thread');
+          return;
+        }
 
-        const message = {
-          id: messageResult.rows[0].id,
+        // Quoted messages must come from the same conversation
+        if (replyToId && !(await findReplyTarget(replyToId, conversationId))) {
+          fail('Quoted message not found in this conversation');
+          return;
+        }
+
+        // Save message to database (a retry with the same clientId returns the stored message)
+        const { message, created } = await createMessage({
           conversationId,
           senderId: socket.userId,
-          senderName: socket.username,
           content,
           messageType,
-          createdAt: messageResult.rows[0].created_at
-        };
+          format,
+          threadId,
+          replyToId,
+          clientId
+        });
 
-        // Update conversation timestamp
-        await query(
-          'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-          [conversationId]
-        );
+        respond({ success: true, message });
+
+        // Retries were already broadcast the first time round
+        if (!created) {
+          return;
+        }
 
         // Broadcast message to all participants in the conversation
         io.to(`conversation_${conversationId}`).emit('new_message', message);
@@ -134,11 +204,75 @@ const setupSocketHandlers = (io) => {
           preview: content.substring(0, 50)
         });
 
+        // Previews arrive later as a message_updated event
+        queueLinkPreviews(message);
+
+        // The conversation's draft was this message (thread replies have their own composer)
+        if (!threadId && await clearDraft(conversationId, socket.userId)) {
+          publishToUser(socket.userId, 'draft_updated', { conversationId: parseInt(conversationId), draft: null });
+        }
+
         console.log(`💬 Message sent in conversation ${conversationId} by ${socket.username}`);
 
       } catch (error) {
         console.error('Error sending message:', error);
-        socket.emit('error', { message: 'Failed to send message' });
+        fail('Failed to send message');
+      }
+    });
+
+    // Handle delivery receipts from recipients' clients
+    socket.on('message_delivered', async (data) => {
+      try {
+        const { conversationId, messageId } = data;
+
+        const pointer = await markConversationDelivered(conversationId, socket.userId, messageId);
+        if (!pointer) {
+          return;
+        }
+
+        io.to(`conversation_${conversationId}`).emit('delivery_receipt', {
+          conversationId,
+          userId: socket.userId,
+          lastDeliveredMessageId: pointer.last_delivered_message_id
+        });
+
+      } catch (error) {
+        console.error('Error recording delivery:', error);
+      }
+    });
+
+    // Handle read receipts
+    socket.on('mark_read', async (data) => {
+      try {
+        const { conversationId, messageId } = data;
+
+        // Validate user is participant
+        const participantResult = await query(
+          'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+          [conversationId, socket.userId]
+        );
+
+        if (participantResult.rows.length === 0) {
+          socket.emit('error', { message: 'Not a participant in this conversation' });
+          return;
+        }
+
+        const pointer = await markConversationRead(conversationId, socket.userId, messageId);
+        if (!pointer) {
+          return;
+        }
+
+        io.to(`conversation_${conversationId}`).emit('read_receipt', {
+          conversationId,
+          userId: socket.userId,
+          username: socket.username,
+          lastReadMessageId: pointer.last_read_message_id,
+          readAt: pointer.last_read_at
+        });
+
+      } catch (error) {
+        console.error('Error marking conversation as read:', error);
+        socket.emit('error', { message: 'Failed to mark conversation as read' });
       }
     });
 
@@ -0,0 +1,71 @@
+const multer = require('multer');
+
+// Upload limits (overridable through the environment)
+const MAX_UPLOAD_SIZE = (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 10) * 1024 * 1024;
+
+const ALLOWED_MIME_TYPES = process.env.UPLOAD_ALLOWED_MIME_TYPES
+  ? process.env.UPLOAD_ALLOWED_MIME_TYPES.split(',').map(type => type.trim())
+  : [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ];
+
+// Files are kept in memory and handed to the storage adapter by the route
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Middleware to accept a single multipart file upload
+ * Turns multer errors into JSON responses matching the rest of the API
+ * @param {string} fieldName - Name of the multipart field holding the file
+ */
+const uploadSingleFile = (fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: `File is too large (max ${MAX_UPLOAD_SIZE / (1024 * 1024)}MB)`
+        });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Upload middleware error:', error);
+    res.status(500).json({ error: 'Failed to process upload' });
+  });
+};
+
+module.exports = {
+  uploadSingleFile,
+  MAX_UPLOAD_SIZE,
+  ALLOWED_MIME_TYPES
+};
@@ -0,0 +1,108 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+
+const { query } = require('../../config/database');
+const {
+  markConversationRead,
+  markConversationDelivered,
+  saveDraft,
+  clearDraft
+} = require('../conversation');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('markConversationRead', () => {
+  it('moves the read and delivered pointers to the given message, never backwards', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ id: 42 }] })
+      .mockResolvedValueOnce({ rows: [{ last_read_message_id: 42, last_read_at: '2024-05-01T10:00:00Z' }] });
+
+    const pointer = await markConversationRead(3, 1, 42);
+
+    expect(pointer).toEqual({ last_read_message_id: 42, last_read_at: '2024-05-01T10:00:00Z' });
+    expect(query.mock.calls[0][1]).toEqual([42, 3]);
+    const [sql, params] = query.mock.calls[1];
+    expect(sql).toMatch(/last_read_message_id = GREATEST\(COALESCE\(last_read_message_id, 0\), \$3\)/);
+    expect(sql).toMatch(/last_delivered_message_id = GREATEST\(COALESCE\(last_delivered_message_id, 0\), \$3\)/);
+    expect(params).toEqual([3, 1, 42]);
+  });
+
+  it('defaults to the latest message in the conversation', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ id: 50 }] })
+      .mockResolvedValueOnce({ rows: [{ last_read_message_id: 50 }] });
+
+    await markConversationRead(3, 1);
+
+    expect(query.mock.calls[0][0]).toMatch(/SELECT MAX\(id\) as id FROM messages WHERE conversation_id = \$1/);
+    expect(query.mock.calls[1][1]).toEqual([3, 1, 50]);
+  });
+
+  it('leaves the pointer alone for a message from another conversation', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(markConversationRead(3, 1, 99)).resolves.toBeNull();
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves the pointer alone in an empty conversation', async () => {
+    query.mockResolvedValueOnce({ rows: [{ id: null }] });
+
+    await expect(markConversationRead(3, 1)).resolves.toBeNull();
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('markConversationDelivered', () => {
+  it('only moves the delivered pointer forward, to a message in the conversation', async () => {
+    query.mockResolvedValueOnce({ rows: [{ last_delivered_message_id: 42 }] });
+
+    await expect(markConversationDelivered(3, 1, 42)).resolves.toEqual({ last_delivered_message_id: 42 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/GREATEST\(COALESCE\(cp\.last_delivered_message_id, 0\), m\.id\)/);
+    expect(sql).toMatch(/WHERE m\.id = \$3 AND m\.conversation_id = \$1/);
+    expect(params).toEqual([3, 1, 42]);
+  });
+
+  it('returns null when the message is not in the conversation', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(markConversationDelivered(3, 1, 99)).resolves.toBeNull();
+  });
+});
+
+describe('saveDraft', () => {
+  it('keeps one draft per user and conversation, replacing the last one', async () => {
+    query.mockResolvedValueOnce({ rows: [{ content: 'hi', format: 'plain' }] });
+
+    await expect(saveDraft(3, 1, 'hi', 'plain')).resolves.toEqual({ content: 'hi', format: 'plain' });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/ON CONFLICT \(conversation_id, user_id\) DO UPDATE/);
+    expect(params).toEqual([3, 1, 'hi', 'plain']);
+  });
+
+  it.each(['', '  \n '])('removes the draft instead of saving %j', async (content) => {
+    query.mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+    await expect(saveDraft(3, 1, content, 'plain')).resolves.toBeNull();
+
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(query.mock.calls[0][0]).toMatch(/DELETE FROM message_drafts/);
+  });
+});
+
+describe('clearDraft', () => {
+  it('says whether there was a draft to remove', async () => {
+    query.mockResolvedValueOnce({ rows: [], rowCount: 1 });
+    await expect(clearDraft(3, 1)).resolves.toBe(true);
+
+    query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+    await expect(clearDraft(3, 1)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+jest.mock('../../services/mentions', () => ({
+  recordMentions: jest.fn()
+}));
+
+const { query } = require('../../config/database');
+const { recordMentions } = require('../../services/mentions');
+const {
+  encodeMessageCursor,
+  decodeMessageCursor,
+  getMessagePage,
+  findReplyTarget,
+  createMessage
+} = require('../message');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('message cursors', () => {
+  it('round-trips the exact timestamp, microseconds included', () => {
+    const cursor = encodeMessageCursor({ id: 42, created_at: '2024-01-31 12:00:00.123456' });
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeMessageCursor(cursor)).toEqual({ createdAt: '2024-01-31 12:00:00.123456', id: 42 });
+  });
+
+  it('accepts timestamps without fractional seconds', () => {
+    expect(decodeMessageCursor(encode(['2024-01-31 12:00:00', 1]))).toEqual({ createdAt: '2024-01-31 12:00:00', id: 1 });
+  });
+
+  it.each([
+    ['garbage', 'not a cursor'],
+    ['an empty string', ''],
+    ['undefined', undefined],
+    ['JSON that is not a pair', encode({ id: 1 })],
+    ['an ISO timestamp', encode(['2024-01-31T12:00:00Z', 1])],
+    ['too many fractional digits', encode(['2024-01-31 12:00:00.1234567', 1])],
+    ['SQL in the timestamp', encode(["2024-01-31 12:00:00'; DROP TABLE messages; --", 1])],
+    ['a string id', encode(['2024-01-31 12:00:00', '1'])],
+    ['a fractional id', encode(['2024-01-31 12:00:00', 1.5])]
+  ])('rejects %s', (description, cursor) => {
+    expect(decodeMessageCursor(cursor)).toBeNull();
+  });
+});
+
+describe('getMessagePage', () => {
+  // Answer the keys query with `keys` and the message query with a row per requested id
+  const answerWith = (keys) => {
+    query.mockImplementation(async (sql, params) => {
+      if (/created_at::text as created_at/.test(sql)) {
+        return { rows: keys };
+      }
+      return { rows: params[0].map(id => ({ id })) };
+    });
+  };
+
+  it('returns older messages in chronological order with cursors for both ends', async () => {
+    // Newest first, as the DESC keys query returns them; one more than the limit
+    answerWith([
+      { id: 5, created_at: '2024-01-01 10:00:03' },
+      { id: 4, created_at: '2024-01-01 10:00:02' },
+      { id: 3, created_at: '2024-01-01 10:00:01' }
+    ]);
+
+    const page = await getMessagePage({ conversationId: 1, userId: 2, limit: 2 });
+
+    expect(page.messages.map(message => message.id)).toEqual([4, 5]);
+    expect(page.hasMore).toBe(true);
+    expect(decodeMessageCursor(page.beforeCursor)).toEqual({ createdAt: '2024-01-01 10:00:02', id: 4 });
+    expect(decodeMessageCursor(page.afterCursor)).toEqual({ createdAt: '2024-01-01 10:00:03', id: 5 });
+    expect(query.mock.calls[0][1]).toEqual([1, 2, 3]);
+  });
+
+  it('compares by (created_at, id) from a cursor so equal timestamps are not skipped', async () => {
+    answerWith([]);
+    const from = { createdAt: '2024-01-01 10:00:01.5', id: 9 };
+
+    await getMessagePage({ conversationId: 1, userId: 2, from, direction: 'after', inclusive: true, limit: 10 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/\(m\.created_at, m\.id\) >= \(\$3::timestamp, \$4\)/);
+    expect(sql).toMatch(/ORDER BY m\.created_at ASC, m\.id ASC/);
+    expect(params).toEqual([1, 2, '2024-01-01 10:00:01.5', 9, 11]);
+  });
+
+  it('returns an empty page without loading messages', async () => {
+    answerWith([]);
+
+    const page = await getMessagePage({ conversationId: 1, userId: 2, limit: 10 });
+
+    expect(page).toEqual({ messages: [], hasMore: false, beforeCursor: null, afterCursor: null });
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('findReplyTarget', () => {
+  it('finds a quotable message in the same conversation', async () => {
+    query.mockResolvedValue({ rows: [{ id: 7, conversation_id: 3 }] });
+
+    await expect(findReplyTarget(7, '3')).resolves.toEqual({ id: 7, conversation_id: 3 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/deleted_at IS NULL/);
+    expect(sql).toMatch(/m\.expires_at IS NULL OR m\.expires_at > CURRENT_TIMESTAMP/);
+    expect(params).toEqual([7]);
+  });
+
+  it('refuses to quote a message from another conversation', async () => {
+    query.mockResolvedValue({ rows: [{ id: 7, conversation_id: 4 }] });
+
+    await expect(findReplyTarget(7, 3)).resolves.toBeNull();
+  });
+
+  it('refuses to quote a deleted, expired or missing message', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    await expect(findReplyTarget(7, 3)).resolves.toBeNull();
+  });
+});
+
+describe('createMessage', () => {
+  // Answer the insert with `inserted` (no row when the client ID was already used) and
+  // message reads with the stored message
+  const answerWith = ({ inserted }) => {
+    query.mockImplementation(async (sql) => {
+      if (/INSERT INTO messages/.test(sql)) {
+        return { rows: inserted ? [{ id: 50 }] : [] };
+      }
+      if (/SELECT id FROM messages WHERE sender_id = \$1 AND client_id = \$2/.test(sql)) {
+        return { rows: [{ id: 50 }] };
+      }
+      if (/WHERE m\.id = \$1/.test(sql)) {
+        return { rows: [{ id: 50, client_id: 'abc', content: 'hi @bob' }] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it('stores a new message, bumps the conversation and records mentions', async () => {
+    answerWith({ inserted: true });
+    recordMentions.mockResolvedValue([2]);
+
+    const { message, created } = await createMessage({ conversationId: 3, senderId: 1, content: 'hi @bob', clientId: 'abc' });
+
+    expect(created).toBe(true);
+    expect(message).toMatchObject({ id: 50, mentioned_user_ids: [2] });
+    expect(query.mock.calls[0][0]).toMatch(/ON CONFLICT \(sender_id, client_id\) WHERE client_id IS NOT NULL DO NOTHING/);
+    expect(query.mock.calls.some(([sql]) => /UPDATE conversations SET updated_at/.test(sql))).toBe(true);
+  });
+
+  it('returns the stored message for a retry with the same client ID without touching anything else', async () => {
+    answerWith({ inserted: false });
+
+    const { message, created } = await createMessage({ conversationId: 3, senderId: 1, content: 'hi @bob', clientId: 'abc' });
+
+    expect(created).toBe(false);
+    expect(message.id).toBe(50);
+    expect(query.mock.calls.find(([sql]) => /client_id = \$2/.test(sql))[1]).toEqual([1, 'abc']);
+    expect(query.mock.calls.some(([sql]) => /UPDATE conversations/.test(sql))).toBe(false);
+    expect(recordMentions).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['system messages', { messageType: 'system' }],
+    ['forwarded copies', { forwardedFromMessageId: 9, forwardedFromUserId: 2 }]
+  ])('does not notify mentions in %s', async (description, fields) => {
+    answerWith({ inserted: true });
+
+    await createMessage({ conversationId: 3, senderId: 1, content: 'hi @bob', ...fields });
+
+    expect(recordMentions).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+
+const { query } = require('../../config/database');
+const { quickSearch } = require('../search');
+
+// Answer the conversations query and the people query with the given rows
+const answerWith = ({ conversations = [], users = [] }) => {
+  query.mockImplementation(async (sql) => ({
+    rows: /FROM conversations c\s+INNER JOIN conversation_participants cp/.test(sql) ? conversations : users
+  }));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('quickSearch', () => {
+  it('lists recent conversations without looking up people when nothing was typed', async () => {
+    answerWith({ conversations: [{ id: 3, name: 'General', score: 1 }] });
+
+    const results = await quickSearch(1, '  ', 5);
+
+    expect(results).toEqual([{ type: 'conversation', id: 3, name: 'General', score: 1 }]);
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(query.mock.calls[0][1]).toEqual([1, 5]);
+  });
+
+  it('merges people and conversations by score up to the limit', async () => {
+    answerWith({
+      conversations: [{ id: 3, name: 'alpha team', score: 5 }, { id: 4, name: 'alpha ops', score: 1 }],
+      users: [{ id: 7, username: 'alpha', score: 9 }, { id: 8, username: 'alphonse', score: 3 }]
+    });
+
+    const results = await quickSearch(1, 'Alp', 3);
+
+    expect(results.map(({ type, id }) => [type, id])).toEqual([
+      ['user', 7],
+      ['conversation', 3],
+      ['user', 8]
+    ]);
+  });
+
+  it('matches wildcards in what was typed literally', async () => {
+    answerWith({});
+
+    await quickSearch(1, '50%_OFF', 10);
+
+    const [, params] = query.mock.calls[0];
+    expect(params).toEqual([
+      1,
+      '50%_off',
+      '50\\%\\_off%',
+      ['% 50\\%\\_off%', '%\\_50\\%\\_off%', '%-50\\%\\_off%'],
+      '%50\\%\\_off%',
+      10
+    ]);
+  });
+});
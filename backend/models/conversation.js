@@ -0,0 +1,188 @@
+const { query } = require('../config/database');
+const { MESSAGE_SELECT, notExpired, withReactions } = require('./message');
+
+/**
+ * Move a participant's last-read pointer forward
+ * The pointer never moves backwards, so out-of-order receipts are harmless
+ * @param {number} conversationId - Conversation ID
+ * @param {number} userId - Participant's user ID
+ * @param {number} [messageId] - Last message read; defaults to the latest message in the conversation
+ * @returns {Promise<Object|null>} Updated pointer or null if the message isn't in the conversation
+ */
+const markConversationRead = async (conversationId, userId, messageId) => {
+  const targetResult = messageId
+    ? await query(
+      'SELECT id FROM messages WHERE id = $1 AND conversation_id = $2',
+      [messageId, conversationId]
+    )
+    : await query(
+      'SELECT MAX(id) as id FROM messages WHERE conversation_id = $1',
+      [conversationId]
+    );
+
+  const targetId = targetResult.rows[0]?.id;
+  if (!targetId) {
+    return null;
+  }
+
+  // Anything read has also been delivered
+  const result = await query(
+    `UPDATE conversation_participants
+     SET last_read_message_id = GREATEST(COALESCE(last_read_message_id, 0), $3),
+         last_delivered_message_id = GREATEST(COALESCE(last_delivered_message_id, 0), $3),
+         last_read_at = CURRENT_TIMESTAMP
+     WHERE conversation_id = $1 AND user_id = $2
+     RETURNING last_read_message_id, last_read_at`,
+    [conversationId, userId, targetId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Move a participant's last-delivered pointer forward
+ * @param {number} conversationId - Conversation ID
+ * @param {number} userId - Participant's user ID
+ * @param {number} messageId - Newest message received by the participant's client
+ * @returns {Promise<Object|null>} Updated pointer or null if the message isn't in the conversation
+ */
+const markConversationDelivered = async (conversationId, userId, messageId) => {
+  const result = await query(
+    `UPDATE conversation_participants cp
+     SET last_delivered_message_id = GREATEST(COALESCE(cp.last_delivered_message_id, 0), m.id)
+     FROM messages m
+     WHERE m.id = $3 AND m.conversation_id = $1
+     AND cp.conversation_id = $1 AND cp.user_id = $2
+     RETURNING cp.last_delivered_message_id`,
+    [conversationId, userId, messageId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Look up whether a user can pin messages in a conversation
+ * Admins can always pin; members only when the conversation allows it
+ * @param {number} conversationId - Conversation ID
+ * @param {number} userId - User ID
+ * @returns {Promise<{isParticipant: boolean, canPin: boolean}>}
+ */
+const getPinPermission = async (conversationId, userId) => {
+  const result = await query(
+    `SELECT cp.role, c.members_can_pin
+     FROM conversation_participants cp
+     INNER JOIN conversations c ON c.id = cp.conversation_id
+     WHERE cp.conversation_id = $1 AND cp.user_id = $2`,
+    [conversationId, userId]
+  );
+
+  const participant = result.rows[0];
+  if (!participant) {
+    return { isParticipant: false, canPin: false };
+  }
+
+  return {
+    isParticipant: true,
+    canPin: participant.role === 'admin' || participant.members_can_pin === true
+  };
+};
+
+/**
+ * Get a conversation's pinned messages, newest pin first
+ * @param {number} conversationId - Conversation ID
+ * @returns {Promise<Array>} Pins with the pinned message
+ */
+const getPins = async (conversationId) => {
+  const pinsResult = await query(`
+    SELECT p.message_id, p.pinned_at, p.pinned_by, u.username as pinned_by_name
+    FROM pinned_messages p
+    INNER JOIN messages m ON m.id = p.message_id
+    LEFT JOIN users u ON p.pinned_by = u.id
+    WHERE p.conversation_id = $1
+    AND ${notExpired()}
+    ORDER BY p.pinned_at DESC
+  `, [conversationId]);
+
+  if (pinsResult.rows.length === 0) {
+    return [];
+  }
+
+  const messagesResult = await query(
+    `${MESSAGE_SELECT} WHERE m.id = ANY($1)`,
+    [pinsResult.rows.map(pin => pin.message_id)]
+  );
+  const messages = await withReactions(messagesResult.rows);
+
+  return pinsResult.rows.map(pin => ({
+    ...pin,
+    message: messages.find(message => message.id === pin.message_id)
+  }));
+};
+
+/**
+ * Get a user's draft for a conversation
+ * @param {number} conversationId - Conversation ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Draft (content, format, updated_at) or null
+ */
+const getDraft = async (conversationId, userId) => {
+  const result = await query(
+    'SELECT content, format, updated_at FROM message_drafts WHERE conversation_id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Save a user's draft for a conversation; blank content removes it
+ * @param {number} conversationId - Conversation ID
+ * @param {number} userId - User ID
+ * @param {string} content - Composer text
+ * @param {string} format - Message format the draft will be sent with
+ * @returns {Promise<Object|null>} Saved draft, or null when it was removed
+ */
+const saveDraft = async (conversationId, userId, content, format) => {
+  if (!content || !content.trim()) {
+    await clearDraft(conversationId, userId);
+    return null;
+  }
+
+  const result = await query(
+    `INSERT INTO message_drafts (conversation_id, user_id, content, format)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (conversation_id, user_id) DO UPDATE SET
+       content = EXCLUDED.content,
+       format = EXCLUDED.format,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING content, format, updated_at`,
+    [conversationId, userId, content, format]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Remove a user's draft for a conversation
+ * @param {number} conversationId - Conversation ID
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} Whether there was a draft to remove
+ */
+const clearDraft = async (conversationId, userId) => {
+  const result = await query(
+    'DELETE FROM message_drafts WHERE conversation_id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  markConversationRead,
+  markConversationDelivered,
+  getPinPermission,
+  getPins,
+  getDraft,
+  saveDraft,
+  clearDraft
+};
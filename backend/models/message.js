@@ -0,0 +1,467 @@
+const { query } = require('../config/database');
+const { recordMentions } = require('../services/mentions');
+
+// Ways message content can be rendered; markdown is sanitized by the client when displayed
+const MESSAGE_FORMATS = ['plain', 'markdown'];
+
+/**
+ * SQL condition excluding disappearing messages whose time is up
+ * The expiry sweeper deletes them periodically; this hides them in between
+ * @param {string} [alias] - Alias of the messages table
+ * @returns {string} Condition on that alias
+ */
+const notExpired = (alias = 'm') => `(${alias}.expires_at IS NULL OR ${alias}.expires_at > CURRENT_TIMESTAMP)`;
+
+// Columns returned for every message sent to clients
+// Shared by the message routes so all endpoints return the same shape
+const MESSAGE_SELECT = `
+  SELECT
+    m.id,
+    m.conversation_id,
+    m.sender_id,
+    CASE WHEN m.deleted_at IS NULL THEN m.content END as content,
+    m.message_type,
+    m.format,
+    CASE WHEN m.deleted_at IS NULL THEN m.file_url END as file_url,
+    CASE WHEN m.deleted_at IS NULL THEN m.file_name END as file_name,
+    CASE WHEN m.deleted_at IS NULL THEN m.file_size END as file_size,
+    CASE WHEN m.deleted_at IS NULL THEN m.file_mime_type END as file_mime_type,
+    m.thread_id,
+    m.reply_to_id,
+    m.forwarded_from_message_id,
+    m.forwarded_from_user_id,
+    fu.username as forwarded_from_name,
+    m.client_id,
+    m.is_edited,
+    m.edited_at,
+    m.deleted_at,
+    m.expires_at,
+    m.created_at,
+    u.username as sender_name,
+    u.avatar_url as sender_avatar,
+    CASE
+      WHEN m.reply_to_id IS NULL THEN NULL
+      WHEN q.id IS NULL OR q.deleted_at IS NOT NULL OR NOT ${notExpired('q')}
+        THEN json_build_object('id', m.reply_to_id, 'deleted', true)
+      ELSE json_build_object(
+        'id', q.id,
+        'sender_id', q.sender_id,
+        'sender_name', qu.username,
+        'content', LEFT(q.content, 200),
+        'message_type', q.message_type,
+        'file_name', q.file_name,
+        'deleted', false
+      )
+    END as reply_to,
+    (
+      SELECT COUNT(*)::int
+      FROM messages r
+      WHERE r.thread_id = m.id AND r.deleted_at IS NULL AND ${notExpired('r')}
+    ) as thread_reply_count,
+    (
+      SELECT MAX(r.created_at)
+      FROM messages r
+      WHERE r.thread_id = m.id AND r.deleted_at IS NULL AND ${notExpired('r')}
+    ) as thread_last_reply_at,
+    ARRAY(
+      SELECT mm.user_id
+      FROM message_mentions mm
+      WHERE mm.message_id = m.id
+    ) as mentioned_user_ids,
+    COALESCE((
+      SELECT json_agg(json_build_object(
+        'url', lp.url,
+        'title', lp.title,
+        'description', lp.description,
+        'image_url', lp.image_url,
+        'site_name', lp.site_name
+      ) ORDER BY mlp.position)
+      FROM message_link_previews mlp
+      INNER JOIN link_previews lp ON lp.url = mlp.url
+      WHERE mlp.message_id = m.id AND NOT mlp.dismissed AND NOT lp.failed AND m.deleted_at IS NULL
+    ), '[]'::json) as link_previews,
+    CASE WHEN m.message_type = 'poll' AND m.deleted_at IS NULL THEN (
+      SELECT json_build_object(
+        'allow_multiple', p.allow_multiple,
+        'anonymous', p.anonymous,
+        'closes_at', p.closes_at,
+        'closed', COALESCE(p.closes_at <= CURRENT_TIMESTAMP, false),
+        'voter_count', (SELECT COUNT(DISTINCT pv.user_id)::int FROM poll_votes pv WHERE pv.message_id = p.message_id),
+        'options', (
+          SELECT json_agg(json_build_object(
+            'id', po.id,
+            'text', po.text,
+            'vote_count', (SELECT COUNT(*)::int FROM poll_votes pv WHERE pv.option_id = po.id),
+            -- Who voted is never sent for anonymous polls
+            'voter_ids', CASE WHEN p.anonymous THEN NULL ELSE ARRAY(
+              SELECT pv.user_id FROM poll_votes pv WHERE pv.option_id = po.id ORDER BY pv.created_at
+            ) END
+          ) ORDER BY po.position)
+          FROM poll_options po
+          WHERE po.message_id = p.message_id
+        )
+      )
+      FROM polls p
+      WHERE p.message_id = m.id
+    ) END as poll
+  FROM messages m
+  INNER JOIN users u ON m.sender_id = u.id
+  LEFT JOIN messages q ON q.id = m.reply_to_id
+  LEFT JOIN users qu ON q.sender_id = qu.id
+  LEFT JOIN users fu ON m.forwarded_from_user_id = fu.id
+`;
+
+/**
+ * SQL condition excluding messages a user has deleted for themselves
+ * @param {number} paramIndex - Position of the user ID among the query's parameters
+ * @returns {string} Condition on the `m` alias
+ */
+const notHiddenFor = (paramIndex) => `NOT EXISTS (
+    SELECT 1 FROM message_hidden mh WHERE mh.message_id = m.id AND mh.user_id = $${paramIndex}
+  )`;
+
+// Largest page of messages a client can ask for
+const MAX_PAGE_SIZE = 100;
+
+// Longest client-generated ID a message can be sent with
+const MAX_CLIENT_ID_LENGTH = 64;
+
+// Timestamps as Postgres prints them, e.g. 2024-01-31 12:00:00.123456
+const CURSOR_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+/**
+ * Encode a message's position in conversation order as an opaque pagination cursor
+ * @param {Object} key - Message id and exact created_at (as text; JS dates drop microseconds)
+ * @returns {string} Cursor
+ */
+const encodeMessageCursor = ({ id, created_at }) => (
+  Buffer.from(JSON.stringify([created_at, id])).toString('base64url')
+);
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from encodeMessageCursor
+ * @returns {Object|null} createdAt and id, or null if the cursor is malformed
+ */
+const decodeMessageCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || !CURSOR_TIMESTAMP.test(createdAt) || !Number.isInteger(id)) {
+      return null;
+    }
+    return { createdAt, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * SQL selecting the keys of a conversation's top-level messages visible to a user
+ * Messages are ordered by (created_at, id), which is unique even when timestamps collide
+ * @param {string} comparison - Comparison with the ($3, $4) position, or '' for none
+ * @param {string} direction - 'ASC' or 'DESC'
+ * @returns {string} SQL taking conversation ID, user ID, [created_at, id,] limit
+ */
+const messageKeysSql = (comparison, direction) => `
+  SELECT m.id, m.created_at::text as created_at
+  FROM messages m
+  WHERE m.conversation_id = $1
+  AND m.thread_id IS NULL
+  AND ${notHiddenFor(2)}
+  AND ${notExpired()}
+  ${comparison ? `AND (m.created_at, m.id) ${comparison} ($3::timestamp, $4)` : ''}
+  ORDER BY m.created_at ${direction}, m.id ${direction}
+  LIMIT $${comparison ? 5 : 3}
+`;
+
+/**
+ * Get a page of a conversation's top-level messages
+ * @param {Object} options - conversationId, userId (the viewer), limit, and optionally
+ *   from (a decoded cursor), direction ('before' for older, 'after' for newer) and
+ *   inclusive (whether the `from` message itself is included)
+ * @returns {Promise<Object>} messages in chronological order, hasMore in the paging
+ *   direction, and beforeCursor / afterCursor for the page's oldest and newest message
+ */
+const getMessagePage = async ({ conversationId, userId, from = null, direction = 'before', inclusive = false, limit = 50 }) => {
+  const older = direction === 'before';
+  const comparison = from ? `${older ? '<' : '>'}${inclusive ? '=' : ''}` : '';
+  const params = from
+    ? [conversationId, userId, from.createdAt, from.id, limit + 1]
+    : [conversationId, userId, limit + 1];
+
+  // Keys first, so cursors carry the exact timestamp, then the messages themselves
+  const keysResult = await query(messageKeysSql(comparison, older ? 'DESC' : 'ASC'), params);
+  const keys = keysResult.rows.slice(0, limit);
+  if (older) {
+    keys.reverse();
+  }
+
+  let messages = [];
+  if (keys.length > 0) {
+    const messagesResult = await query(`${MESSAGE_SELECT} WHERE m.id = ANY($1)`, [keys.map(key => key.id)]);
+    const byId = new Map(messagesResult.rows.map(message => [message.id, message]));
+    messages = keys.map(key => byId.get(key.id)).filter(Boolean);
+  }
+
+  return {
+    messages,
+    hasMore: keysResult.rows.length > limit,
+    beforeCursor: keys.length > 0 ? encodeMessageCursor(keys[0]) : null,
+    afterCursor: keys.length > 0 ? encodeMessageCursor(keys[keys.length - 1]) : null
+  };
+};
+
+/**
+ * Check whether a conversation has visible top-level messages past a position
+ * @param {Object} options - conversationId, userId, from (decoded cursor), direction, inclusive
+ * @returns {Promise<boolean>}
+ */
+const hasMessagesBeyond = async ({ conversationId, userId, from, direction, inclusive = false }) => {
+  const page = await query(
+    messageKeysSql(`${direction === 'before' ? '<' : '>'}${inclusive ? '=' : ''}`, direction === 'before' ? 'DESC' : 'ASC'),
+    [conversationId, userId, from.createdAt, from.id, 1]
+  );
+  return page.rows.length > 0;
+};
+
+/**
+ * Get a window of top-level messages centred on one message
+ * A thread reply is shown through its parent, which becomes the anchor
+ * @param {Object} options - conversationId, userId, messageId, limit
+ * @returns {Promise<Object|null>} messages, targetId, anchorId and pagination, or null if
+ *   the message isn't in the conversation
+ */
+const getMessagesAround = async ({ conversationId, userId, messageId, limit = 50 }) => {
+  const targetResult = await query(
+    `SELECT t.id, COALESCE(p.id, t.id) as anchor_id, COALESCE(p.created_at, t.created_at)::text as anchor_created_at
+     FROM messages t
+     LEFT JOIN messages p ON p.id = t.thread_id
+     WHERE t.id = $1 AND t.conversation_id = $2
+     AND ${notExpired('t')}
+     AND (p.id IS NULL OR ${notExpired('p')})`,
+    [messageId, conversationId]
+  );
+
+  if (targetResult.rows.length === 0) {
+    return null;
+  }
+
+  const target = targetResult.rows[0];
+  const anchor = { createdAt: target.anchor_created_at, id: target.anchor_id };
+  const beforeCount = Math.floor(limit / 2);
+
+  const [older, newer] = await Promise.all([
+    getMessagePage({ conversationId, userId, from: anchor, direction: 'before', limit: beforeCount }),
+    getMessagePage({ conversationId, userId, from: anchor, direction: 'after', inclusive: true, limit: limit - beforeCount })
+  ]);
+
+  return {
+    messages: [...older.messages, ...newer.messages],
+    targetId: target.id,
+    anchorId: target.anchor_id,
+    pagination: {
+      limit,
+      hasMoreBefore: older.hasMore,
+      hasMoreAfter: newer.hasMore,
+      beforeCursor: older.beforeCursor || newer.beforeCursor,
+      afterCursor: newer.afterCursor || older.afterCursor
+    }
+  };
+};
+
+/**
+ * Get a message's reactions grouped by reaction
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Array>} Reactions with count and usernames
+ */
+const getReactions = async (messageId) => {
+  const reactionsResult = await query(`
+    SELECT
+      mr.reaction,
+      COUNT(*) as count,
+      ARRAY_AGG(u.username) as users
+    FROM message_reactions mr
+    INNER JOIN users u ON mr.user_id = u.id
+    WHERE mr.message_id = $1
+    GROUP BY mr.reaction
+  `, [messageId]);
+
+  return reactionsResult.rows;
+};
+
+/**
+ * Attach grouped reactions to a list of messages
+ * @param {Array} messages - Message rows
+ * @returns {Promise<Array>} Messages with a reactions array
+ */
+const withReactions = async (messages) => {
+  return Promise.all(
+    messages.map(async (message) => ({
+      ...message,
+      reactions: await getReactions(message.id)
+    }))
+  );
+};
+
+/**
+ * Get a single message with sender info and reactions
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Object|null>} Message or null if it doesn't exist
+ */
+const getMessageById = async (messageId) => {
+  const result = await query(`${MESSAGE_SELECT} WHERE m.id = $1`, [messageId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const [message] = await withReactions(result.rows);
+  return message;
+};
+
+/**
+ * Find the parent message a thread reply is being posted to
+ * Only top-level messages in the same conversation can start a thread
+ * @param {number} threadId - Parent message ID
+ * @param {number} conversationId - Conversation the reply is posted in
+ * @returns {Promise<Object|null>} Parent message row or null if it's not a valid thread parent
+ */
+const findThreadParent = async (threadId, conversationId) => {
+  const result = await query(
+    `SELECT id, conversation_id, thread_id FROM messages m WHERE id = $1 AND deleted_at IS NULL AND ${notExpired()}`,
+    [threadId]
+  );
+
+  const parent = result.rows[0];
+  if (!parent || parent.conversation_id !== parseInt(conversationId) || parent.thread_id !== null) {
+    return null;
+  }
+
+  return parent;
+};
+
+/**
+ * Find the message a quote-reply points at
+ * The quoted message must belong to the same conversation
+ * @param {number} replyToId - Quoted message ID
+ * @param {number} conversationId - Conversation the reply is posted in
+ * @returns {Promise<Object|null>} Quoted message row or null if it can't be quoted
+ */
+const findReplyTarget = async (replyToId, conversationId) => {
+  const result = await query(
+    `SELECT id, conversation_id FROM messages m WHERE id = $1 AND deleted_at IS NULL AND ${notExpired()}`,
+    [replyToId]
+  );
+
+  const target = result.rows[0];
+  if (!target || target.conversation_id !== parseInt(conversationId)) {
+    return null;
+  }
+
+  return target;
+};
+
+/**
+ * Find a message by the ID its sender's client generated for it
+ * @param {number} senderId - Sender's user ID
+ * @param {string} clientId - Client-generated message ID
+ * @returns {Promise<Object|null>} Message row (id only) or null
+ */
+const findMessageByClientId = async (senderId, clientId) => {
+  if (!clientId) {
+    return null;
+  }
+
+  const result = await query(
+    'SELECT id FROM messages WHERE sender_id = $1 AND client_id = $2',
+    [senderId, clientId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Create a message and bump the conversation's timestamp
+ * Inserts are idempotent per (sender, clientId): a retried send returns the stored message
+ * Messages in conversations with a message TTL get an expiry time
+ * @param {Object} data - Message fields
+ * @returns {Promise<{message: Object, created: boolean}>} Stored message and whether it was newly created
+ */
+const createMessage = async ({
+  conversationId,
+  senderId,
+  content,
+  messageType = 'text',
+  format = 'plain',
+  fileUrl = null,
+  fileName = null,
+  fileSize = null,
+  fileMimeType = null,
+  threadId = null,
+  replyToId = null,
+  clientId = null,
+  forwardedFromMessageId = null,
+  forwardedFromUserId = null
+}) => {
+  const insertResult = await query(
+    `INSERT INTO messages (
+       conversation_id, sender_id, content, message_type, file_url, file_name, file_size, file_mime_type,
+       thread_id, reply_to_id, client_id, format, forwarded_from_message_id, forwarded_from_user_id, expires_at
+     )
+     VALUES (
+       $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+       (SELECT CURRENT_TIMESTAMP + make_interval(secs => message_ttl_seconds) FROM conversations WHERE id = $1)
+     )
+     ON CONFLICT (sender_id, client_id) WHERE client_id IS NOT NULL DO NOTHING
+     RETURNING id`,
+    [
+      conversationId, senderId, content, messageType, fileUrl, fileName, fileSize, fileMimeType,
+      threadId, replyToId, clientId, format, forwardedFromMessageId, forwardedFromUserId
+    ]
+  );
+
+  // Already stored by an earlier attempt
+  if (insertResult.rows.length === 0) {
+    const existing = await findMessageByClientId(senderId, clientId);
+    return {
+      message: await getMessageById(existing.id),
+      created: false
+    };
+  }
+
+  // Update conversation timestamp
+  await query(
+    'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [conversationId]
+  );
+
+  const message = await getMessageById(insertResult.rows[0].id);
+
+  // System messages quote usernames and forwarded copies repeat someone else's, so neither notifies anyone
+  if (messageType !== 'system' && !forwardedFromMessageId) {
+    message.mentioned_user_ids = await recordMentions(message);
+  }
+
+  return { message, created: true };
+};
+
+module.exports = {
+  MESSAGE_SELECT,
+  MESSAGE_FORMATS,
+  notHiddenFor,
+  notExpired,
+  MAX_PAGE_SIZE,
+  MAX_CLIENT_ID_LENGTH,
+  encodeMessageCursor,
+  decodeMessageCursor,
+  getMessagePage,
+  hasMessagesBeyond,
+  getMessagesAround,
+  getReactions,
+  withReactions,
+  getMessageById,
+  findThreadParent,
+  findReplyTarget,
+  findMessageByClientId,
+  createMessage
+};
@@ -0,0 +1,80 @@
+const { query } = require('../config/database');
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_OPTION_LENGTH = 200;
+
+/**
+ * Store the poll attached to a poll message
+ * @param {number} messageId - Poll message ID
+ * @param {Object} poll - options (text), allowMultiple, anonymous, closesAt
+ */
+const createPoll = async (messageId, { options, allowMultiple = false, anonymous = false, closesAt = null }) => {
+  await query(
+    `INSERT INTO polls (message_id, allow_multiple, anonymous, closes_at)
+     VALUES ($1, $2, $3, $4::timestamptz)`,
+    [messageId, allowMultiple, anonymous, closesAt]
+  );
+
+  await query(
+    `INSERT INTO poll_options (message_id, position, text)
+     SELECT $1, t.position - 1, t.text
+     FROM UNNEST($2::text[]) WITH ORDINALITY AS t(text, position)`,
+    [messageId, options]
+  );
+};
+
+/**
+ * Get the poll options a user has voted for
+ * @param {number} messageId - Poll message ID
+ * @param {number} userId - Voter's user ID
+ * @returns {Promise<number[]>} Option IDs
+ */
+const getUserVotes = async (messageId, userId) => {
+  const result = await query(
+    'SELECT option_id FROM poll_votes WHERE message_id = $1 AND user_id = $2 ORDER BY option_id',
+    [messageId, userId]
+  );
+
+  return result.rows.map(row => row.option_id);
+};
+
+/**
+ * Add the viewer's own votes to poll messages
+ * Needed for anonymous polls, where voter IDs aren't part of the poll
+ * @param {Array} messages - Message rows
+ * @param {number} userId - Viewer's user ID
+ * @returns {Promise<Array>} Messages with poll.my_option_ids set on polls
+ */
+const withPollVotes = async (messages, userId) => {
+  const pollIds = messages.filter(message => message.poll).map(message => message.id);
+  if (pollIds.length === 0) {
+    return messages;
+  }
+
+  const result = await query(
+    'SELECT message_id, option_id FROM poll_votes WHERE message_id = ANY($1) AND user_id = $2',
+    [pollIds, userId]
+  );
+
+  return messages.map(message => (
+    message.poll
+      ? {
+        ...message,
+        poll: {
+          ...message.poll,
+          my_option_ids: result.rows.filter(row => row.message_id === message.id).map(row => row.option_id)
+        }
+      }
+      : message
+  ));
+};
+
+module.exports = {
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  MAX_OPTION_LENGTH,
+  createPoll,
+  getUserVotes,
+  withPollVotes
+};
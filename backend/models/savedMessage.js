@@ -0,0 +1,140 @@
+const { query } = require('../config/database');
+const {
+  MESSAGE_SELECT,
+  notHiddenFor,
+  notExpired,
+  encodeMessageCursor,
+  withReactions
+} = require('./message');
+
+const MAX_NOTE_LENGTH = 1000;
+
+// Columns of a saved item
+const SAVED_COLUMNS = `
+  sm.message_id,
+  sm.note,
+  sm.saved_at,
+  m.conversation_id,
+  c.name as conversation_name,
+  c.type as conversation_type
+`;
+
+// Saved items the user can still see: they must still be in the conversation,
+// and the message must not be deleted or hidden for them ($1 is the user ID)
+const SAVED_FROM = `
+  FROM saved_messages sm
+  INNER JOIN messages m ON m.id = sm.message_id
+  INNER JOIN conversations c ON c.id = m.conversation_id
+  INNER JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = sm.user_id
+  WHERE sm.user_id = $1
+  AND m.deleted_at IS NULL
+  AND ${notHiddenFor(1)}
+  AND ${notExpired()}
+`;
+
+const SAVED_SELECT = `SELECT ${SAVED_COLUMNS} ${SAVED_FROM}`;
+
+/**
+ * Attach the full message to saved items
+ * @param {Array} items - Saved item rows
+ * @returns {Promise<Array>} Saved items with their message
+ */
+const withMessages = async (items) => {
+  if (items.length === 0) {
+    return [];
+  }
+
+  const messagesResult = await query(
+    `${MESSAGE_SELECT} WHERE m.id = ANY($1)`,
+    [items.map(item => item.message_id)]
+  );
+  const messages = await withReactions(messagesResult.rows);
+
+  return items.map(item => ({
+    ...item,
+    message: messages.find(message => message.id === item.message_id)
+  }));
+};
+
+/**
+ * Get a page of a user's saved messages, most recently saved first
+ * Items are ordered by (saved_at, message_id), which is unique even when save times collide
+ * @param {number} userId - User ID
+ * @param {Object} options - conversationId, from (a decoded cursor; same format as
+ *   message cursors, with the saved time and message ID), limit
+ * @returns {Promise<Object>} saved items with their conversation and message, hasMore,
+ *   and nextCursor for the page after this one
+ */
+const getSavedMessages = async (userId, { conversationId = null, from = null, limit = 20 } = {}) => {
+  // The saved time as text too, so the cursor carries it exactly (JS dates drop microseconds)
+  let sql = `SELECT ${SAVED_COLUMNS}, sm.saved_at::text as saved_at_key ${SAVED_FROM}`;
+  const params = [userId];
+
+  if (conversationId) {
+    params.push(conversationId);
+    sql += ` AND m.conversation_id = $${params.length}`;
+  }
+
+  if (from) {
+    params.push(from.createdAt, from.id);
+    sql += ` AND (sm.saved_at, sm.message_id) < ($${params.length - 1}::timestamp, $${params.length})`;
+  }
+
+  // One extra row tells whether there's another page
+  params.push(limit + 1);
+  sql += ` ORDER BY sm.saved_at DESC, sm.message_id DESC LIMIT $${params.length}`;
+
+  const savedResult = await query(sql, params);
+  const rows = savedResult.rows.slice(0, limit);
+  const hasMore = savedResult.rows.length > limit;
+  const last = rows[rows.length - 1];
+
+  return {
+    saved: await withMessages(rows.map(({ saved_at_key, ...item }) => item)),
+    hasMore,
+    nextCursor: hasMore ? encodeMessageCursor({ id: last.message_id, created_at: last.saved_at_key }) : null
+  };
+};
+
+/**
+ * Save a message for a user, or update the note on an already saved one
+ * The caller checks that the user can see the message
+ * @param {number} userId - User ID
+ * @param {number} messageId - Message ID
+ * @param {string|null} note - Optional note; blank clears it
+ * @returns {Promise<Object>} Saved item with its conversation and message
+ */
+const saveMessage = async (userId, messageId, note = null) => {
+  await query(
+    `INSERT INTO saved_messages (user_id, message_id, note)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, message_id) DO UPDATE SET note = EXCLUDED.note`,
+    [userId, messageId, note && note.trim() ? note.trim() : null]
+  );
+
+  const savedResult = await query(`${SAVED_SELECT} AND sm.message_id = $2`, [userId, messageId]);
+  const [item] = await withMessages(savedResult.rows);
+  return item;
+};
+
+/**
+ * Remove a message from a user's saved items
+ * @param {number} userId - User ID
+ * @param {number} messageId - Message ID
+ * @returns {Promise<boolean>} Whether the message was saved
+ */
+const unsaveMessage = async (userId, messageId) => {
+  const result = await query(
+    'DELETE FROM saved_messages WHERE user_id = $1 AND message_id = $2',
+    [userId, messageId]
+  );
+
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  getSavedMessages,
+  saveMessage,
+  unsaveMessage
+};
@@ -0,0 +1,402 @@
+const { query } = require('../config/database');
+const {
+  MESSAGE_SELECT,
+  notHiddenFor,
+  notExpired,
+  encodeMessageCursor,
+  withReactions
+} = require('./message');
+const { escapeLikePattern } = require('../services/searchQuery');
+
+const MAX_SEARCH_PAGE_SIZE = 50;
+const MAX_QUICK_RESULTS = 20;
+
+// Only recent activity counts towards ranking people and conversations in the quick switcher
+const ACTIVITY_WINDOW = "INTERVAL '90 days'";
+
+// 'auto' tries full-text search and falls back to fuzzy matching when nothing matches
+const MATCH_MODES = ['auto', 'fulltext', 'fuzzy'];
+
+// ts_headline wraps matches in these private-use characters rather than HTML tags,
+// so clients can highlight them without rendering message content as markup
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+/**
+ * SQL tsquery for one search term
+ * @param {Object} term - Term from parseSearchQuery, with the placeholder holding its value
+ * @param {string} language - SQL expression for the text search configuration
+ * @returns {string} SQL expression
+ */
+const termTsQuery = ({ term, placeholder }, language) => {
+  let sql;
+  if (term.phrase) {
+    sql = `phraseto_tsquery(${language}, ${placeholder})`;
+  } else if (term.prefix) {
+    sql = `to_tsquery(${language}, ${placeholder}::text || ':*')`;
+  } else {
+    sql = `plainto_tsquery(${language}, ${placeholder})`;
+  }
+  return term.negated ? `!!${sql}` : sql;
+};
+
+/**
+ * SQL tsquery for a whole search: every group must match, any term within a group
+ * @param {Array} groups - Groups of { term, placeholder }
+ * @param {string} language - SQL expression for the text search configuration
+ * @returns {string} SQL expression
+ */
+const buildTsQuery = (groups, language) => groups
+  .map(group => {
+    const alternatives = group.map(term => termTsQuery(term, language));
+    return alternatives.length > 1 ? `(${alternatives.join(' || ')})` : alternatives[0];
+  })
+  .join(' && ');
+
+/**
+ * Search languages of the conversations a search covers
+ * @param {number} userId - User ID
+ * @param {number|null} conversationId - Limit to one conversation
+ * @returns {Promise<string[]>}
+ */
+const getSearchLanguages = async (userId, conversationId) => {
+  const result = await query(`
+    SELECT DISTINCT c.search_language
+    FROM conversations c
+    INNER JOIN conversation_participants cp ON cp.conversation_id = c.id AND cp.user_id = $1
+    WHERE ($2::int IS NULL OR c.id = $2)
+  `, [userId, conversationId]);
+
+  return result.rows.map(row => row.search_language);
+};
+
+/**
+ * Find one page of matches in a single mode
+ * @param {number} userId - User ID
+ * @param {Object} search - Result of parseSearchQuery
+ * @param {string} mode - 'fulltext', 'fuzzy', or 'filter' for searches without terms
+ * @param {Object} options - conversationId, from (a decoded cursor) and limit
+ * @returns {Promise<Object>} results, hasMore and nextCursor
+ */
+const findMatches = async (userId, search, mode, { conversationId, from, limit }) => {
+  const params = [userId];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [];
+  let headline = 'NULL';
+
+  const rowLanguage = 'c.search_language::regconfig';
+
+  if (mode === 'fulltext') {
+    const groups = search.terms.map(group => group.map(term => ({
+      term,
+      placeholder: param(term.value)
+    })));
+
+    // One branch per language with a constant tsquery, so each can use the search_vector index
+    const languages = await getSearchLanguages(userId, conversationId);
+    if (languages.length === 0) {
+      return { results: [], hasMore: false, nextCursor: null };
+    }
+
+    conditions.push(`(${languages.map(language => {
+      const languageParam = param(language);
+      return `(c.search_language = ${languageParam}::text AND m.search_vector @@ (${buildTsQuery(groups, `${languageParam}::text::regconfig`)}))`;
+    }).join(' OR ')})`);
+
+    const wanted = groups
+      .map(group => group.filter(({ term }) => !term.negated))
+      .filter(group => group.length > 0);
+    if (wanted.length > 0) {
+      headline = `ts_headline(${rowLanguage}, m.content, ${buildTsQuery(wanted, rowLanguage)}, ${param(HEADLINE_OPTIONS)})`;
+    }
+  }
+
+  if (mode === 'fuzzy') {
+    // Close to the wanted words (typos, partial words); exclusions still apply
+    conditions.push(`${param(search.text)} <% m.content`);
+
+    const excluded = search.terms.flat().filter(term => term.negated);
+    if (excluded.length > 0) {
+      const unwanted = excluded.map(term => termTsQuery(
+        { term: { ...term, negated: false }, placeholder: param(term.value) },
+        rowLanguage
+      ));
+      conditions.push(`NOT (m.search_vector @@ (${unwanted.join(' || ')}))`);
+    }
+  }
+
+  if (conversationId) {
+    conditions.push(`m.conversation_id = ${param(conversationId)}`);
+  }
+
+  if (search.from.length > 0) {
+    conditions.push(`LOWER(u.username) = ANY(${param(search.from)})`);
+  }
+
+  // Groups by name; direct messages by the other participant's username
+  if (search.in.length > 0) {
+    const names = param(search.in);
+    conditions.push(`(
+      LOWER(c.name) = ANY(${names})
+      OR (c.type = 'direct' AND EXISTS (
+        SELECT 1
+        FROM conversation_participants op
+        INNER JOIN users ou ON ou.id = op.user_id
+        WHERE op.conversation_id = m.conversation_id
+        AND op.user_id != $1
+        AND LOWER(ou.username) = ANY(${names})
+      ))
+    )`);
+  }
+
+  // Both bounds exclude the day itself
+  if (search.before) {
+    conditions.push(`m.created_at < ${param(search.before)}::date`);
+  }
+  if (search.after) {
+    conditions.push(`m.created_at >= ${param(search.after)}::date + 1`);
+  }
+
+  if (search.has.includes('file')) {
+    conditions.push('m.file_url IS NOT NULL');
+  }
+  if (search.has.includes('link')) {
+    conditions.push(`m.content ~* 'https?://'`);
+  }
+  if (search.is.includes('pinned')) {
+    conditions.push('EXISTS (SELECT 1 FROM pinned_messages pm WHERE pm.message_id = m.id)');
+  }
+
+  if (from) {
+    conditions.push(`(m.created_at, m.id) < (${param(from.createdAt)}::timestamp, ${param(from.id)})`);
+  }
+
+  // Keys first, so cursors carry the exact timestamp, then the messages themselves
+  const keysResult = await query(`
+    SELECT
+      m.id,
+      m.created_at::text as created_at,
+      ${headline} as headline,
+      c.name as conversation_name,
+      c.type as conversation_type
+    FROM messages m
+    INNER JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = $1
+    INNER JOIN conversations c ON c.id = m.conversation_id
+    LEFT JOIN users u ON u.id = m.sender_id
+    WHERE m.deleted_at IS NULL
+    AND m.message_type != 'system'
+    AND ${notHiddenFor(1)}
+    AND ${notExpired()}
+    ${conditions.map(condition => `AND ${condition}`).join('\n    ')}
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT ${param(limit + 1)}
+  `, params);
+
+  const keys = keysResult.rows.slice(0, limit);
+  if (keys.length === 0) {
+    return { results: [], hasMore: false, nextCursor: null };
+  }
+
+  const messagesResult = await query(`${MESSAGE_SELECT} WHERE m.id = ANY($1)`, [keys.map(key => key.id)]);
+  const messages = await withReactions(messagesResult.rows);
+  const byId = new Map(messages.map(message => [message.id, message]));
+
+  const results = keys
+    .filter(key => byId.has(key.id))
+    .map(key => ({
+      ...byId.get(key.id),
+      headline: key.headline,
+      conversation_name: key.conversation_name,
+      conversation_type: key.conversation_type,
+      match_mode: mode
+    }));
+
+  const hasMore = keysResult.rows.length > limit;
+  return {
+    results,
+    hasMore,
+    nextCursor: hasMore ? encodeMessageCursor(keys[keys.length - 1]) : null
+  };
+};
+
+/**
+ * Search the conversations a user belongs to, newest match first
+ * Each conversation's messages are matched in its own search language. In 'auto'
+ * mode a first page with no full-text matches is retried with fuzzy matching; pass
+ * the returned matchMode back with the cursor to keep paging the same results.
+ * @param {number} userId - User ID
+ * @param {Object} search - Result of parseSearchQuery
+ * @param {Object} options - conversationId (limit to one), from (a decoded cursor),
+ *   limit and matchMode (one of MATCH_MODES)
+ * @returns {Promise<Object>} results (messages with headline, conversation name/type and
+ *   the match_mode that found them), hasMore, nextCursor and matchMode
+ */
+const searchMessages = async (userId, search, { conversationId = null, from = null, limit = 20, matchMode = 'auto' } = {}) => {
+  const options = { conversationId, from, limit };
+
+  if (search.terms.length === 0) {
+    return { ...await findMatches(userId, search, 'filter', options), matchMode: 'filter' };
+  }
+
+  // Fuzzy matching needs words to look for; exclusions alone can't be matched approximately
+  if (matchMode === 'fuzzy') {
+    return search.text
+      ? { ...await findMatches(userId, search, 'fuzzy', options), matchMode: 'fuzzy' }
+      : { results: [], hasMore: false, nextCursor: null, matchMode: 'fuzzy' };
+  }
+
+  const page = await findMatches(userId, search, 'fulltext', options);
+  if (matchMode === 'auto' && !from && page.results.length === 0 && search.text) {
+    return { ...await findMatches(userId, search, 'fuzzy', options), matchMode: 'fuzzy' };
+  }
+
+  return { ...page, matchMode: 'fulltext' };
+};
+
+/**
+ * SQL score for how well a name matches: exactly, as a prefix, at the start of a later
+ * word, or anywhere (rows are already filtered to names containing the text)
+ * @param {string} column - Name column
+ * @param {Object} patterns - Placeholders from the quick search's text
+ * @returns {string} SQL expression (20-100)
+ */
+const nameMatchScore = (column, patterns) => `CASE
+  WHEN LOWER(${column}) = ${patterns.exact} THEN 100
+  WHEN LOWER(${column}) LIKE ${patterns.prefix} THEN 60
+  WHEN LOWER(${column}) LIKE ANY(${patterns.wordPrefix}) THEN 40
+  ELSE 20
+END`;
+
+// Up to 30 for activity today, down to 0 for a month ago
+const recencyScore = (column) => (
+  `COALESCE(GREATEST(0, 30 - EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - ${column}) / 86400), 0)`
+);
+
+// Up to 20, growing more slowly the more messages there are
+const frequencyScore = (column) => `COALESCE(LEAST(20, LN(1 + ${column}) * 5), 0)`;
+
+/**
+ * Quick switcher search over people and conversations, best match first
+ * Names that start with the text beat ones that only contain it, and people and
+ * conversations with recent and frequent activity rank higher. Without text it
+ * returns the most recently active conversations.
+ * @param {number} userId - User ID
+ * @param {string} text - What was typed
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array>} Results with type 'user' (and their direct conversation_id,
+ *   if any) or 'conversation', each with a score
+ */
+const quickSearch = async (userId, text, limit = 10) => {
+  const term = text.trim().toLowerCase();
+  const params = [userId];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const escaped = escapeLikePattern(term);
+  const patterns = term && {
+    exact: param(term),
+    prefix: param(`${escaped}%`),
+    wordPrefix: param([`% ${escaped}%`, `%\\_${escaped}%`, `%-${escaped}%`]),
+    contains: param(`%${escaped}%`)
+  };
+
+  // Groups by name (or every conversation, most recent first, when nothing was typed);
+  // direct conversations are found through the person instead
+  const conversationsResult = await query(`
+    SELECT
+      c.id,
+      c.name,
+      c.type as conversation_type,
+      COALESCE(activity.last_message_at, c.updated_at) as last_activity_at,
+      (
+        ${term ? nameMatchScore('c.name', patterns) : '0'}
+        + ${recencyScore('activity.last_message_at')}
+        + ${frequencyScore('activity.my_message_count')}
+      )::float as score
+    FROM conversations c
+    INNER JOIN conversation_participants cp ON cp.conversation_id = c.id AND cp.user_id = $1
+    LEFT JOIN LATERAL (
+      SELECT
+        MAX(m.created_at) as last_message_at,
+        COUNT(*) FILTER (WHERE m.sender_id = $1) as my_message_count
+      FROM messages m
+      WHERE m.conversation_id = c.id
+      AND m.deleted_at IS NULL
+      AND m.created_at > CURRENT_TIMESTAMP - ${ACTIVITY_WINDOW}
+    ) activity ON true
+    ${term ? `WHERE c.type = 'group' AND c.name ILIKE ${patterns.contains}` : ''}
+    ORDER BY ${term ? 'score DESC,' : ''} last_activity_at DESC
+    LIMIT ${param(limit)}
+  `, params);
+
+  const conversations = conversationsResult.rows.map(row => ({ type: 'conversation', ...row }));
+  if (!term) {
+    return conversations;
+  }
+
+  // How recently and how much each person and I have talked, in direct messages
+  // or groups we share; a direct message counts for more than a group one
+  const usersResult = await query(`
+    WITH contacts AS (
+      SELECT
+        other.user_id,
+        MAX(m.created_at) as last_contact_at,
+        SUM(CASE WHEN c.type = 'direct' THEN 1 ELSE 0.25 END) as contact_weight
+      FROM messages m
+      INNER JOIN conversations c ON c.id = m.conversation_id
+      INNER JOIN conversation_participants mine ON mine.conversation_id = m.conversation_id AND mine.user_id = $1
+      INNER JOIN conversation_participants other ON other.conversation_id = m.conversation_id AND other.user_id != $1
+      WHERE m.sender_id IN ($1, other.user_id)
+      AND m.deleted_at IS NULL
+      AND m.created_at > CURRENT_TIMESTAMP - ${ACTIVITY_WINDOW}
+      GROUP BY other.user_id
+    )
+    SELECT
+      u.id,
+      u.username,
+      u.avatar_url,
+      u.status,
+      CASE WHEN u.show_email THEN u.email END as email,
+      (
+        SELECT c.id
+        FROM conversations c
+        INNER JOIN conversation_participants a ON a.conversation_id = c.id AND a.user_id = $1
+        INNER JOIN conversation_participants b ON b.conversation_id = c.id AND b.user_id = u.id
+        WHERE c.type = 'direct'
+        LIMIT 1
+      ) as conversation_id,
+      (
+        ${nameMatchScore('u.username', patterns)}
+        + ${recencyScore('contacts.last_contact_at')}
+        + ${frequencyScore('contacts.contact_weight')}
+      )::float as score
+    FROM users u
+    LEFT JOIN contacts ON contacts.user_id = u.id
+    WHERE u.id != $1
+    AND (u.username ILIKE ${patterns.contains} OR (u.show_email AND u.email ILIKE ${patterns.contains}))
+    ORDER BY score DESC, u.username
+    LIMIT $${params.length}
+  `, params);
+
+  const users = usersResult.rows.map(row => ({ type: 'user', ...row }));
+
+  return [...users, ...conversations]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  MAX_SEARCH_PAGE_SIZE,
+  MAX_QUICK_RESULTS,
+  MATCH_MODES,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  searchMessages,
+  quickSearch
+};
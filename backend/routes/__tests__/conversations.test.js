@@ -0,0 +1,347 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+jest.mock('../../models/message', () => ({
+  ...jest.requireActual('../../models/message'),
+  getMessageById: jest.fn(),
+  createMessage: jest.fn()
+}));
+jest.mock('../../services/eventBus', () => ({
+  publishToConversation: jest.fn(),
+  publishToUser: jest.fn(),
+  removeUserFromConversation: jest.fn()
+}));
+
+const request = require('supertest');
+const { buildApp } = require('../../test/buildApp');
+const { query } = require('../../config/database');
+const { getMessageById, createMessage } = require('../../models/message');
+const { publishToConversation, publishToUser } = require('../../services/eventBus');
+const conversationRoutes = require('../conversations');
+
+const app = buildApp('/api/conversations', conversationRoutes);
+
+/**
+ * Answer the pin routes' queries
+ * @param {Object} options - role and membersCanPin of the signed-in user (null role when
+ *   not a participant), whether the message is visible, whether it's already pinned
+ */
+const answerWith = ({ role = 'member', membersCanPin = false, messageFound = true, pinned = false }) => {
+  query.mockImplementation(async (sql) => {
+    if (/SELECT cp\.role, c\.members_can_pin/.test(sql)) {
+      return { rows: role ? [{ role, members_can_pin: membersCanPin }] : [] };
+    }
+    if (/SELECT m\.id FROM messages m/.test(sql)) {
+      return { rows: messageFound ? [{ id: 5 }] : [] };
+    }
+    if (/INSERT INTO pinned_messages/.test(sql)) {
+      return { rows: pinned ? [] : [{ message_id: 5, pinned_at: '2024-05-01T10:00:00Z', pinned_by: 1 }] };
+    }
+    if (/DELETE FROM pinned_messages/.test(sql)) {
+      return { rows: [], rowCount: pinned ? 1 : 0 };
+    }
+    return { rows: [] };
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getMessageById.mockResolvedValue({ id: 5, content: 'pin me' });
+  createMessage.mockResolvedValue({ message: { id: 99, message_type: 'system' }, created: true });
+});
+
+describe('POST /api/conversations/:id/pins', () => {
+  it('lets an admin pin a message and leaves a note pointing at it', async () => {
+    answerWith({ role: 'admin' });
+
+    const response = await request(app).post('/api/conversations/3/pins').send({ messageId: 5 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.pin).toMatchObject({ message_id: 5, pinned_by_name: 'alice', message: { id: 5 } });
+    expect(createMessage).toHaveBeenCalledWith(expect.objectContaining({ messageType: 'system', replyToId: 5 }));
+    expect(publishToConversation).toHaveBeenCalledWith('3', 'message_pinned', expect.objectContaining({ conversationId: 3 }));
+  });
+
+  it('lets members pin only when the conversation allows it', async () => {
+    answerWith({ role: 'member', membersCanPin: false });
+    const refused = await request(app).post('/api/conversations/3/pins').send({ messageId: 5 });
+
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe('Only admins can pin messages in this conversation');
+
+    answerWith({ role: 'member', membersCanPin: true });
+    const allowed = await request(app).post('/api/conversations/3/pins').send({ messageId: 5 });
+
+    expect(allowed.status).toBe(201);
+  });
+
+  it('refuses people outside the conversation', async () => {
+    answerWith({ role: null });
+
+    const response = await request(app).post('/api/conversations/3/pins').send({ messageId: 5 });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Not a participant in this conversation');
+  });
+
+  it('only pins visible messages, leaving out expired ones that have not been swept yet', async () => {
+    answerWith({ role: 'admin', messageFound: false });
+
+    const response = await request(app).post('/api/conversations/3/pins').send({ messageId: 5 });
+
+    expect(response.status).toBe(404);
+    const [sql] = query.mock.calls.find(([text]) => /SELECT m\.id FROM messages m/.test(text));
+    expect(sql).toMatch(/m\.deleted_at IS NULL/);
+    expect(sql).toMatch(/m\.expires_at IS NULL OR m\.expires_at > CURRENT_TIMESTAMP/);
+    expect(createMessage).not.toHaveBeenCalled();
+  });
+
+  it('reports a message that is already pinned', async () => {
+    answerWith({ role: 'admin', pinned: true });
+
+    const response = await request(app).post('/api/conversations/3/pins').send({ messageId: 5 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Message is already pinned');
+  });
+});
+
+describe('DELETE /api/conversations/:id/pins/:messageId', () => {
+  it('rejects a message ID that is not a number before touching the database', async () => {
+    const response = await request(app).delete('/api/conversations/3/pins/abc');
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe('Invalid message ID');
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('unpins a pinned message', async () => {
+    answerWith({ role: 'admin', pinned: true });
+
+    const response = await request(app).delete('/api/conversations/3/pins/5');
+
+    expect(response.status).toBe(200);
+    expect(publishToConversation).toHaveBeenCalledWith('3', 'message_unpinned', { conversationId: 3, messageId: 5 });
+  });
+
+  it('reports a message that is not pinned', async () => {
+    answerWith({ role: 'admin' });
+
+    const response = await request(app).delete('/api/conversations/3/pins/5');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('GET /api/conversations', () => {
+  it('counts unread top-level messages from others after the read pointer', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    const response = await request(app).get('/api/conversations');
+
+    expect(response.status).toBe(200);
+    const [sql, params] = query.mock.calls[0];
+    const unread = sql.slice(sql.indexOf('SELECT COUNT(*)'), sql.indexOf('as unread_count'));
+    expect(unread).toMatch(/m\.sender_id != \$1/);
+    expect(unread).toMatch(/m\.id > COALESCE\(cp\.last_read_message_id, 0\)/);
+    expect(unread).toMatch(/m\.thread_id IS NULL/);
+    expect(unread).toMatch(/m\.deleted_at IS NULL/);
+    expect(unread).toMatch(/FROM message_hidden mh WHERE mh\.message_id = m\.id AND mh\.user_id = \$1/);
+    expect(unread).toMatch(/m\.expires_at IS NULL OR m\.expires_at > CURRENT_TIMESTAMP/);
+    expect(params).toEqual([1, 50, 0]);
+  });
+});
+
+describe('POST /api/conversations/:id/read', () => {
+  // Answer the participant check, the read target lookup and the pointer update
+  const answerWith = ({ participant = true, targetId = 42 } = {}) => {
+    query.mockImplementation(async (sql) => {
+      if (/FROM conversation_participants WHERE conversation_id = \$1 AND user_id = \$2/.test(sql)) {
+        return { rows: participant ? [{}] : [] };
+      }
+      if (/SELECT id FROM messages WHERE id = \$1 AND conversation_id = \$2/.test(sql)) {
+        return { rows: targetId ? [{ id: targetId }] : [] };
+      }
+      if (/UPDATE conversation_participants/.test(sql)) {
+        return { rows: [{ last_read_message_id: targetId, last_read_at: '2024-05-01T10:00:00Z' }] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it('moves the pointer and tells the conversation', async () => {
+    answerWith();
+
+    const response = await request(app).post('/api/conversations/3/read').send({ messageId: 42 });
+
+    expect(response.status).toBe(200);
+    const receipt = {
+      conversationId: 3,
+      userId: 1,
+      username: 'alice',
+      lastReadMessageId: 42,
+      readAt: '2024-05-01T10:00:00Z'
+    };
+    expect(response.body.receipt).toEqual(receipt);
+    expect(publishToConversation).toHaveBeenCalledWith('3', 'read_receipt', receipt);
+  });
+
+  it('rejects a message from another conversation', async () => {
+    answerWith({ targetId: null });
+
+    const response = await request(app).post('/api/conversations/3/read').send({ messageId: 99 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Message not found in this conversation');
+    expect(publishToConversation).not.toHaveBeenCalled();
+  });
+
+  it('refuses people outside the conversation', async () => {
+    answerWith({ participant: false });
+
+    const response = await request(app).post('/api/conversations/3/read').send({ messageId: 42 });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('rejects a message ID that is not a number', async () => {
+    const response = await request(app).post('/api/conversations/3/read').send({ messageId: 'latest' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe('Invalid message ID');
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/conversations/:id (edit window)', () => {
+  // Answer the admin check and return the updated conversation
+  const answerWith = ({ admin = true } = {}) => {
+    query.mockImplementation(async (sql, params) => {
+      if (/AND role = \$3/.test(sql)) {
+        return { rows: admin ? [{}] : [] };
+      }
+      if (/UPDATE conversations SET/.test(sql)) {
+        return { rows: [{ id: 3, edit_window_minutes: params[1] }] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it('lets admins set and clear the edit window', async () => {
+    answerWith();
+
+    const set = await request(app).put('/api/conversations/3').send({ editWindowMinutes: 15 });
+    const cleared = await request(app).put('/api/conversations/3').send({ editWindowMinutes: null });
+
+    expect(set.body.conversation.edit_window_minutes).toBe(15);
+    expect(cleared.body.conversation.edit_window_minutes).toBeNull();
+    expect(publishToConversation).toHaveBeenCalledWith('3', 'conversation_updated', { id: 3, edit_window_minutes: 15 });
+  });
+
+  it('refuses members', async () => {
+    answerWith({ admin: false });
+
+    const response = await request(app).put('/api/conversations/3').send({ editWindowMinutes: 15 });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('rejects a negative window', async () => {
+    const response = await request(app).put('/api/conversations/3').send({ editWindowMinutes: -1 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe('Edit window must be a whole number of minutes');
+  });
+});
+
+describe('conversation drafts', () => {
+  const DRAFT = { content: 'half a thought', format: 'markdown', updated_at: '2024-05-01T10:00:00Z' };
+
+  // Answer the participant check, and the draft read, upsert and delete
+  const answerWith = ({ participant = true, draft = DRAFT } = {}) => {
+    query.mockImplementation(async (sql) => {
+      if (/FROM conversation_participants WHERE conversation_id = \$1 AND user_id = \$2/.test(sql)) {
+        return { rows: participant ? [{}] : [] };
+      }
+      if (/DELETE FROM message_drafts/.test(sql)) {
+        return { rows: [], rowCount: draft ? 1 : 0 };
+      }
+      if (/message_drafts/.test(sql)) {
+        return { rows: draft ? [draft] : [] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it('returns your draft, or null when there is none', async () => {
+    answerWith();
+    expect((await request(app).get('/api/conversations/3/draft')).body).toEqual({ draft: DRAFT });
+
+    answerWith({ draft: null });
+    expect((await request(app).get('/api/conversations/3/draft')).body).toEqual({ draft: null });
+  });
+
+  it("does not show drafts in conversations you're not in", async () => {
+    answerWith({ participant: false });
+
+    const response = await request(app).get('/api/conversations/3/draft');
+
+    expect(response.status).toBe(403);
+    expect(query.mock.calls.some(([sql]) => /message_drafts/.test(sql))).toBe(false);
+  });
+
+  it('saves a draft and syncs it to your other devices', async () => {
+    answerWith();
+
+    const response = await request(app).put('/api/conversations/3/draft').send({ content: 'half a thought', format: 'markdown' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.draft).toEqual(DRAFT);
+    expect(query.mock.calls.find(([sql]) => /INSERT INTO message_drafts/.test(sql))[1])
+      .toEqual(['3', 1, 'half a thought', 'markdown']);
+    expect(publishToUser).toHaveBeenCalledWith(1, 'draft_updated', { conversationId: 3, draft: DRAFT });
+  });
+
+  it('removes the draft when it is saved empty', async () => {
+    answerWith();
+
+    const response = await request(app).put('/api/conversations/3/draft').send({ content: '   ' });
+
+    expect(response.body.draft).toBeNull();
+    expect(query.mock.calls.some(([sql]) => /INSERT INTO message_drafts/.test(sql))).toBe(false);
+    expect(publishToUser).toHaveBeenCalledWith(1, 'draft_updated', { conversationId: 3, draft: null });
+  });
+
+  it.each([
+    ['content that is not text', { content: 42 }],
+    ['content that is too long', { content: 'x'.repeat(20001) }],
+    ['an unknown format', { content: 'hi', format: 'html' }]
+  ])('rejects %s', async (description, body) => {
+    const response = await request(app).put('/api/conversations/3/draft').send(body);
+
+    expect(response.status).toBe(400);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it("refuses to save drafts in conversations you're not in", async () => {
+    answerWith({ participant: false });
+
+    const response = await request(app).put('/api/conversations/3/draft').send({ content: 'hi' });
+
+    expect(response.status).toBe(403);
+    expect(publishToUser).not.toHaveBeenCalled();
+  });
+
+  it('discards a draft and only syncs when there was one', async () => {
+    answerWith();
+    await request(app).delete('/api/conversations/3/draft');
+    expect(publishToUser).toHaveBeenCalledWith(1, 'draft_updated', { conversationId: 3, draft: null });
+
+    publishToUser.mockClear();
+    answerWith({ draft: null });
+    const response = await request(app).delete('/api/conversations/3/draft');
+    expect(response.status).toBe(200);
+    expect(publishToUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,717 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+// The real adapter creates the upload directory on load
+jest.mock('../../services/storage', () => ({
+  storage: { save: jest.fn(), remove: jest.fn() },
+  buildStorageKey: jest.fn()
+}));
+jest.mock('../../models/message', () => ({
+  ...jest.requireActual('../../models/message'),
+  getMessageById: jest.fn(),
+  createMessage: jest.fn()
+}));
+jest.mock('../../services/eventBus', () => ({
+  publishToConversation: jest.fn(),
+  publishToUser: jest.fn()
+}));
+jest.mock('../../services/linkPreviews', () => ({
+  queueLinkPreviews: jest.fn()
+}));
+
+const request = require('supertest');
+const { buildApp } = require('../../test/buildApp');
+const { query, getClient } = require('../../config/database');
+const { getMessageById, createMessage } = require('../../models/message');
+const { MAX_POLL_OPTIONS } = require('../../models/poll');
+const { publishToConversation, publishToUser } = require('../../services/eventBus');
+const { MAX_FORWARD_MESSAGES, MAX_FORWARD_TARGETS } = require('../../config/forwarding');
+const { ALLOWED_REACTIONS } = require('../../config/reactions');
+const messageRoutes = require('../messages');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const ids = (count) => Array.from({ length: count }, (_, index) => index + 1);
+
+describe('GET /api/messages/forward/limits', () => {
+  it('returns the limits the forward route enforces', async () => {
+    const app = buildApp('/api/messages', messageRoutes);
+
+    const response = await request(app).get('/api/messages/forward/limits');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ maxMessages: MAX_FORWARD_MESSAGES, maxTargets: MAX_FORWARD_TARGETS });
+  });
+});
+
+describe('POST /api/messages/forward', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+
+  it('rejects more messages than can be forwarded at once', async () => {
+    const response = await request(app)
+      .post('/api/messages/forward')
+      .send({ messageIds: ids(MAX_FORWARD_MESSAGES + 1), conversationIds: [1] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Validation failed');
+    expect(response.body.details[0].msg).toBe(`Select between 1 and ${MAX_FORWARD_MESSAGES} messages to forward`);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('rejects more target conversations than allowed', async () => {
+    const response = await request(app)
+      .post('/api/messages/forward')
+      .send({ messageIds: [1], conversationIds: ids(MAX_FORWARD_TARGETS + 1) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe(`Select between 1 and ${MAX_FORWARD_TARGETS} conversations`);
+  });
+
+  it('rejects an empty selection', async () => {
+    const response = await request(app)
+      .post('/api/messages/forward')
+      .send({ messageIds: [], conversationIds: [] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toHaveLength(2);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/messages/:conversationId (polls)', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+
+  it.each([
+    [['Only one'], `Polls need between 2 and ${MAX_POLL_OPTIONS} options`],
+    [Array.from({ length: MAX_POLL_OPTIONS + 1 }, (_, index) => `Option ${index}`), `Polls need between 2 and ${MAX_POLL_OPTIONS} options`],
+    [['Tea', ' tea '], 'Poll options must be different'],
+    [['Tea', ''], 'Poll options must be between 1 and 200 characters']
+  ])('rejects the options %j', async (options, message) => {
+    const response = await request(app)
+      .post('/api/messages/3')
+      .send({ content: 'Lunch?', messageType: 'poll', poll: { options } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe(message);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('stores the poll with its message and broadcasts the complete message', async () => {
+    query.mockResolvedValue({ rows: [{}] });
+    createMessage.mockResolvedValue({ message: { id: 40 }, created: true });
+    getMessageById.mockResolvedValue({ id: 40, poll: { options: [] } });
+
+    const response = await request(app)
+      .post('/api/messages/3')
+      .send({ content: 'Lunch?', messageType: 'poll', poll: { options: ['Tea', 'Coffee'], allowMultiple: true } });
+
+    expect(response.status).toBe(201);
+    const pollInsert = query.mock.calls.find(([sql]) => /INSERT INTO polls/.test(sql));
+    expect(pollInsert[1]).toEqual([40, true, false, null]);
+    expect(publishToConversation).toHaveBeenCalledWith('3', 'message_created', { id: 40, poll: { options: [] } });
+  });
+});
+
+describe('POST /api/messages/:id/votes', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+
+  const client = {
+    query: jest.fn().mockResolvedValue({ rows: [] }),
+    release: jest.fn()
+  };
+
+  // Answer the poll lookup with `poll` (none when null) and vote reads with no rows
+  const answerWith = (poll) => {
+    query.mockImplementation(async (sql) => {
+      if (/INNER JOIN polls p/.test(sql)) {
+        return { rows: poll ? [{ conversation_id: 3, thread_id: null, allow_multiple: false, closed: false, option_ids: [1, 2], ...poll }] : [] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  beforeEach(() => {
+    getClient.mockResolvedValue(client);
+    getMessageById.mockResolvedValue({ id: 40, poll: { options: [{ id: 1, votes: 1 }] } });
+  });
+
+  it('only lets people vote on polls they can still see', async () => {
+    answerWith(null);
+
+    const response = await request(app).post('/api/messages/40/votes').send({ optionIds: [1] });
+
+    expect(response.status).toBe(404);
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/m\.deleted_at IS NULL/);
+    expect(sql).toMatch(/m\.expires_at IS NULL OR m\.expires_at > CURRENT_TIMESTAMP/);
+    expect(sql).toMatch(/FROM message_hidden mh WHERE mh\.message_id = m\.id AND mh\.user_id = \$2/);
+    expect(params).toEqual(['40', 1]);
+    expect(getClient).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [{ closed: true }, [1], 'This poll is closed'],
+    [{}, [1, 2], 'This poll allows only one choice'],
+    [{}, [7], 'Option does not belong to this poll']
+  ])('refuses a vote on %o for %j', async (poll, optionIds, error) => {
+    answerWith(poll);
+
+    const response = await request(app).post('/api/messages/40/votes').send({ optionIds });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(error);
+    expect(getClient).not.toHaveBeenCalled();
+  });
+
+  it('replaces earlier votes in one transaction and broadcasts the tallies', async () => {
+    answerWith({ allow_multiple: true });
+
+    const response = await request(app).post('/api/messages/40/votes').send({ optionIds: [2, 1, 2] });
+
+    expect(response.status).toBe(200);
+    expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0])).toEqual(['BEGIN', 'DELETE', 'INSERT', 'COMMIT']);
+    expect(client.query.mock.calls[2][1]).toEqual([[2, 1], '40', 1]);
+    expect(publishToConversation).toHaveBeenCalledWith(3, 'poll_updated', expect.objectContaining({ messageId: 40 }));
+  });
+});
+
+describe('GET /api/messages/:id/thread', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+
+  // Answer the participant check and the replies query
+  const answerWith = ({ participant = true, replies = [] } = {}) => {
+    query.mockImplementation(async (sql) => {
+      if (/FROM conversation_participants WHERE conversation_id = \$1 AND user_id = \$2/.test(sql)) {
+        return { rows: participant ? [{}] : [] };
+      }
+      if (/WHERE m\.thread_id = \$1/.test(sql)) {
+        return { rows: replies };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it('returns the parent with its replies, leaving out hidden and expired ones', async () => {
+    getMessageById.mockResolvedValue({ id: 10, conversation_id: 3, thread_id: null, expires_at: null });
+    answerWith({ replies: [{ id: 11, thread_id: 10 }, { id: 12, thread_id: 10 }] });
+
+    const response = await request(app).get('/api/messages/10/thread');
+
+    expect(response.status).toBe(200);
+    expect(response.body.parent.id).toBe(10);
+    expect(response.body.replies.map(reply => reply.id)).toEqual([11, 12]);
+    const [sql, params] = query.mock.calls.find(([text]) => /WHERE m\.thread_id = \$1/.test(text));
+    expect(sql).toMatch(/FROM message_hidden mh WHERE mh\.message_id = m\.id AND mh\.user_id = \$2/);
+    expect(sql).toMatch(/m\.expires_at IS NULL OR m\.expires_at > CURRENT_TIMESTAMP/);
+    expect(params).toEqual(['10', 1]);
+  });
+
+  it('points a reply at its thread instead of opening a thread under it', async () => {
+    getMessageById.mockResolvedValue({ id: 11, conversation_id: 3, thread_id: 10, expires_at: null });
+    answerWith();
+
+    const response = await request(app).get('/api/messages/11/thread');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Message is a thread reply', threadId: 10 });
+  });
+
+  it('hides threads from people outside the conversation', async () => {
+    getMessageById.mockResolvedValue({ id: 10, conversation_id: 3, thread_id: null, expires_at: null });
+    answerWith({ participant: false });
+
+    const response = await request(app).get('/api/messages/10/thread');
+
+    expect(response.status).toBe(403);
+  });
+
+  it.each([
+    ['missing', null],
+    ['expired', { id: 10, conversation_id: 3, thread_id: null, expires_at: '2000-01-01T00:00:00Z' }]
+  ])('reports a %s parent as not found', async (description, parent) => {
+    getMessageById.mockResolvedValue(parent);
+    answerWith();
+
+    const response = await request(app).get('/api/messages/10/thread');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('POST /api/messages/:conversationId (thread replies)', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+
+  // Participant checks pass; the thread parent lookup returns `parent`
+  const answerWith = (parent) => {
+    query.mockImplementation(async (sql) => {
+      if (/SELECT id, conversation_id, thread_id FROM messages m/.test(sql)) {
+        return { rows: parent ? [parent] : [] };
+      }
+      return { rows: [{}] };
+    });
+  };
+
+  it.each([
+    ['a reply', { id: 11, conversation_id: 3, thread_id: 10 }],
+    ['a message in another conversation', { id: 10, conversation_id: 4, thread_id: null }],
+    ['a missing message', null]
+  ])('refuses to start a thread under %s', async (description, parent) => {
+    answerWith(parent);
+
+    const response = await request(app).post('/api/messages/3').send({ content: 'hi', threadId: 10 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid thread');
+    expect(createMessage).not.toHaveBeenCalled();
+  });
+
+  it('posts a reply to a top-level message and leaves the draft alone', async () => {
+    answerWith({ id: 10, conversation_id: 3, thread_id: null });
+    createMessage.mockResolvedValue({ message: { id: 11, thread_id: 10 }, created: true });
+
+    const response = await request(app).post('/api/messages/3').send({ content: 'hi', threadId: 10 });
+
+    expect(response.status).toBe(201);
+    expect(createMessage).toHaveBeenCalledWith(expect.objectContaining({ threadId: 10 }));
+    expect(query.mock.calls.some(([sql]) => /DELETE FROM message_drafts/.test(sql))).toBe(false);
+  });
+});
+
+describe('POST /api/messages/:conversationId (quote replies)', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+
+  // Participant checks pass; the quoted message lookup returns `target`
+  const answerWith = (target) => {
+    query.mockImplementation(async (sql) => {
+      if (/SELECT id, conversation_id FROM messages m/.test(sql)) {
+        return { rows: target ? [target] : [] };
+      }
+      return { rows: [{}] };
+    });
+  };
+
+  it('refuses to quote a message from another conversation', async () => {
+    answerWith({ id: 7, conversation_id: 4 });
+
+    const response = await request(app).post('/api/messages/3').send({ content: 'hi', replyToId: 7 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Quoted message not found in this conversation');
+    expect(createMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects a quoted message ID that is not a number', async () => {
+    const response = await request(app).post('/api/messages/3').send({ content: 'hi', replyToId: 'abc' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe('Invalid reply-to message ID');
+  });
+
+  it('sends a quote reply in the same conversation', async () => {
+    answerWith({ id: 7, conversation_id: 3 });
+    createMessage.mockResolvedValue({ message: { id: 8, reply_to: { id: 7, deleted: false } }, created: true });
+
+    const response = await request(app).post('/api/messages/3').send({ content: 'hi', replyToId: 7 });
+
+    expect(response.status).toBe(201);
+    expect(createMessage).toHaveBeenCalledWith(expect.objectContaining({ replyToId: 7 }));
+  });
+});
+
+describe('POST /api/messages/:conversationId (retries)', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+
+  beforeEach(() => {
+    query.mockResolvedValue({ rows: [{}] });
+  });
+
+  it('answers a retried send with the stored message without broadcasting it again', async () => {
+    createMessage.mockResolvedValue({ message: { id: 50, client_id: 'abc' }, created: false });
+
+    const response = await request(app).post('/api/messages/3').send({ content: 'hi', clientId: 'abc' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ message: 'Message already sent', data: { id: 50, client_id: 'abc' } });
+    expect(publishToConversation).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['a number', 12345],
+    ['too long', 'x'.repeat(65)]
+  ])('rejects a client ID that is %s', async (description, clientId) => {
+    const response = await request(app).post('/api/messages/3').send({ content: 'hi', clientId });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe('Invalid client ID');
+    expect(createMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/messages/:conversationId (drafts)', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+
+  // Participant checks pass; removing the draft finds `drafts` rows
+  const answerWith = (drafts) => {
+    query.mockImplementation(async (sql) => (
+      /DELETE FROM message_drafts/.test(sql) ? { rows: [], rowCount: drafts } : { rows: [{}] }
+    ));
+  };
+
+  it('clears the draft it was sent from and syncs that to your other devices', async () => {
+    answerWith(1);
+    createMessage.mockResolvedValue({ message: { id: 50 }, created: true });
+
+    await request(app).post('/api/messages/3').send({ content: 'hi' });
+
+    expect(query.mock.calls.find(([sql]) => /DELETE FROM message_drafts/.test(sql))[1]).toEqual(['3', 1]);
+    expect(publishToUser).toHaveBeenCalledWith(1, 'draft_updated', { conversationId: 3, draft: null });
+  });
+
+  it('does not sync anything when there was no draft', async () => {
+    answerWith(0);
+    createMessage.mockResolvedValue({ message: { id: 50 }, created: true });
+
+    await request(app).post('/api/messages/3').send({ content: 'hi' });
+
+    expect(publishToUser).not.toHaveBeenCalled();
+  });
+
+  it('leaves the draft alone for a retried send', async () => {
+    answerWith(1);
+    createMessage.mockResolvedValue({ message: { id: 50 }, created: false });
+
+    await request(app).post('/api/messages/3').send({ content: 'hi', clientId: 'abc' });
+
+    expect(query.mock.calls.some(([sql]) => /DELETE FROM message_drafts/.test(sql))).toBe(false);
+  });
+});
+
+describe('DELETE /api/messages/:id', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+  // Answer the message lookup with `message` (joined with the requester's role) and the unpin with `unpinned`
+  const answerWith = (message, { unpinned = 0 } = {}) => {
+    query.mockImplementation(async (sql) => {
+      if (/SELECT m\.\*, cp\.role/.test(sql)) {
+        return { rows: message ? [{ id: 20, conversation_id: 3, thread_id: null, deleted_at: null, ...message }] : [] };
+      }
+      if (/DELETE FROM pinned_messages/.test(sql)) {
+        return { rows: [], rowCount: unpinned };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+  };
+
+  const tombstoned = () => query.mock.calls.some(([sql]) => /UPDATE messages SET deleted_at/.test(sql));
+
+  beforeEach(() => {
+    getMessageById.mockResolvedValue({ id: 20, content: null, deleted_at: '2024-05-01T10:00:00Z' });
+  });
+
+  it('hides a message only for the requester with scope=me, even someone else\'s', async () => {
+    answerWith({ sender_id: 2, role: 'member', created_at: minutesAgo(600) });
+
+    const response = await request(app).delete('/api/messages/20').query({ scope: 'me' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Message deleted for you');
+    expect(query.mock.calls.find(([sql]) => /INSERT INTO message_hidden/.test(sql))[1]).toEqual(['20', 1]);
+    expect(publishToUser).toHaveBeenCalledWith(1, 'message_hidden', { conversationId: 3, messageId: 20, threadId: null });
+    expect(tombstoned()).toBe(false);
+    expect(publishToConversation).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown scope', async () => {
+    const response = await request(app).delete('/api/messages/20').query({ scope: 'all' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe('Scope must be everyone or me');
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('leaves a tombstone when the sender deletes within the window, and unpins it', async () => {
+    answerWith({ sender_id: 1, role: 'member', created_at: minutesAgo(5) }, { unpinned: 1 });
+
+    const response = await request(app).delete('/api/messages/20');
+
+    expect(response.status).toBe(200);
+    expect(query.mock.calls.find(([sql]) => /UPDATE messages SET deleted_at/.test(sql))[1]).toEqual(['20', 1]);
+    expect(publishToConversation).toHaveBeenCalledWith(3, 'message_unpinned', { conversationId: 3, messageId: 20 });
+    expect(publishToConversation).toHaveBeenCalledWith(3, 'message_deleted', expect.objectContaining({
+      messageId: 20,
+      message: expect.objectContaining({ content: null })
+    }));
+  });
+
+  it('refuses the sender once the delete window has passed', async () => {
+    answerWith({ sender_id: 1, role: 'member', created_at: minutesAgo(61) });
+
+    const response = await request(app).delete('/api/messages/20');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Messages can only be deleted for everyone within 60 minutes of sending');
+    expect(tombstoned()).toBe(false);
+  });
+
+  it('lets an admin delete anyone\'s message at any time', async () => {
+    answerWith({ sender_id: 2, role: 'admin', created_at: minutesAgo(6000) });
+
+    const response = await request(app).delete('/api/messages/20');
+
+    expect(response.status).toBe(200);
+    expect(tombstoned()).toBe(true);
+  });
+
+  it('refuses members deleting someone else\'s message for everyone', async () => {
+    answerWith({ sender_id: 2, role: 'member', created_at: minutesAgo(1) });
+
+    const response = await request(app).delete('/api/messages/20');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Can only delete your own messages');
+  });
+
+  it('reports a message that was already deleted', async () => {
+    answerWith({ sender_id: 1, role: 'member', created_at: minutesAgo(1), deleted_at: minutesAgo(1) });
+
+    const response = await request(app).delete('/api/messages/20');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Message has already been deleted');
+  });
+
+  it('hides messages from people outside the conversation', async () => {
+    answerWith(null);
+
+    const response = await request(app).delete('/api/messages/20');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('PUT /api/messages/:id', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+  const client = {
+    query: jest.fn(async (sql) => ({ rows: /FOR UPDATE/.test(sql) ? [{ content: 'before' }] : [] })),
+    release: jest.fn()
+  };
+
+  // Answer the message lookup with `message`, joined with its conversation's edit window
+  const answerWith = (message) => {
+    query.mockImplementation(async (sql) => {
+      if (/SELECT m\.\*, c\.edit_window_minutes/.test(sql)) {
+        return {
+          rows: message
+            ? [{ id: 20, conversation_id: 3, sender_id: 1, message_type: 'text', deleted_at: null, edit_window_minutes: null, ...message }]
+            : []
+        };
+      }
+      return { rows: [] };
+    });
+  };
+
+  beforeEach(() => {
+    getClient.mockResolvedValue(client);
+    getMessageById.mockResolvedValue({ id: 20, conversation_id: 3, content: 'after', is_edited: true });
+  });
+
+  it('keeps the replaced content as a revision in the same transaction as the edit', async () => {
+    answerWith({ created_at: minutesAgo(5) });
+
+    const response = await request(app).put('/api/messages/20').send({ content: 'after' });
+
+    expect(response.status).toBe(200);
+    expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0])).toEqual(['BEGIN', 'SELECT', 'INSERT', 'UPDATE', 'COMMIT']);
+    expect(client.query.mock.calls[2][1]).toEqual(['20', 'before', 1]);
+    expect(publishToConversation).toHaveBeenCalledWith(3, 'message_updated', expect.objectContaining({ content: 'after' }));
+  });
+
+  it('refuses edits after the conversation\'s edit window', async () => {
+    answerWith({ created_at: minutesAgo(16), edit_window_minutes: 15 });
+
+    const response = await request(app).put('/api/messages/20').send({ content: 'after' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Messages can only be edited within 15 minutes of sending');
+    expect(getClient).not.toHaveBeenCalled();
+  });
+
+  it('allows edits at any age when the conversation has no edit window', async () => {
+    answerWith({ created_at: minutesAgo(60 * 24 * 365) });
+
+    const response = await request(app).put('/api/messages/20').send({ content: 'after' });
+
+    expect(response.status).toBe(200);
+  });
+
+  it.each([
+    ['someone else\'s message', { sender_id: 2 }, 403, 'Can only edit your own messages'],
+    ['a deleted message', { deleted_at: '2024-05-01T10:00:00Z' }, 400, 'Message has been deleted'],
+    ['a system message', { message_type: 'system' }, 400, 'System messages cannot be edited']
+  ])('refuses to edit %s', async (description, message, status, error) => {
+    answerWith({ created_at: minutesAgo(1), ...message });
+
+    const response = await request(app).put('/api/messages/20').send({ content: 'after' });
+
+    expect(response.status).toBe(status);
+    expect(response.body.error).toBe(error);
+    expect(getClient).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/messages/:id/history', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+
+  // Answer the message lookup, the participant check and the revisions query
+  const answerWith = ({ message, participant = true, edits = [] }) => {
+    query.mockImplementation(async (sql) => {
+      if (/SELECT id, conversation_id, content, created_at, edited_at, deleted_at FROM messages/.test(sql)) {
+        return { rows: message ? [{ id: 20, conversation_id: 3, deleted_at: null, ...message }] : [] };
+      }
+      if (/FROM conversation_participants/.test(sql)) {
+        return { rows: participant ? [{}] : [] };
+      }
+      if (/FROM message_edits e/.test(sql)) {
+        return { rows: edits };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it('lists revisions oldest first, each written when the one before it was replaced', async () => {
+    answerWith({
+      message: { content: 'third', created_at: 't0', edited_at: 't2' },
+      edits: [
+        { id: 1, content: 'first', replaced_at: 't1', edited_by: 'alice' },
+        { id: 2, content: 'second', replaced_at: 't2', edited_by: 'alice' }
+      ]
+    });
+
+    const response = await request(app).get('/api/messages/20/history');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      messageId: 20,
+      current: { content: 'third', written_at: 't2' },
+      revisions: [
+        { id: 1, content: 'first', written_at: 't0', replaced_at: 't1', edited_by: 'alice' },
+        { id: 2, content: 'second', written_at: 't1', replaced_at: 't2', edited_by: 'alice' }
+      ]
+    });
+  });
+
+  it('hides the history of a message deleted for everyone', async () => {
+    answerWith({ message: { content: 'gone', deleted_at: '2024-05-01T10:00:00Z' } });
+
+    const response = await request(app).get('/api/messages/20/history');
+
+    expect(response.status).toBe(404);
+    expect(query.mock.calls.some(([sql]) => /FROM message_edits/.test(sql))).toBe(false);
+  });
+
+  it('refuses people outside the conversation', async () => {
+    answerWith({ message: { content: 'hi' }, participant: false });
+
+    const response = await request(app).get('/api/messages/20/history');
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('message reactions', () => {
+  const app = buildApp('/api/messages', messageRoutes);
+  const GROUPED = [{ reaction: '👍', count: '2', users: ['alice', 'bob'] }];
+
+  // Answer the visibility check, the reaction write (with `changed` rows) and the grouped reactions
+  const answerWith = ({ visible = true, changed = 1 } = {}) => {
+    query.mockImplementation(async (sql) => {
+      if (/SELECT m\.conversation_id, m\.thread_id/.test(sql)) {
+        return { rows: visible ? [{ conversation_id: 3, thread_id: null }] : [] };
+      }
+      if (/INSERT INTO message_reactions|DELETE FROM message_reactions/.test(sql)) {
+        return { rows: [], rowCount: changed };
+      }
+      if (/FROM message_reactions mr/.test(sql)) {
+        return { rows: GROUPED };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it.each(['🦄', ':thumbsup:', '', '👍👍'])('rejects %j, which is not an allowed reaction', async (reaction) => {
+    const response = await request(app).post('/api/messages/20/reactions').send({ reaction });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe('Reaction is not supported');
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('accepts every allowed reaction', async () => {
+    answerWith();
+
+    for (const reaction of ALLOWED_REACTIONS) {
+      const response = await request(app).post('/api/messages/20/reactions').send({ reaction });
+      expect(response.status).toBe(200);
+    }
+  });
+
+  it('adds a reaction and sends the new totals to the conversation', async () => {
+    answerWith();
+
+    const response = await request(app).post('/api/messages/20/reactions').send({ reaction: '👍' });
+
+    expect(response.body.reactions).toEqual(GROUPED);
+    expect(publishToConversation).toHaveBeenCalledWith(3, 'reaction_added', {
+      conversationId: 3,
+      messageId: 20,
+      threadId: null,
+      reaction: '👍',
+      userId: 1,
+      username: 'alice',
+      reactions: GROUPED
+    });
+  });
+
+  it('does not broadcast a reaction the user had already added', async () => {
+    answerWith({ changed: 0 });
+
+    const response = await request(app).post('/api/messages/20/reactions').send({ reaction: '👍' });
+
+    expect(response.status).toBe(200);
+    expect(publishToConversation).not.toHaveBeenCalled();
+  });
+
+  it('removes a reaction and sends the new totals to the conversation', async () => {
+    answerWith();
+
+    const response = await request(app).delete(`/api/messages/20/reactions/${encodeURIComponent('👍')}`);
+
+    expect(response.status).toBe(200);
+    expect(publishToConversation).toHaveBeenCalledWith(3, 'reaction_removed', expect.objectContaining({
+      reaction: '👍',
+      reactions: GROUPED
+    }));
+  });
+
+  it('rejects removing a reaction that is not allowed', async () => {
+    const response = await request(app).delete(`/api/messages/20/reactions/${encodeURIComponent('🦄')}`);
+
+    expect(response.status).toBe(400);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('refuses reactions on messages the user cannot see or that were deleted', async () => {
+    answerWith({ visible: false });
+
+    const response = await request(app).post('/api/messages/20/reactions').send({ reaction: '👍' });
+
+    expect(response.status).toBe(404);
+    expect(query.mock.calls[0][0]).toMatch(/m\.deleted_at IS NULL/);
+  });
+});
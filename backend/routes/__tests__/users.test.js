@@ -0,0 +1,167 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+
+const request = require('supertest');
+const { buildApp } = require('../../test/buildApp');
+const { query } = require('../../config/database');
+const { MAX_PAGE_SIZE, encodeMessageCursor } = require('../../models/message');
+const userRoutes = require('../users');
+
+
+// Keys as the keys query returns them, newest first; the last two share a timestamp
+const KEYS = [
+  { id: 9, created_at: '2024-05-01 10:00:02.5' },
+  { id: 8, created_at: '2024-05-01 10:00:01.123456' },
+  { id: 7, created_at: '2024-05-01 10:00:01.123456' }
+];
+
+// Answer the keys query with `keys` and the message query with a row per requested id
+const answerWith = (keys) => {
+  query.mockImplementation(async (sql, params) => {
+    if (/created_at::text as created_at/.test(sql)) {
+      return { rows: keys };
+    }
+    if (/WHERE m\.id = ANY\(\$1\)/.test(sql)) {
+      return { rows: params[0].map(id => ({ id, content: `message ${id}` })) };
+    }
+    // Reactions
+    return { rows: [] };
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('GET /api/users/me/mentions', () => {
+  const app = buildApp('/api/users', userRoutes);
+
+  it('rejects a malformed cursor', async () => {
+    const response = await request(app).get('/api/users/me/mentions').query({ cursor: 'yesterday' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe('Invalid cursor');
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it.each([0, MAX_PAGE_SIZE + 1, 'all'])('rejects a limit of %s', async (limit) => {
+    const response = await request(app).get('/api/users/me/mentions').query({ limit });
+
+    expect(response.status).toBe(400);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('returns a page in key order with a cursor for the last message', async () => {
+    answerWith(KEYS);
+
+    const response = await request(app).get('/api/users/me/mentions').query({ limit: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.mentions.map(message => message.id)).toEqual([9, 8]);
+    expect(response.body.pagination).toEqual({
+      limit: 2,
+      hasMore: true,
+      nextCursor: encodeMessageCursor(KEYS[1])
+    });
+    // One extra row tells whether there's another page
+    expect(query.mock.calls[0][1]).toEqual([1, 3]);
+  });
+
+  it('continues after the cursor by (created_at, id), so equal timestamps are not skipped', async () => {
+    answerWith([KEYS[2]]);
+    const cursor = encodeMessageCursor(KEYS[1]);
+
+    const response = await request(app).get('/api/users/me/mentions').query({ cursor, limit: 2 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/\(m\.created_at, m\.id\) < \(\$2::timestamp, \$3\)/);
+    expect(params).toEqual([1, KEYS[1].created_at, 8, 3]);
+    expect(response.body.mentions.map(message => message.id)).toEqual([7]);
+    expect(response.body.pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+  });
+
+  it('returns an empty page without loading messages', async () => {
+    answerWith([]);
+
+    const response = await request(app).get('/api/users/me/mentions');
+
+    expect(response.body).toEqual({ mentions: [], pagination: { limit: 20, hasMore: false, nextCursor: null } });
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('GET /api/users/me/saved', () => {
+  const app = buildApp('/api/users', userRoutes);
+
+  // Saved items as the page query returns them, most recently saved first; the last two share a time
+  const SAVED = [
+    { message_id: 30, saved_at_key: '2024-05-01 10:00:02.5' },
+    { message_id: 21, saved_at_key: '2024-05-01 10:00:01.123456' },
+    { message_id: 20, saved_at_key: '2024-05-01 10:00:01.123456' }
+  ];
+
+  // Answer the page query with `rows` and the message query with a row per requested id
+  const answerWithSaved = (rows) => {
+    query.mockImplementation(async (sql, params) => {
+      if (/saved_at::text as saved_at_key/.test(sql)) {
+        return { rows };
+      }
+      if (/WHERE m\.id = ANY\(\$1\)/.test(sql)) {
+        return { rows: params[0].map(id => ({ id })) };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it.each([
+    [{ cursor: '2024-05-01T10:00:00Z' }, 'Invalid cursor'],
+    [{ conversationId: 'abc' }, 'Invalid conversation ID'],
+    [{ limit: MAX_PAGE_SIZE + 1 }, `Limit must be between 1 and ${MAX_PAGE_SIZE}`]
+  ])('rejects %o', async (params, message) => {
+    const response = await request(app).get('/api/users/me/saved').query(params);
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].msg).toBe(message);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('returns a page with a cursor for the last item when there is more', async () => {
+    answerWithSaved(SAVED);
+
+    const response = await request(app).get('/api/users/me/saved').query({ conversationId: '4', limit: '2' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.saved.map(item => item.message_id)).toEqual([30, 21]);
+    expect(response.body.saved[0]).not.toHaveProperty('saved_at_key');
+    expect(response.body.pagination).toEqual({
+      limit: 2,
+      hasMore: true,
+      nextCursor: encodeMessageCursor({ id: 21, created_at: '2024-05-01 10:00:01.123456' })
+    });
+    // One extra row tells whether there's another page
+    expect(query.mock.calls[0][1]).toEqual([1, 4, 3]);
+  });
+
+  it('continues after the cursor by (saved_at, message_id), so equal save times are not skipped', async () => {
+    answerWithSaved([SAVED[2]]);
+    const cursor = encodeMessageCursor({ id: 21, created_at: '2024-05-01 10:00:01.123456' });
+
+    const response = await request(app).get('/api/users/me/saved').query({ cursor, limit: 2 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/\(sm\.saved_at, sm\.message_id\) < \(\$2::timestamp, \$3\)/);
+    expect(params).toEqual([1, '2024-05-01 10:00:01.123456', 21, 3]);
+    expect(response.body.saved.map(item => item.message_id)).toEqual([20]);
+  });
+
+  it('reports no next page when the last page is exactly full', async () => {
+    answerWithSaved(SAVED.slice(0, 2));
+
+    const response = await request(app).get('/api/users/me/saved').query({ limit: 2 });
+
+    expect(response.body.saved).toHaveLength(2);
+    expect(response.body.pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+  });
+});
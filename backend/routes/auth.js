@@ -54,7 +54,7 @@ router.post('/register', [
 
     // Create user
     const newUser = await query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, created_at',
+      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, show_email, created_at',
       [username, email, passwordHash]
     );
 
@@ -100,7 +100,7 @@ router.post('/login', [
 
     // Find user by username
     const userResult = await query(
-      'SELECT id, username, email, password_hash, status FROM users WHERE username = $1',
+      'SELECT id, username, email, show_email, password_hash, status FROM users WHERE username = $1',
       [username]
     );
 
@@ -180,7 +180,7 @@ router.get('/me', async (req, res) => {
     // This endpoint requires authentication middleware
     // req.user is set by the authenticateToken middleware
     const userResult = await query(
-      'SELECT id, username, email, avatar_url, status, last_seen, created_at FROM users WHERE id = $1',
+      'SELECT id, username, email, show_email, avatar_url, status, last_seen, created_at FROM users WHERE id = $1',
       [req.user.id]
     );
 
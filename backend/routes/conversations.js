@@ -1,9 +1,28 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { query, getClient } = require('../config/database');
+const {
+  markConversationRead,
+  getPinPermission,
+  getPins,
+  getDraft,
+  saveDraft,
+  clearDraft
+} = require('../models/conversation');
+const { MESSAGE_FORMATS, notHiddenFor, notExpired, getMessageById, createMessage } = require('../models/message');
+const { SEARCH_LANGUAGES } = require('../config/searchLanguages');
+const {
+  publishToConversation,
+  publishToUser,
+  removeUserFromConversation
+} = require('../services/eventBus');
 
 const router = express.Router();
 
+// Range allowed for disappearing messages
+const MIN_MESSAGE_TTL_SECONDS = 60;
+const MAX_MESSAGE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
 /**
  * @route   GET /api/conversations
  * @desc    Get all conversations for current user
@@ -18,12 +37,19 @@ router.get('/', async (req, res) => {
         c.id,
         c.name,
         c.type,
+        c.edit_window_minutes,
+        c.members_can_pin,
+        c.message_ttl_seconds,
+        c.search_language,
         c.created_at,
         c.updated_at,
         (
           SELECT m.content 
           FROM messages m 
           WHERE m.conversation_id = c.id 
+          AND m.deleted_at IS NULL
+          AND ${notHiddenFor(1)}
+          AND ${notExpired()}
           ORDER BY m.created_at DESC 
           LIMIT 1
         ) as last_message,
@@ -31,21 +57,29 @@ router.get('/', async (req, res) => {
           SELECT m.created_at 
           FROM messages m 
           WHERE m.conversation_id = c.id 
+          AND m.deleted_at IS NULL
+          AND ${notHiddenFor(1)}
+          AND ${notExpired()}
           ORDER BY m.created_at DESC 
           LIMIT 1
         ) as last_message_time,
+        cp.last_read_message_id,
         (
           SELECT COUNT(*) 
           FROM messages m 
           WHERE m.conversation_id = c.id 
           AND m.sender_id != $1
-          AND m.created_at > (
-            SELECT COALESCE(MAX(m2.created_at), '1970-01-01'::timestamp)
-            FROM messages m2
-            WHERE m2.conversation_id = c.id
-            AND m2.sender_id = $1
-          )
-        ) as unread_count
+          AND m.id > COALESCE(cp.last_read_message_id, 0)
+          AND m.thread_id IS NULL
+          AND m.deleted_at IS NULL
+          AND ${notHiddenFor(1)}
+          AND ${notExpired()}
+        ) as unread_count,
+        (
+          SELECT json_build_object('content', d.content, 'format', d.format, 'updated_at', d.updated_at)
+          FROM message_drafts d
+          WHERE d.conversation_id = c.id AND d.user_id = $1
+        ) as draft
       FROM conversations c
       INNER JOIN conversation_participants cp ON c.id = cp.conversation_id
       WHERE cp.user_id = $1
@@ -62,7 +96,9 @@ router.get('/', async (req, res) => {
             u.username, 
             u.avatar_url, 
             u.status,
-            cp.role
+            cp.role,
+            cp.last_read_message_id,
+            cp.last_delivered_message_id
           FROM conversation_participants cp
           INNER JOIN users u ON cp.user_id = u.id
           WHERE cp.conversation_id = $1
@@ -128,7 +164,9 @@ router.get('/:id', async (req, res) => {
         u.avatar_url, 
         u.status,
         cp.role,
-        cp.joined_at
+        cp.joined_at,
+        cp.last_read_message_id,
+        cp.last_delivered_message_id
       FROM conversation_participants cp
       INNER JOIN users u ON cp.user_id = u.id
       WHERE cp.conversation_id = $1
@@ -237,7 +275,9 @@ router.post('/', [
           u.username, 
           u.avatar_url, 
           u.status,
-          cp.role
+          cp.role,
+          cp.last_read_message_id,
+          cp.last_delivered_message_id
         FROM conversation_participants cp
         INNER JOIN users u ON cp.user_id = u.id
         WHERE cp.conversation_id = $1
@@ -249,6 +289,10 @@ router.post('/', [
         participants: participantsResult.rows
       };
 
+      for (const participantId of uniqueParticipantIds) {
+        publishToUser(participantId, 'conversation_created', conversationWithParticipants);
+      }
+
       res.status(201).json({
         message: 'Conversation created successfully',
         conversation: conversationWithParticipants
@@ -269,15 +313,29 @@ router.post('/', [
 
 /**
  * @route   PUT /api/conversations/:id
- * @desc    Update conversation (name for group chats)
+ * @desc    Update conversation settings (name for group chats, edit window, pinning, disappearing messages)
  * @access  Private
  */
 router.put('/:id', [
-  body('name').optional().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters')
+  body('name').optional().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('editWindowMinutes').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Edit window must be a whole number of minutes'),
+  body('membersCanPin').optional().isBoolean().withMessage('membersCanPin must be a boolean'),
+  body('messageTtlSeconds').optional({ nullable: true })
+    .isInt({ min: MIN_MESSAGE_TTL_SECONDS, max: MAX_MESSAGE_TTL_SECONDS })
+    .withMessage('Message expiry must be between 1 minute and 90 days, in seconds'),
+  body('searchLanguage').optional().isIn(SEARCH_LANGUAGES).withMessage('Unsupported search language')
 ], async (req, res) => {
   try {
     const { id } = req.params;
-    const { name } = req.body;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
 
     // Check if user is admin
     const adminResult = await query(
@@ -289,16 +347,42 @@ router.put('/:id', [
       return res.status(403).json({ error: 'Admin access required' });
     }
 
+    // Only update the settings that were sent
+    const settings = {
+      name: req.body.name,
+      edit_window_minutes: req.body.editWindowMinutes,
+      members_can_pin: req.body.membersCanPin,
+      // Only applies to messages sent from now on
+      message_ttl_seconds: req.body.messageTtlSeconds,
+      // Changing it re-indexes the conversation's messages (see schema.sql)
+      search_language: req.body.searchLanguage
+    };
+
+    const updates = [];
+    const params = [id];
+    Object.entries(settings).forEach(([column, value]) => {
+      if (value !== undefined) {
+        params.push(value);
+        updates.push(`${column} = $${params.length}`);
+      }
+    });
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No settings to update' });
+    }
+
     // Update conversation
     const updateResult = await query(
-      'UPDATE conversations SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
-      [name, id]
+      `UPDATE conversations SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+      params
     );
 
     if (updateResult.rows.length === 0) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
+    publishToConversation(id, 'conversation_updated', updateResult.rows[0]);
+
     res.json({
       message: 'Conversation updated successfully',
       conversation: updateResult.rows[0]
@@ -329,9 +413,20 @@ router.delete('/:id', async (req, res) => {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
+    // Remember who to notify before the participants are cascaded away
+    const participantsResult = await query(
+      'SELECT user_id FROM conversation_participants WHERE conversation_id = $1',
+      [id]
+    );
+
     // Delete conversation (cascade will handle participants and messages)
     await query('DELETE FROM conversations WHERE id = $1', [id]);
 
+    for (const { user_id: participantId } of participantsResult.rows) {
+      publishToUser(participantId, 'conversation_deleted', { conversationId: parseInt(id) });
+      removeUserFromConversation(participantId, id);
+    }
+
     res.json({ message: 'Conversation deleted successfully' });
 
   } catch (error) {
@@ -340,6 +435,319 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/conversations/:id/read
+ * @desc    Mark conversation as read up to a message (defaults to the latest)
+ * @access  Private
+ */
+router.post('/:id/read', [
+  body('messageId').optional({ nullable: true }).isInt().withMessage('Invalid message ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { messageId } = req.body;
+
+    // Check if user is participant
+    const participantResult = await query(
+      'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (participantResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+
+    const pointer = await markConversationRead(id, req.user.id, messageId);
+
+    if (!pointer) {
+      return res.status(400).json({ error: 'Message not found in this conversation' });
+    }
+
+    const receipt = {
+      conversationId: parseInt(id),
+      userId: req.user.id,
+      username: req.user.username,
+      lastReadMessageId: pointer.last_read_message_id,
+      readAt: pointer.last_read_at
+    };
+
+    publishToConversation(id, 'read_receipt', receipt);
+
+    res.json({
+      message: 'Conversation marked as read',
+      receipt
+    });
+
+  } catch (error) {
+    console.error('Error marking conversation as read:', error);
+    res.status(500).json({ error: 'Failed to mark conversation as read' });
+  }
+});
+
+/**
+ * @route   GET /api/conversations/:id/draft
+ * @desc    Get your unsent draft for a conversation
+ * @access  Private
+ */
+router.get('/:id/draft', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user is participant
+    const participantResult = await query(
+      'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (participantResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+
+    res.json({ draft: await getDraft(id, req.user.id) });
+
+  } catch (error) {
+    console.error('Error fetching draft:', error);
+    res.status(500).json({ error: 'Failed to fetch draft' });
+  }
+});
+
+/**
+ * @route   PUT /api/conversations/:id/draft
+ * @desc    Save your unsent draft for a conversation (empty content removes it)
+ * @access  Private
+ */
+router.put('/:id/draft', [
+  body('content').isString().isLength({ max: 20000 }).withMessage('Draft must be text of at most 20000 characters'),
+  body('format').optional().isIn(MESSAGE_FORMATS).withMessage('Invalid message format')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { content, format = 'plain' } = req.body;
+
+    // Check if user is participant
+    const participantResult = await query(
+      'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (participantResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+
+    const draft = await saveDraft(id, req.user.id, content, format);
+
+    // Keep the user's other devices in sync
+    publishToUser(req.user.id, 'draft_updated', { conversationId: parseInt(id), draft });
+
+    res.json({ draft });
+
+  } catch (error) {
+    console.error('Error saving draft:', error);
+    res.status(500).json({ error: 'Failed to save draft' });
+  }
+});
+
+/**
+ * @route   DELETE /api/conversations/:id/draft
+ * @desc    Discard your unsent draft for a conversation
+ * @access  Private
+ */
+router.delete('/:id/draft', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (await clearDraft(id, req.user.id)) {
+      publishToUser(req.user.id, 'draft_updated', { conversationId: parseInt(id), draft: null });
+    }
+
+    res.json({ message: 'Draft discarded' });
+
+  } catch (error) {
+    console.error('Error discarding draft:', error);
+    res.status(500).json({ error: 'Failed to discard draft' });
+  }
+});
+
+/**
+ * @route   GET /api/conversations/:id/pins
+ * @desc    Get pinned messages, newest pin first
+ * @access  Private
+ */
+router.get('/:id/pins', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { isParticipant } = await getPinPermission(id, req.user.id);
+    if (!isParticipant) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+
+    res.json({ pins: await getPins(id) });
+
+  } catch (error) {
+    console.error('Error fetching pins:', error);
+    res.status(500).json({ error: 'Failed to fetch pinned messages' });
+  }
+});
+
+/**
+ * @route   POST /api/conversations/:id/pins
+ * @desc    Pin a message (admins, or members when the conversation allows it)
+ * @access  Private
+ */
+router.post('/:id/pins', [
+  body('messageId').isInt().withMessage('Valid message ID is required')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { messageId } = req.body;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const { isParticipant, canPin } = await getPinPermission(id, req.user.id);
+    if (!isParticipant) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+    if (!canPin) {
+      return res.status(403).json({ error: 'Only admins can pin messages in this conversation' });
+    }
+
+    const messageResult = await query(
+      `SELECT m.id FROM messages m
+       WHERE m.id = $1 AND m.conversation_id = $2 AND m.deleted_at IS NULL AND m.message_type != 'system'
+       AND ${notExpired()}`,
+      [messageId, id]
+    );
+
+    if (messageResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found in this conversation' });
+    }
+
+    const pinResult = await query(
+      `INSERT INTO pinned_messages (conversation_id, message_id, pinned_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING
+       RETURNING message_id, pinned_at, pinned_by`,
+      [id, messageId, req.user.id]
+    );
+
+    if (pinResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Message is already pinned' });
+    }
+
+    const pin = {
+      ...pinResult.rows[0],
+      pinned_by_name: req.user.username,
+      message: await getMessageById(messageId)
+    };
+
+    // Leave a note in the conversation that points at the pinned message
+    const { message: systemMessage } = await createMessage({
+      conversationId: id,
+      senderId: req.user.id,
+      content: `${req.user.username} pinned a message`,
+      messageType: 'system',
+      replyToId: messageId
+    });
+
+    publishToConversation(id, 'message_pinned', { conversationId: parseInt(id), pin });
+    publishToConversation(id, 'message_created', systemMessage);
+
+    res.status(201).json({
+      message: 'Message pinned successfully',
+      pin
+    });
+
+  } catch (error) {
+    console.error('Error pinning message:', error);
+    res.status(500).json({ error: 'Failed to pin message' });
+  }
+});
+
+/**
+ * @route   DELETE /api/conversations/:id/pins/:messageId
+ * @desc    Unpin a message
+ * @access  Private
+ */
+router.delete('/:id/pins/:messageId', [
+  param('messageId').isInt().withMessage('Invalid message ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id, messageId } = req.params;
+
+    const { isParticipant, canPin } = await getPinPermission(id, req.user.id);
+    if (!isParticipant) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+    if (!canPin) {
+      return res.status(403).json({ error: 'Only admins can unpin messages in this conversation' });
+    }
+
+    const deleteResult = await query(
+      'DELETE FROM pinned_messages WHERE conversation_id = $1 AND message_id = $2',
+      [id, messageId]
+    );
+
+    if (deleteResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Message is not pinned' });
+    }
+
+    const { message: systemMessage } = await createMessage({
+      conversationId: id,
+      senderId: req.user.id,
+      content: `${req.user.username} unpinned a message`,
+      messageType: 'system',
+      replyToId: messageId
+    });
+
+    publishToConversation(id, 'message_unpinned', {
+      conversationId: parseInt(id),
+      messageId: parseInt(messageId)
+    });
+    publishToConversation(id, 'message_created', systemMessage);
+
+    res.json({ message: 'Message unpinned successfully' });
+
+  } catch (error) {
+    console.error('Error unpinning message:', error);
+    res.status(500).json({ error: 'Failed to unpin message' });
+  }
+});
+
 /**
  * @route   POST /api/conversations/:id/participants
  * @desc    Add participant to conversation
@@ -378,6 +786,30 @@ router.post('/:id/participants', [
       [id, userId, 'member']
     );
 
+    const participantResult = await query(`
+      SELECT 
+        u.id, 
+        u.username, 
+        u.avatar_url, 
+        u.status,
+        cp.role,
+        cp.joined_at,
+        cp.last_read_message_id,
+        cp.last_delivered_message_id
+      FROM conversation_participants cp
+      INNER JOIN users u ON cp.user_id = u.id
+      WHERE cp.conversation_id = $1 AND cp.user_id = $2
+    `, [id, userId]);
+
+    const event = {
+      conversationId: parseInt(id),
+      participant: participantResult.rows[0]
+    };
+
+    // The new member isn't in the room yet, so tell them directly
+    publishToConversation(id, 'participant_added', event);
+    publishToUser(userId, 'participant_added', event);
+
     res.json({ message: 'Participant added successfully' });
 
   } catch (error) {
@@ -413,11 +845,19 @@ router.delete('/:id/participants/:userId', async (req, res) => {
     }
 
     // Remove participant
-    await query(
+    const deleteResult = await query(
       'DELETE FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
       [id, userId]
     );
 
+    if (deleteResult.rowCount > 0) {
+      const event = { conversationId: parseInt(id), userId: parseInt(userId) };
+
+      publishToConversation(id, 'participant_removed', event);
+      publishToUser(userId, 'participant_removed', event);
+      removeUserFromConversation(userId, id);
+    }
+
     res.json({ message: 'Participant removed successfully' });
 
   } catch (error) {
@@ -1,18 +1,79 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { query, getClient } = require('../config/database');
+const { ALLOWED_REACTIONS } = require('../config/reactions');
+const { MAX_FORWARD_MESSAGES, MAX_FORWARD_TARGETS } = require('../config/forwarding');
+const { uploadSingleFile } = require('../middleware/upload');
+const { storage, buildStorageKey } = require('../services/storage');
+const { publishToConversation, publishToUser } = require('../services/eventBus');
+const { recordMentions } = require('../services/mentions');
+const { queueLinkPreviews } = require('../services/linkPreviews');
+const { parseSearchQuery, hasSearchCriteria } = require('../services/searchQuery');
+const { clearDraft } = require('../models/conversation');
+const { MAX_SEARCH_PAGE_SIZE, MATCH_MODES, searchMessages } = require('../models/search');
+const {
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  MAX_OPTION_LENGTH,
+  createPoll,
+  getUserVotes,
+  withPollVotes
+} = require('../models/poll');
+const {
+  MESSAGE_SELECT,
+  MESSAGE_FORMATS,
+  notHiddenFor,
+  notExpired,
+  MAX_PAGE_SIZE,
+  MAX_CLIENT_ID_LENGTH,
+  decodeMessageCursor,
+  getMessagePage,
+  hasMessagesBeyond,
+  getMessagesAround,
+  getReactions,
+  withReactions,
+  getMessageById,
+  findThreadParent,
+  findReplyTarget,
+  findMessageByClientId,
+  createMessage
+} = require('../models/message');
 
 const router = express.Router();
 
+// How long after sending a sender may still delete a message for everyone
+// Conversation admins can delete any message at any time
+const DELETE_WINDOW_MINUTES = parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES || '60');
+
 /**
  * @route   GET /api/messages/:conversationId
- * @desc    Get messages for a conversation
+ * @desc    Get messages for a conversation: the latest, or a page relative to a cursor
+ *          (`before` for older, `after` for newer) or around a message (`around`)
  * @access  Private
  */
-router.get('/:conversationId', async (req, res) => {
+router.get('/:conversationId', [
+  queryParam('limit').optional().isInt({ min: 2, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 2 and ${MAX_PAGE_SIZE}`).toInt(),
+  queryParam('around').optional().isInt().withMessage('Invalid message ID').toInt(),
+  queryParam(['before', 'after']).optional().custom(value => decodeMessageCursor(value) !== null)
+    .withMessage('Invalid cursor')
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { conversationId } = req.params;
-    const { limit = 50, offset = 0, before } = req.query;
+    const { limit = 50, before, after, around } = req.query;
+
+    if ([before, after, around].filter(value => value !== undefined).length > 1) {
+      return res.status(400).json({ error: 'Use only one of before, after and around' });
+    }
 
     // Check if user is participant
     const participantResult = await query(
@@ -24,74 +85,45 @@ router.get('/:conversationId', async (req, res) => {
       return res.status(403).json({ error: 'Not a participant in this conversation' });
     }
 
-    let sql = `
-      SELECT 
-        m.id,
-        m.conversation_id,
-        m.sender_id,
-        m.content,
-        m.message_type,
-        m.file_url,
-        m.is_edited,
-        m.edited_at,
-        m.created_at,
-        u.username as sender_name,
-        u.avatar_url as sender_avatar
-      FROM messages m
-      INNER JOIN users u ON m.sender_id = u.id
-      WHERE m.conversation_id = $1
-    `;
-    let params = [conversationId];
-    let paramCount = 1;
-
-    // Add timestamp filter if 'before' is provided
-    if (before) {
-      paramCount++;
-      sql += ` AND m.created_at < $${paramCount}`;
-      params.push(before);
-    }
-
-    // Add ordering and pagination
-    paramCount++;
-    sql += ` ORDER BY m.created_at DESC LIMIT $${paramCount}`;
-    params.push(parseInt(limit));
-
-    if (offset > 0) {
-      paramCount++;
-      sql += ` OFFSET $${paramCount}`;
-      params.push(parseInt(offset));
-    }
-
-    const messagesResult = await query(sql, params);
-
-    // Get message reactions
-    const messagesWithReactions = await Promise.all(
-      messagesResult.rows.map(async (message) => {
-        const reactionsResult = await query(`
-          SELECT 
-            mr.reaction,
-            COUNT(*) as count,
-            ARRAY_AGG(u.username) as users
-          FROM message_reactions mr
-          INNER JOIN users u ON mr.user_id = u.id
-          WHERE mr.message_id = $1
-          GROUP BY mr.reaction
-        `, [message.id]);
-
-        return {
-          ...message,
-          reactions: reactionsResult.rows
-        };
-      })
-    );
+    const options = { conversationId, userId: req.user.id, limit };
+
+    if (around !== undefined) {
+      const result = await getMessagesAround({ ...options, messageId: around });
+      if (!result) {
+        return res.status(404).json({ error: 'Message not found in this conversation' });
+      }
+
+      return res.json({
+        ...result,
+        messages: await withPollVotes(await withReactions(result.messages), req.user.id)
+      });
+    }
+
+    // Thread replies are fetched separately through /:id/thread
+    const direction = after ? 'after' : 'before';
+    const from = decodeMessageCursor(before || after);
+    const page = await getMessagePage({ ...options, from, direction });
+
+    // The other side of the cursor: the messages the client paged away from
+    const hasMoreBeyondCursor = from !== null && await hasMessagesBeyond({
+      ...options,
+      from,
+      direction: after ? 'before' : 'after',
+      inclusive: true
+    });
+
+    // Get message reactions, and the user's own votes on polls
+    const messages = await withPollVotes(await withReactions(page.messages), req.user.id);
 
     res.json({
-      messages: messagesWithReactions.reverse(), // Reverse to get chronological order
+      messages,
       pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: messagesWithReactions.length,
-        hasMore: messagesWithReactions.length === parseInt(limit)
+        limit,
+        hasMore: page.hasMore,
+        hasMoreBefore: after ? hasMoreBeyondCursor : page.hasMore,
+        hasMoreAfter: after ? page.hasMore : hasMoreBeyondCursor,
+        beforeCursor: page.beforeCursor,
+        afterCursor: page.afterCursor
       }
     });
 
@@ -101,6 +133,111 @@ router.get('/:conversationId', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/messages/forward/limits
+ * @desc    How many messages and conversations a single forward may include
+ * @access  Private
+ */
+router.get('/forward/limits', (req, res) => {
+  res.json({
+    maxMessages: MAX_FORWARD_MESSAGES,
+    maxTargets: MAX_FORWARD_TARGETS
+  });
+});
+
+/**
+ * @route   POST /api/messages/forward
+ * @desc    Forward messages to other conversations, keeping the original author
+ * @access  Private
+ */
+router.post('/forward', [
+  body('messageIds').isArray({ min: 1, max: MAX_FORWARD_MESSAGES })
+    .withMessage(`Select between 1 and ${MAX_FORWARD_MESSAGES} messages to forward`),
+  body('messageIds.*').isInt().withMessage('Invalid message ID').toInt(),
+  body('conversationIds').isArray({ min: 1, max: MAX_FORWARD_TARGETS })
+    .withMessage(`Select between 1 and ${MAX_FORWARD_TARGETS} conversations`),
+  body('conversationIds.*').isInt().withMessage('Invalid conversation ID').toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const messageIds = [...new Set(req.body.messageIds)];
+    const conversationIds = [...new Set(req.body.conversationIds)];
+
+    // Source messages must be visible to the user in a conversation they're still in
+    const sourceResult = await query(
+      `SELECT m.id, m.content, m.message_type, m.format, m.file_url, m.file_name, m.file_size, m.file_mime_type,
+              COALESCE(m.forwarded_from_user_id, m.sender_id) as original_sender_id
+       FROM messages m
+       INNER JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = $2
+       WHERE m.id = ANY($1)
+       AND m.deleted_at IS NULL
+       AND ${notHiddenFor(2)}
+       AND ${notExpired()}
+       ORDER BY m.created_at, m.id`,
+      [messageIds, req.user.id]
+    );
+
+    if (sourceResult.rows.length !== messageIds.length) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // System messages describe their conversation and polls carry their own votes
+    if (sourceResult.rows.some(message => ['system', 'poll'].includes(message.message_type))) {
+      return res.status(400).json({ error: 'System messages and polls cannot be forwarded' });
+    }
+
+    const targetResult = await query(
+      'SELECT conversation_id FROM conversation_participants WHERE conversation_id = ANY($1) AND user_id = $2',
+      [conversationIds, req.user.id]
+    );
+
+    if (targetResult.rows.length !== conversationIds.length) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+
+    // Attachments point at the already stored file rather than being uploaded again
+    const forwarded = [];
+    for (const conversationId of conversationIds) {
+      for (const source of sourceResult.rows) {
+        const { message } = await createMessage({
+          conversationId,
+          senderId: req.user.id,
+          content: source.content,
+          messageType: source.message_type,
+          format: source.format,
+          fileUrl: source.file_url,
+          fileName: source.file_name,
+          fileSize: source.file_size,
+          fileMimeType: source.file_mime_type,
+          forwardedFromMessageId: source.id,
+          forwardedFromUserId: source.original_sender_id
+        });
+
+        publishToConversation(conversationId, 'message_created', message);
+        queueLinkPreviews(message);
+        forwarded.push(message);
+      }
+    }
+
+    res.status(201).json({
+      message: 'Messages forwarded successfully',
+      messages: forwarded
+    });
+
+  } catch (error) {
+    console.error('Error forwarding messages:', error);
+    res.status(500).json({ error: 'Failed to forward messages' });
+  }
+});
+
 /**
  * @route   POST /api/messages/:conversationId
  * @desc    Send a new message
@@ -108,8 +245,28 @@ router.get('/:conversationId', async (req, res) => {
  */
 router.post('/:conversationId', [
   body('content').notEmpty().withMessage('Message content is required'),
-  body('messageType').optional().isIn(['text', 'image', 'file']).withMessage('Invalid message type'),
-  body('fileUrl').optional().isURL().withMessage('Invalid file URL')
+  body('messageType').optional().isIn(['text', 'image', 'file', 'poll']).withMessage('Invalid message type'),
+  body('format').optional().isIn(MESSAGE_FORMATS).withMessage('Invalid message format'),
+  // Polls: the content is the question
+  body('poll.options').if(body('messageType').equals('poll'))
+    .isArray({ min: MIN_POLL_OPTIONS, max: MAX_POLL_OPTIONS })
+    .withMessage(`Polls need between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`)
+    .bail()
+    .custom(options => new Set(options.map(option => String(option).trim().toLowerCase())).size === options.length)
+    .withMessage('Poll options must be different'),
+  body('poll.options.*').if(body('messageType').equals('poll'))
+    .isString().trim().isLength({ min: 1, max: MAX_OPTION_LENGTH })
+    .withMessage(`Poll options must be between 1 and ${MAX_OPTION_LENGTH} characters`),
+  body('poll.allowMultiple').optional().isBoolean().withMessage('allowMultiple must be a boolean'),
+  body('poll.anonymous').optional().isBoolean().withMessage('anonymous must be a boolean'),
+  body('poll.closesAt').optional({ nullable: true }).isISO8601().withMessage('Invalid poll close time').bail()
+    .custom(value => new Date(value) > new Date()).withMessage('Poll close time must be in the future'),
+  body('fileUrl').optional().isURL().withMessage('Invalid file URL'),
+  body('threadId').optional({ nullable: true }).isInt().withMessage('Invalid thread ID'),
+  body('replyToId').optional({ nullable: true }).isInt().withMessage('Invalid reply-to message ID'),
+  body('clientId').optional({ nullable: true })
+    .isString().withMessage('Invalid client ID').bail()
+    .isLength({ max: MAX_CLIENT_ID_LENGTH }).withMessage('Invalid client ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -122,7 +279,7 @@ router.post('/:conversationId', [
     }
 
     const { conversationId } = req.params;
-    const { content, messageType = 'text', fileUrl } = req.body;
+    const { content, messageType = 'text', format = 'plain', fileUrl, threadId, replyToId, clientId, poll } = req.body;
 
     // Check if user is participant
     const participantResult = await query(
@@ -134,38 +291,52 @@ router.post('/:conversationId', [
       return res.status(403).json({ error: 'Not a participant in this conversation' });
     }
 
-    // Create message
-    const messageResult = await query(
-      `INSERT INTO messages (conversation_id, sender_id, content, message_type, file_url) 
-       VALUES ($1, $2, $3, $4, $5) 
-       RETURNING *`,
-      [conversationId, req.user.id, content, messageType, fileUrl || null]
-    );
+    // Replies can only be posted to top-level messages in the same conversation
+    if (threadId && !(await findThreadParent(threadId, conversationId))) {
+      return res.status(400).json({ error: 'Invalid thread' });
+    }
 
-    // Update conversation timestamp
-    await query(
-      'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-      [conversationId]
-    );
+    // Quoted messages must come from the same conversation
+    if (replyToId && !(await findReplyTarget(replyToId, conversationId))) {
+      return res.status(400).json({ error: 'Quoted message not found in this conversation' });
+    }
 
-    // Get message with sender info
-    const messageWithSender = await query(`
-      SELECT 
-        m.*,
-        u.username as sender_name,
-        u.avatar_url as sender_avatar
-      FROM messages m
-      INNER JOIN users u ON m.sender_id = u.id
-      WHERE m.id = $1
-    `, [messageResult.rows[0].id]);
-
-    const message = {
-      ...messageWithSender.rows[0],
-      reactions: []
-    };
+    // Create message (a retry with the same clientId returns the stored message)
+    let { message, created } = await createMessage({
+      conversationId,
+      senderId: req.user.id,
+      content,
+      messageType,
+      format,
+      fileUrl: fileUrl || null,
+      threadId: threadId || null,
+      replyToId: replyToId || null,
+      clientId: clientId || null
+    });
 
-    res.status(201).json({
-      message: 'Message sent successfully',
+    if (created && messageType === 'poll') {
+      try {
+        await createPoll(message.id, poll);
+      } catch (error) {
+        // Don't leave a poll message without its poll behind
+        await query('DELETE FROM messages WHERE id = $1', [message.id]).catch(() => {});
+        throw error;
+      }
+      message = await getMessageById(message.id);
+    }
+
+    if (created) {
+      publishToConversation(conversationId, 'message_created', message);
+      queueLinkPreviews(message);
+
+      // The conversation's draft was this message (thread replies have their own composer)
+      if (!threadId && await clearDraft(conversationId, req.user.id)) {
+        publishToUser(req.user.id, 'draft_updated', { conversationId: parseInt(conversationId), draft: null });
+      }
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Message sent successfully' : 'Message already sent',
       data: message
     });
 
@@ -175,17 +346,145 @@ router.post('/:conversationId', [
   }
 });
 
+/**
+ * @route   POST /api/messages/:conversationId/attachments
+ * @desc    Upload a file or image and send it as a message
+ * @access  Private
+ */
+router.post('/:conversationId/attachments', uploadSingleFile('file'), async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { content = '', clientId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'File is required' });
+    }
+
+    // Check if user is participant
+    const participantResult = await query(
+      'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+      [conversationId, req.user.id]
+    );
+
+    if (participantResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+
+    // Don't store the file again when a retried upload was already sent
+    const existing = await findMessageByClientId(req.user.id, clientId);
+    if (existing) {
+      return res.json({
+        message: 'File already uploaded',
+        data: await getMessageById(existing.id)
+      });
+    }
+
+    const { originalname, mimetype, size, buffer } = req.file;
+    const messageType = mimetype.startsWith('image/') ? 'image' : 'file';
+
+    // Store the file before creating the message so we never point at a missing object
+    const stored = await storage.save(buffer, {
+      key: buildStorageKey(conversationId, mimetype),
+      mimeType: mimetype,
+      fileName: originalname
+    });
+
+    let message;
+    try {
+      ({ message } = await createMessage({
+        conversationId,
+        senderId: req.user.id,
+        content: content.trim(),
+        messageType,
+        fileUrl: stored.url,
+        fileName: originalname,
+        fileSize: size,
+        fileMimeType: mimetype,
+        clientId: clientId || null
+      }));
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await storage.remove(stored.key).catch(() => {});
+      throw error;
+    }
+
+    publishToConversation(conversationId, 'message_created', message);
+    queueLinkPreviews(message);
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      data: message
+    });
+
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    res.status(500).json({ error: 'Failed to upload file' });
+  }
+});
+
+/**
+ * @route   GET /api/messages/:id/thread
+ * @desc    Get a thread's parent message and its replies
+ * @access  Private
+ */
+router.get('/:id/thread', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const parent = await getMessageById(id);
+
+    // Expired messages are gone even if the sweeper hasn't deleted them yet
+    if (!parent || (parent.expires_at && new Date(parent.expires_at) <= new Date())) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // Check if user is participant
+    const participantResult = await query(
+      'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+      [parent.conversation_id, req.user.id]
+    );
+
+    if (participantResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+
+    if (parent.thread_id) {
+      return res.status(400).json({ error: 'Message is a thread reply', threadId: parent.thread_id });
+    }
+
+    const repliesResult = await query(`
+      ${MESSAGE_SELECT}
+      WHERE m.thread_id = $1
+      AND ${notHiddenFor(2)}
+      AND ${notExpired()}
+      ORDER BY m.created_at ASC
+    `, [id, req.user.id]);
+
+    const [parentWithVotes] = await withPollVotes([parent], req.user.id);
+
+    res.json({
+      parent: parentWithVotes,
+      replies: await withPollVotes(await withReactions(repliesResult.rows), req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching thread:', error);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+});
+
 /**
  * @route   PUT /api/messages/:id
  * @desc    Edit a message
  * @access  Private
  */
 router.put('/:id', [
-  body('content').notEmpty().withMessage('Message content is required')
+  body('content').notEmpty().withMessage('Message content is required'),
+  body('format').optional().isIn(MESSAGE_FORMATS).withMessage('Invalid message format')
 ], async (req, res) => {
   try {
     const { id } = req.params;
-    const { content } = req.body;
+    const { content, format } = req.body;
 
     // Check for validation errors
     const errors = validationResult(req);
@@ -196,9 +495,12 @@ router.put('/:id', [
       });
     }
 
-    // Get message and check ownership
+    // Get message with its conversation's edit window and check ownership
     const messageResult = await query(
-      'SELECT * FROM messages WHERE id = $1',
+      `SELECT m.*, c.edit_window_minutes
+       FROM messages m
+       INNER JOIN conversations c ON c.id = m.conversation_id
+       WHERE m.id = $1`,
       [id]
     );
 
@@ -212,18 +514,61 @@ router.put('/:id', [
       return res.status(403).json({ error: 'Can only edit your own messages' });
     }
 
-    // Update message
-    const updateResult = await query(
-      `UPDATE messages 
-       SET content = $1, is_edited = true, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $2 
-       RETURNING *`,
-      [content, id]
-    );
+    if (message.deleted_at) {
+      return res.status(400).json({ error: 'Message has been deleted' });
+    }
+
+    if (message.message_type === 'system') {
+      return res.status(400).json({ error: 'System messages cannot be edited' });
+    }
+
+    const ageMinutes = (Date.now() - new Date(message.created_at).getTime()) / 60000;
+    if (message.edit_window_minutes !== null && ageMinutes > message.edit_window_minutes) {
+      return res.status(403).json({
+        error: `Messages can only be edited within ${message.edit_window_minutes} minutes of sending`
+      });
+    }
+
+    // Save the current revision and update in one transaction so no revision is lost
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const currentResult = await client.query(
+        'SELECT content FROM messages WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      await client.query(
+        'INSERT INTO message_edits (message_id, content, edited_by) VALUES ($1, $2, $3)',
+        [id, currentResult.rows[0].content, req.user.id]
+      );
+
+      await client.query(
+        `UPDATE messages 
+         SET content = $1, format = COALESCE($3, format), is_edited = true, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $2`,
+        [content, id, format || null]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Edits can add or remove mentions; only newly mentioned users are notified
+    const [updated] = await withReactions([await getMessageById(id)]);
+    updated.mentioned_user_ids = await recordMentions(updated);
+    publishToConversation(message.conversation_id, 'message_updated', updated);
+    queueLinkPreviews(updated);
 
     res.json({
       message: 'Message updated successfully',
-      data: updateResult.rows[0]
+      data: updated
     });
 
   } catch (error) {
@@ -233,17 +578,84 @@ router.put('/:id', [
 });
 
 /**
- * @route   DELETE /api/messages/:id
- * @desc    Delete a message
+ * @route   GET /api/messages/:id/history
+ * @desc    Get a message's edit history, oldest revision first
  * @access  Private
  */
-router.delete('/:id', async (req, res) => {
+router.get('/:id/history', async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Get message and check ownership
     const messageResult = await query(
-      'SELECT * FROM messages WHERE id = $1',
+      'SELECT id, conversation_id, content, created_at, edited_at, deleted_at FROM messages WHERE id = $1',
+      [id]
+    );
+
+    if (messageResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const message = messageResult.rows[0];
+
+    // Check if user is participant
+    const participantResult = await query(
+      'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+      [message.conversation_id, req.user.id]
+    );
+
+    if (participantResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+
+    // Deleting a message for everyone removes its history from view too
+    if (message.deleted_at) {
+      return res.status(404).json({ error: 'Message has been deleted' });
+    }
+
+    const editsResult = await query(`
+      SELECT e.id, e.content, e.created_at as replaced_at, u.username as edited_by
+      FROM message_edits e
+      LEFT JOIN users u ON e.edited_by = u.id
+      WHERE e.message_id = $1
+      ORDER BY e.created_at ASC, e.id ASC
+    `, [id]);
+
+    // Each revision was written when the previous one was replaced
+    const revisions = editsResult.rows.map((edit, index) => ({
+      id: edit.id,
+      content: edit.content,
+      written_at: index === 0 ? message.created_at : editsResult.rows[index - 1].replaced_at,
+      replaced_at: edit.replaced_at,
+      edited_by: edit.edited_by
+    }));
+
+    res.json({
+      messageId: message.id,
+      current: {
+        content: message.content,
+        written_at: message.edited_at || message.created_at
+      },
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Error fetching message history:', error);
+    res.status(500).json({ error: 'Failed to fetch message history' });
+  }
+});
+
+/**
+ * @route   DELETE /api/messages/:id/link-previews
+ * @desc    Remove a message's link preview (?url=...) or all of its previews
+ * @access  Private
+ */
+router.delete('/:id/link-previews', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { url } = req.query;
+
+    const messageResult = await query(
+      'SELECT sender_id, conversation_id FROM messages WHERE id = $1',
       [id]
     );
 
@@ -254,13 +666,132 @@ router.delete('/:id', async (req, res) => {
     const message = messageResult.rows[0];
 
     if (message.sender_id !== req.user.id) {
+      return res.status(403).json({ error: 'Can only remove previews from your own messages' });
+    }
+
+    // Previews are dismissed rather than deleted so editing the message doesn't bring them back
+    const result = await query(
+      `UPDATE message_link_previews SET dismissed = true
+       WHERE message_id = $1 AND ($2::text IS NULL OR url = $2) AND NOT dismissed`,
+      [id, url || null]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Link preview not found' });
+    }
+
+    const updated = await getMessageById(id);
+    publishToConversation(message.conversation_id, 'message_updated', updated);
+
+    res.json({
+      message: 'Link preview removed',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Error removing link preview:', error);
+    res.status(500).json({ error: 'Failed to remove link preview' });
+  }
+});
+
+/**
+ * @route   DELETE /api/messages/:id
+ * @desc    Delete a message for everyone (tombstone) or hide it for yourself (?scope=me)
+ * @access  Private
+ */
+router.delete('/:id', [
+  queryParam('scope').optional().isIn(['everyone', 'me']).withMessage('Scope must be everyone or me')
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scope = 'everyone' } = req.query;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    // Get message along with the requester's role in its conversation
+    const messageResult = await query(
+      `SELECT m.*, cp.role
+       FROM messages m
+       INNER JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = $2
+       WHERE m.id = $1`,
+      [id, req.user.id]
+    );
+
+    if (messageResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const message = messageResult.rows[0];
+
+    if (scope === 'me') {
+      await query(
+        'INSERT INTO message_hidden (message_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [id, req.user.id]
+      );
+
+      // Hide it on the user's other devices too
+      publishToUser(req.user.id, 'message_hidden', {
+        conversationId: message.conversation_id,
+        messageId: message.id,
+        threadId: message.thread_id
+      });
+
+      return res.json({ message: 'Message deleted for you' });
+    }
+
+    if (message.deleted_at) {
+      return res.status(400).json({ error: 'Message has already been deleted' });
+    }
+
+    const isAdmin = message.role === 'admin';
+    const isSender = message.sender_id === req.user.id;
+    const ageMinutes = (Date.now() - new Date(message.created_at).getTime()) / 60000;
+
+    if (!isAdmin && !isSender) {
       return res.status(403).json({ error: 'Can only delete your own messages' });
     }
 
-    // Delete message
-    await query('DELETE FROM messages WHERE id = $1', [id]);
+    if (!isAdmin && ageMinutes > DELETE_WINDOW_MINUTES) {
+      return res.status(403).json({
+        error: `Messages can only be deleted for everyone within ${DELETE_WINDOW_MINUTES} minutes of sending`
+      });
+    }
 
-    res.json({ message: 'Message deleted successfully' });
+    // Keep the row as a tombstone so replies, quotes and threads still resolve
+    await query(
+      'UPDATE messages SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2 WHERE id = $1',
+      [id, req.user.id]
+    );
+
+    // Deleted messages can't stay pinned
+    const unpinResult = await query('DELETE FROM pinned_messages WHERE message_id = $1', [id]);
+    if (unpinResult.rowCount > 0) {
+      publishToConversation(message.conversation_id, 'message_unpinned', {
+        conversationId: message.conversation_id,
+        messageId: message.id
+      });
+    }
+
+    const [tombstone] = await withReactions([await getMessageById(id)]);
+
+    publishToConversation(message.conversation_id, 'message_deleted', {
+      conversationId: message.conversation_id,
+      messageId: message.id,
+      threadId: message.thread_id,
+      message: tombstone
+    });
+
+    res.json({
+      message: 'Message deleted successfully',
+      data: tombstone
+    });
 
   } catch (error) {
     console.error('Error deleting message:', error);
@@ -268,13 +799,114 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/messages/:id/votes
+ * @desc    Vote in a poll, replacing your previous votes (an empty list retracts them)
+ * @access  Private
+ */
+router.post('/:id/votes', [
+  body('optionIds').isArray({ max: MAX_POLL_OPTIONS }).withMessage('optionIds must be a list of option IDs'),
+  body('optionIds.*').isInt().withMessage('Invalid option ID').toInt()
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const optionIds = [...new Set(req.body.optionIds)];
+
+    // Check if the poll exists and the user can see it
+    const pollResult = await query(
+      `SELECT m.conversation_id, m.thread_id, p.allow_multiple,
+              COALESCE(p.closes_at <= CURRENT_TIMESTAMP, false) as closed,
+              ARRAY(SELECT po.id FROM poll_options po WHERE po.message_id = p.message_id) as option_ids
+       FROM messages m
+       INNER JOIN polls p ON p.message_id = m.id
+       INNER JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = $2
+       WHERE m.id = $1 AND m.deleted_at IS NULL
+       AND ${notHiddenFor(2)}
+       AND ${notExpired()}`,
+      [id, req.user.id]
+    );
+
+    if (pollResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const poll = pollResult.rows[0];
+
+    if (poll.closed) {
+      return res.status(400).json({ error: 'This poll is closed' });
+    }
+
+    if (!poll.allow_multiple && optionIds.length > 1) {
+      return res.status(400).json({ error: 'This poll allows only one choice' });
+    }
+
+    if (optionIds.some(optionId => !poll.option_ids.includes(optionId))) {
+      return res.status(400).json({ error: 'Option does not belong to this poll' });
+    }
+
+    // Replace the user's votes in one transaction so tallies never see a half-applied change
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'DELETE FROM poll_votes WHERE message_id = $1 AND user_id = $2',
+        [id, req.user.id]
+      );
+
+      await client.query(
+        `INSERT INTO poll_votes (option_id, message_id, user_id)
+         SELECT option_id, $2, $3 FROM UNNEST($1::int[]) AS option_id`,
+        [optionIds, id, req.user.id]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const updated = await getMessageById(id);
+
+    // Tallies only; each client keeps track of its own votes
+    publishToConversation(poll.conversation_id, 'poll_updated', {
+      conversationId: poll.conversation_id,
+      messageId: Number(id),
+      threadId: poll.thread_id,
+      poll: updated.poll
+    });
+
+    res.json({
+      message: 'Vote recorded',
+      poll: { ...updated.poll, my_option_ids: await getUserVotes(id, req.user.id) }
+    });
+
+  } catch (error) {
+    console.error('Error voting in poll:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+});
+
 /**
  * @route   POST /api/messages/:id/reactions
  * @desc    Add reaction to message
  * @access  Private
  */
 router.post('/:id/reactions', [
-  body('reaction').notEmpty().withMessage('Reaction is required')
+  body('reaction').isIn(ALLOWED_REACTIONS).withMessage('Reaction is not supported')
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -289,18 +921,23 @@ router.post('/:id/reactions', [
       });
     }
 
-    // Check if message exists
+    // Check if message exists and the user can see it
     const messageResult = await query(
-      'SELECT 1 FROM messages WHERE id = $1',
-      [id]
+      `SELECT m.conversation_id, m.thread_id
+       FROM messages m
+       INNER JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = $2
+       WHERE m.id = $1 AND m.deleted_at IS NULL`,
+      [id, req.user.id]
     );
 
     if (messageResult.rows.length === 0) {
       return res.status(404).json({ error: 'Message not found' });
     }
 
+    const message = messageResult.rows[0];
+
     // Add or update reaction
-    await query(
+    const insertResult = await query(
       `INSERT INTO message_reactions (message_id, user_id, reaction) 
        VALUES ($1, $2, $3) 
        ON CONFLICT (message_id, user_id, reaction) 
@@ -308,7 +945,21 @@ router.post('/:id/reactions', [
       [id, req.user.id, reaction]
     );
 
-    res.json({ message: 'Reaction added successfully' });
+    const reactions = await getReactions(id);
+
+    if (insertResult.rowCount > 0) {
+      publishToConversation(message.conversation_id, 'reaction_added', {
+        conversationId: message.conversation_id,
+        messageId: Number(id),
+        threadId: message.thread_id,
+        reaction,
+        userId: req.user.id,
+        username: req.user.username,
+        reactions
+      });
+    }
+
+    res.json({ message: 'Reaction added successfully', reactions });
 
   } catch (error) {
     console.error('Error adding reaction:', error);
@@ -321,17 +972,57 @@ router.post('/:id/reactions', [
  * @desc    Remove reaction from message
  * @access  Private
  */
-router.delete('/:id/reactions/:reaction', async (req, res) => {
+router.delete('/:id/reactions/:reaction', [
+  param('reaction').isIn(ALLOWED_REACTIONS).withMessage('Reaction is not supported')
+], async (req, res) => {
   try {
     const { id, reaction } = req.params;
 
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    // Check if message exists and the user can see it
+    const messageResult = await query(
+      `SELECT m.conversation_id, m.thread_id
+       FROM messages m
+       INNER JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = $2
+       WHERE m.id = $1 AND m.deleted_at IS NULL`,
+      [id, req.user.id]
+    );
+
+    if (messageResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const message = messageResult.rows[0];
+
     // Remove reaction
-    await query(
+    const deleteResult = await query(
       'DELETE FROM message_reactions WHERE message_id = $1 AND user_id = $2 AND reaction = $3',
       [id, req.user.id, reaction]
     );
 
-    res.json({ message: 'Reaction removed successfully' });
+    const reactions = await getReactions(id);
+
+    if (deleteResult.rowCount > 0) {
+      publishToConversation(message.conversation_id, 'reaction_removed', {
+        conversationId: message.conversation_id,
+        messageId: Number(id),
+        threadId: message.thread_id,
+        reaction,
+        userId: req.user.id,
+        username: req.user.username,
+        reactions
+      });
+    }
+
+    res.json({ message: 'Reaction removed successfully', reactions });
 
   } catch (error) {
     console.error('Error removing reaction:', error);
@@ -341,18 +1032,33 @@ router.delete('/:id/reactions/:reaction', async (req, res) => {
 
 /**
  * @route   GET /api/messages/search/:conversationId
- * @desc    Search messages in a conversation
+ * @desc    Search messages in a conversation (same query syntax and paging as GET /api/search)
  * @access  Private
  */
-router.get('/search/:conversationId', async (req, res) => {
+router.get('/search/:conversationId', [
+  param('conversationId').isInt().withMessage('Invalid conversation ID').toInt(),
+  queryParam('q').isString().trim().isLength({ min: 1, max: 500 })
+    .withMessage('Search query must be between 1 and 500 characters'),
+  queryParam('limit').optional().isInt({ min: 1, max: MAX_SEARCH_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_SEARCH_PAGE_SIZE}`).toInt(),
+  queryParam('cursor').optional().custom(value => decodeMessageCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+  queryParam('match_mode').optional().isIn(MATCH_MODES)
+    .withMessage(`Match mode must be one of: ${MATCH_MODES.join(', ')}`)
+], async (req, res) => {
   try {
-    const { conversationId } = req.params;
-    const { q, limit = 20, offset = 0 } = req.query;
-
-    if (!q) {
-      return res.status(400).json({ error: 'Search query is required' });
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
     }
 
+    const { conversationId } = req.params;
+    const { q, limit = 20, cursor, match_mode: matchMode = 'auto' } = req.query;
+
     // Check if user is participant
     const participantResult = await query(
       'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
@@ -363,33 +1069,30 @@ router.get('/search/:conversationId', async (req, res) => {
       return res.status(403).json({ error: 'Not a participant in this conversation' });
     }
 
-    // Search messages using full-text search
-    const searchResult = await query(`
-      SELECT 
-        m.id,
-        m.conversation_id,
-        m.sender_id,
-        m.content,
-        m.message_type,
-        m.created_at,
-        u.username as sender_name,
-        u.avatar_url as sender_avatar,
-        ts_rank(to_tsvector('english', m.content), plainto_tsquery('english', $1)) as rank
-      FROM messages m
-      INNER JOIN users u ON m.sender_id = u.id
-      WHERE m.conversation_id = $2
-      AND to_tsvector('english', m.content) @@ plainto_tsquery('english', $1)
-      ORDER BY rank DESC, m.created_at DESC
-      LIMIT $3 OFFSET $4
-    `, [q, conversationId, parseInt(limit), parseInt(offset)]);
+    const search = parseSearchQuery(q);
+    if (search.errors.length > 0) {
+      return res.status(400).json({ error: search.errors[0], details: search.errors });
+    }
+
+    if (!hasSearchCriteria(search)) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    const page = await searchMessages(req.user.id, search, {
+      conversationId,
+      from: cursor ? decodeMessageCursor(cursor) : null,
+      limit,
+      matchMode
+    });
 
     res.json({
-      messages: searchResult.rows,
+      messages: page.results,
       query: q,
       pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: searchResult.rows.length
+        limit,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        matchMode: page.matchMode
       }
     });
 
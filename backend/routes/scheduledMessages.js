@@ -0,0 +1,200 @@
+const express = require('express');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { MESSAGE_FORMATS } = require('../models/message');
+const { publishToUser } = require('../services/eventBus');
+const { SCHEDULED_SELECT, getScheduledMessage } = require('../services/scheduledMessages');
+
+const router = express.Router();
+
+// How far ahead a message can be scheduled
+const MAX_SCHEDULE_DAYS = 365;
+
+const validateScheduledAt = (value) => {
+  const scheduledAt = new Date(value);
+  if (scheduledAt.getTime() <= Date.now()) {
+    throw new Error('Scheduled time must be in the future');
+  }
+  if (scheduledAt.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(`Messages can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`);
+  }
+  return true;
+};
+
+/**
+ * @route   GET /api/scheduled-messages
+ * @desc    Get your scheduled messages, optionally for one conversation (?conversationId=)
+ * @access  Private
+ */
+router.get('/', [
+  queryParam('conversationId').optional().isInt().withMessage('Invalid conversation ID'),
+  queryParam('status').optional().isIn(['pending', 'sent', 'failed']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { conversationId, status = 'pending' } = req.query;
+
+    const result = await query(`
+      ${SCHEDULED_SELECT}
+      WHERE sender_id = $1
+      AND status = $2
+      AND ($3::int IS NULL OR conversation_id = $3)
+      ORDER BY scheduled_at ASC
+    `, [req.user.id, status, conversationId || null]);
+
+    res.json({ scheduledMessages: result.rows });
+
+  } catch (error) {
+    console.error('Error fetching scheduled messages:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled messages' });
+  }
+});
+
+/**
+ * @route   POST /api/scheduled-messages
+ * @desc    Schedule a message to be sent later
+ * @access  Private
+ */
+router.post('/', [
+  body('conversationId').isInt().withMessage('Conversation ID is required'),
+  body('content').trim().notEmpty().withMessage('Message content is required'),
+  body('format').optional().isIn(MESSAGE_FORMATS).withMessage('Invalid message format'),
+  body('scheduledAt').isISO8601().withMessage('Invalid scheduled time').bail().custom(validateScheduledAt)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { conversationId, content, format = 'plain', scheduledAt } = req.body;
+
+    // Check if user is participant
+    const participantResult = await query(
+      'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+      [conversationId, req.user.id]
+    );
+
+    if (participantResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Not a participant in this conversation' });
+    }
+
+    const insertResult = await query(
+      `INSERT INTO scheduled_messages (conversation_id, sender_id, content, format, scheduled_at)
+       VALUES ($1, $2, $3, $4, $5::timestamptz)
+       RETURNING id`,
+      [conversationId, req.user.id, content, format, scheduledAt]
+    );
+
+    const scheduled = await getScheduledMessage(insertResult.rows[0].id);
+
+    // Keep the sender's other devices in sync
+    publishToUser(req.user.id, 'scheduled_message_updated', scheduled);
+
+    res.status(201).json({
+      message: 'Message scheduled successfully',
+      scheduledMessage: scheduled
+    });
+
+  } catch (error) {
+    console.error('Error scheduling message:', error);
+    res.status(500).json({ error: 'Failed to schedule message' });
+  }
+});
+
+/**
+ * @route   PUT /api/scheduled-messages/:id
+ * @desc    Change a pending scheduled message's content or time
+ * @access  Private
+ */
+router.put('/:id', [
+  body('content').optional().trim().notEmpty().withMessage('Message content cannot be empty'),
+  body('format').optional().isIn(MESSAGE_FORMATS).withMessage('Invalid message format'),
+  body('scheduledAt').optional().isISO8601().withMessage('Invalid scheduled time').bail().custom(validateScheduledAt)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { content, format, scheduledAt } = req.body;
+
+    // Only pending messages can change; one the dispatcher is sending right now
+    // stays locked until it's sent and then no longer matches
+    const updateResult = await query(
+      `UPDATE scheduled_messages
+       SET content = COALESCE($3, content),
+           format = COALESCE($4, format),
+           scheduled_at = COALESCE($5::timestamptz, scheduled_at)
+       WHERE id = $1 AND sender_id = $2 AND status = 'pending'
+       RETURNING id`,
+      [id, req.user.id, content || null, format || null, scheduledAt || null]
+    );
+
+    if (updateResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Scheduled message not found or already sent' });
+    }
+
+    const scheduled = await getScheduledMessage(id);
+    publishToUser(req.user.id, 'scheduled_message_updated', scheduled);
+
+    res.json({
+      message: 'Scheduled message updated successfully',
+      scheduledMessage: scheduled
+    });
+
+  } catch (error) {
+    console.error('Error updating scheduled message:', error);
+    res.status(500).json({ error: 'Failed to update scheduled message' });
+  }
+});
+
+/**
+ * @route   DELETE /api/scheduled-messages/:id
+ * @desc    Cancel a pending scheduled message
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deleteResult = await query(
+      `DELETE FROM scheduled_messages
+       WHERE id = $1 AND sender_id = $2 AND status = 'pending'
+       RETURNING id, conversation_id`,
+      [id, req.user.id]
+    );
+
+    if (deleteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Scheduled message not found or already sent' });
+    }
+
+    publishToUser(req.user.id, 'scheduled_message_deleted', {
+      id: deleteResult.rows[0].id,
+      conversationId: deleteResult.rows[0].conversation_id
+    });
+
+    res.json({ message: 'Scheduled message cancelled' });
+
+  } catch (error) {
+    console.error('Error cancelling scheduled message:', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled message' });
+  }
+});
+
+module.exports = router;
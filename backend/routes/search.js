@@ -0,0 +1,114 @@
+const express = require('express');
+const { query: queryParam, validationResult } = require('express-validator');
+const { decodeMessageCursor } = require('../models/message');
+const {
+  MAX_SEARCH_PAGE_SIZE,
+  MAX_QUICK_RESULTS,
+  MATCH_MODES,
+  searchMessages,
+  quickSearch
+} = require('../models/search');
+const { parseSearchQuery, hasSearchCriteria } = require('../services/searchQuery');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/search/quick
+ * @desc    Quick switcher: people and conversations matching `q`, best first
+ *          (recent conversations when `q` is empty)
+ * @access  Private
+ */
+router.get('/quick', [
+  queryParam('q').optional().isString().isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters'),
+  queryParam('limit').optional().isInt({ min: 1, max: MAX_QUICK_RESULTS })
+    .withMessage(`Limit must be between 1 and ${MAX_QUICK_RESULTS}`).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { q = '', limit = 10 } = req.query;
+    const results = await quickSearch(req.user.id, q, limit);
+
+    res.json({ results, query: q });
+
+  } catch (error) {
+    console.error('Error running quick search:', error);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+/**
+ * @route   GET /api/search
+ * @desc    Search messages across all of the user's conversations, newest first
+ *          (`q` takes words, "phrases", prefix*, OR and -exclusions plus from:, in:,
+ *          before:, after:, has:file, has:link and is:pinned filters; `match_mode` is
+ *          auto, fulltext or fuzzy; page with the returned `nextCursor` as `?cursor=`
+ *          and `matchMode` as `?match_mode=`)
+ * @access  Private
+ */
+router.get('/', [
+  queryParam('q').isString().trim().isLength({ min: 1, max: 500 })
+    .withMessage('Search query must be between 1 and 500 characters'),
+  queryParam('limit').optional().isInt({ min: 1, max: MAX_SEARCH_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_SEARCH_PAGE_SIZE}`).toInt(),
+  queryParam('cursor').optional().custom(value => decodeMessageCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+  queryParam('match_mode').optional().isIn(MATCH_MODES)
+    .withMessage(`Match mode must be one of: ${MATCH_MODES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { q, limit = 20, cursor, match_mode: matchMode = 'auto' } = req.query;
+    const search = parseSearchQuery(q);
+    const { errors: filterErrors, terms, text, ...filters } = search;
+
+    if (filterErrors.length > 0) {
+      return res.status(400).json({ error: filterErrors[0], details: filterErrors });
+    }
+
+    if (!hasSearchCriteria(search)) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    const page = await searchMessages(req.user.id, search, {
+      from: cursor ? decodeMessageCursor(cursor) : null,
+      limit,
+      matchMode
+    });
+
+    res.json({
+      results: page.results,
+      query: q,
+      terms,
+      filters,
+      pagination: {
+        limit,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        matchMode: page.matchMode
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
+module.exports = router;
@@ -1,36 +1,55 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
 const { query } = require('../config/database');
+const {
+  MESSAGE_SELECT,
+  MAX_PAGE_SIZE,
+  notHiddenFor,
+  notExpired,
+  encodeMessageCursor,
+  decodeMessageCursor,
+  withReactions
+} = require('../models/message');
+const { MAX_NOTE_LENGTH, getSavedMessages, saveMessage, unsaveMessage } = require('../models/savedMessage');
+const { publishToUser } = require('../services/eventBus');
+const { escapeLikePattern } = require('../services/searchQuery');
 
 const router = express.Router();
 
 /**
  * @route   GET /api/users
- * @desc    Get all users (for user search)
+ * @desc    Get all users (for user search); usernames starting with the search come first
  * @access  Private
  */
 router.get('/', async (req, res) => {
   try {
     const { search, limit = 20, offset = 0 } = req.query;
     
+    // Emails are only shown, and searchable, for users who chose to share them
     let sql = `
-      SELECT id, username, email, avatar_url, status, last_seen, created_at 
+      SELECT id, username, CASE WHEN show_email THEN email END as email, avatar_url, status, last_seen, created_at 
       FROM users 
       WHERE id != $1
     `;
     let params = [req.user.id];
     let paramCount = 1;
+    let order = 'username';
 
     // Add search filter if provided
     if (search) {
+      const pattern = escapeLikePattern(search);
       paramCount++;
-      sql += ` AND (username ILIKE $${paramCount} OR email ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
+      sql += ` AND (username ILIKE $${paramCount} OR (show_email AND email ILIKE $${paramCount}))`;
+      params.push(`%${pattern}%`);
+
+      paramCount++;
+      order = `username ILIKE $${paramCount} DESC, username`;
+      params.push(`${pattern}%`);
     }
 
     // Add pagination
     paramCount++;
-    sql += ` ORDER BY username LIMIT $${paramCount}`;
+    sql += ` ORDER BY ${order} LIMIT $${paramCount}`;
     params.push(parseInt(limit));
 
     if (offset > 0) {
@@ -56,6 +75,203 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/users/me/mentions
+ * @desc    Get messages that mention the current user, newest first
+ *          (page with the returned `nextCursor` as `?cursor=`)
+ * @access  Private
+ */
+router.get('/me/mentions', [
+  queryParam('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`).toInt(),
+  queryParam('cursor').optional().custom(value => decodeMessageCursor(value) !== null)
+    .withMessage('Invalid cursor')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { limit = 20, cursor } = req.query;
+    const from = cursor ? decodeMessageCursor(cursor) : null;
+    const params = from ? [req.user.id, from.createdAt, from.id, limit + 1] : [req.user.id, limit + 1];
+
+    // Only conversations the user still belongs to, and nothing deleted or hidden;
+    // keys first, so the cursor carries the exact timestamp
+    const keysResult = await query(`
+      SELECT m.id, m.created_at::text as created_at
+      FROM messages m
+      INNER JOIN message_mentions mm ON mm.message_id = m.id AND mm.user_id = $1
+      INNER JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = $1
+      WHERE m.deleted_at IS NULL
+      AND ${notHiddenFor(1)}
+      AND ${notExpired()}
+      ${from ? 'AND (m.created_at, m.id) < ($2::timestamp, $3)' : ''}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    const keys = keysResult.rows.slice(0, limit);
+    const hasMore = keysResult.rows.length > limit;
+
+    let mentions = [];
+    if (keys.length > 0) {
+      const mentionsResult = await query(`${MESSAGE_SELECT} WHERE m.id = ANY($1)`, [keys.map(key => key.id)]);
+      const byId = new Map(mentionsResult.rows.map(message => [message.id, message]));
+      mentions = await withReactions(keys.map(key => byId.get(key.id)).filter(Boolean));
+    }
+
+    res.json({
+      mentions,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeMessageCursor(keys[keys.length - 1]) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching mentions:', error);
+    res.status(500).json({ error: 'Failed to fetch mentions' });
+  }
+});
+
+/**
+ * @route   GET /api/users/me/saved
+ * @desc    Get the current user's saved messages, most recently saved first
+ *          (page with the returned `nextCursor` as `?cursor=`)
+ * @access  Private
+ */
+router.get('/me/saved', [
+  queryParam('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`).toInt(),
+  queryParam('cursor').optional().custom(value => decodeMessageCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+  queryParam('conversationId').optional().isInt().withMessage('Invalid conversation ID').toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { limit = 20, cursor, conversationId } = req.query;
+
+    const { saved, hasMore, nextCursor } = await getSavedMessages(req.user.id, {
+      conversationId: conversationId || null,
+      from: cursor ? decodeMessageCursor(cursor) : null,
+      limit
+    });
+
+    res.json({
+      saved,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching saved messages:', error);
+    res.status(500).json({ error: 'Failed to fetch saved messages' });
+  }
+});
+
+/**
+ * @route   POST /api/users/me/saved
+ * @desc    Save a message, or change the note on one already saved
+ * @access  Private
+ */
+router.post('/me/saved', [
+  body('messageId').isInt().withMessage('Valid message ID is required').toInt(),
+  body('note').optional({ nullable: true }).isString().isLength({ max: MAX_NOTE_LENGTH })
+    .withMessage(`Note must be at most ${MAX_NOTE_LENGTH} characters`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { messageId, note } = req.body;
+
+    // Only messages the user can currently see in a conversation they belong to
+    const messageResult = await query(
+      `SELECT m.id FROM messages m
+       INNER JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = $2
+       WHERE m.id = $1
+       AND m.deleted_at IS NULL
+       AND m.message_type != 'system'
+       AND ${notHiddenFor(2)}
+       AND ${notExpired()}`,
+      [messageId, req.user.id]
+    );
+
+    if (messageResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const item = await saveMessage(req.user.id, messageId, note);
+
+    // Keep the user's other devices in sync
+    publishToUser(req.user.id, 'saved_message_updated', item);
+
+    res.status(201).json({ saved: item });
+
+  } catch (error) {
+    console.error('Error saving message:', error);
+    res.status(500).json({ error: 'Failed to save message' });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/me/saved/:messageId
+ * @desc    Remove a message from saved items
+ * @access  Private
+ */
+router.delete('/me/saved/:messageId', [
+  param('messageId').isInt().withMessage('Invalid message ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const messageId = parseInt(req.params.messageId);
+
+    if (!(await unsaveMessage(req.user.id, messageId))) {
+      return res.status(404).json({ error: 'Message is not saved' });
+    }
+
+    publishToUser(req.user.id, 'saved_message_deleted', { messageId });
+
+    res.json({ message: 'Message removed from saved items' });
+
+  } catch (error) {
+    console.error('Error removing saved message:', error);
+    res.status(500).json({ error: 'Failed to remove saved message' });
+  }
+});
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
@@ -65,9 +281,11 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Other users' emails are private unless they chose to share them
     const userResult = await query(
-      'SELECT id, username, email, avatar_url, status, last_seen, created_at FROM users WHERE id = $1',
-      [id]
+      `SELECT id, username, CASE WHEN show_email OR id = $2 THEN email END as email, avatar_url, status, last_seen, created_at
+       FROM users WHERE id = $1`,
+      [id, req.user.id]
     );
 
     if (userResult.rows.length === 0) {
@@ -101,7 +319,11 @@ router.put('/profile', [
   body('avatar_url')
     .optional()
     .isURL()
-    .withMessage('Please provide a valid URL for avatar')
+    .withMessage('Please provide a valid URL for avatar'),
+  body('show_email')
+    .optional()
+    .isBoolean()
+    .withMessage('show_email must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -113,7 +335,7 @@ router.put('/profile', [
       });
     }
 
-    const { username, email, avatar_url } = req.body;
+    const { username, email, avatar_url, show_email } = req.body;
     const updates = [];
     const params = [];
     let paramCount = 0;
@@ -137,6 +359,12 @@ router.put('/profile', [
       params.push(avatar_url);
     }
 
+    if (show_email !== undefined) {
+      paramCount++;
+      updates.push(`show_email = $${paramCount}`);
+      params.push(show_email);
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
@@ -149,7 +377,7 @@ router.put('/profile', [
       UPDATE users 
       SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP 
       WHERE id = $${paramCount}
-      RETURNING id, username, email, avatar_url, status, last_seen, created_at, updated_at
+      RETURNING id, username, email, show_email, avatar_url, status, last_seen, created_at, updated_at
     `;
 
     const updateResult = await query(sql, params);
@@ -1,5 +1,6 @@
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -20,8 +21,13 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const conversationRoutes = require('./routes/conversations');
 const messageRoutes = require('./routes/messages');
+const scheduledMessageRoutes = require('./routes/scheduledMessages');
+const searchRoutes = require('./routes/search');
 const { authenticateToken } = require('./middleware/auth');
 const { setupSocketHandlers } = require('./controllers/socketController');
+const { storage, INLINE_EXTENSIONS } = require('./services/storage');
+const { startScheduledMessageDispatcher } = require('./services/scheduledMessages');
+const { startMessageExpirySweeper } = require('./services/messageExpiry');
 
 // Security middleware
 app.use(helmet());
@@ -47,11 +53,30 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Serve uploaded files when they are stored on local disk
+if (storage.directory) {
+  app.use(storage.publicPath, express.static(storage.directory, {
+    index: false,
+    setHeaders: (res, filePath) => {
+      // Allow the frontend to embed images when it's served from another origin
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.set('X-Content-Type-Options', 'nosniff');
+      // Uploads share the app's origin, so never let one run as a page
+      res.set('Content-Security-Policy', 'sandbox');
+      if (!INLINE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        res.set('Content-Disposition', 'attachment');
+      }
+    }
+  }));
+}
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/conversations', authenticateToken, conversationRoutes);
 app.use('/api/messages', authenticateToken, messageRoutes);
+app.use('/api/scheduled-messages', authenticateToken, scheduledMessageRoutes);
+app.use('/api/search', authenticateToken, searchRoutes);
 
 // Socket.IO setup
 setupSocketHandlers(io);
@@ -72,15 +97,23 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
+let stopScheduledMessageDispatcher = () => {};
+let stopMessageExpirySweeper = () => {};
+
 server.listen(PORT, () => {
   console.log(`🚀 InstantChat server running on port ${PORT}`);
   console.log(`📱 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
   console.log(`🔌 Socket.IO server ready for real-time communication`);
+
+  stopScheduledMessageDispatcher = startScheduledMessageDispatcher();
+  stopMessageExpirySweeper = startMessageExpirySweeper();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopScheduledMessageDispatcher();
+  stopMessageExpirySweeper();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -0,0 +1,70 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+jest.mock('../eventBus', () => ({
+  publishToUser: jest.fn()
+}));
+
+const { query } = require('../../config/database');
+const { publishToUser } = require('../eventBus');
+const { parseMentions, recordMentions } = require('../mentions');
+
+describe('parseMentions', () => {
+  it('collects usernames case-insensitively without duplicates', () => {
+    expect(parseMentions('@Alice can you ask @bob_2? cc @alice')).toEqual({
+      usernames: ['alice', 'bob_2'],
+      here: false,
+      all: false
+    });
+  });
+
+  it('recognises @here and @all', () => {
+    expect(parseMentions('@here and @ALL')).toEqual({ usernames: [], here: true, all: true });
+  });
+
+  it('skips email addresses and doubled @', () => {
+    expect(parseMentions('mail alice@example.com or @@bob').usernames).toEqual([]);
+  });
+
+  it('handles punctuation around mentions and empty content', () => {
+    expect(parseMentions('(@carol), @dave.').usernames).toEqual(['carol', 'dave']);
+    expect(parseMentions(null)).toEqual({ usernames: [], here: false, all: false });
+  });
+});
+
+describe('recordMentions', () => {
+  const message = { id: 40, conversation_id: 7, sender_id: 1, content: '@bob @carol' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('notifies only users who were newly mentioned', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ id: 2, mention_type: 'user' }, { id: 3, mention_type: 'user' }] })
+      .mockResolvedValueOnce({ rows: [] })
+      // bob was already mentioned before an edit, so only carol's row is new
+      .mockResolvedValueOnce({ rows: [{ user_id: 3, mention_type: 'user' }] });
+
+    await expect(recordMentions(message)).resolves.toEqual([2, 3]);
+
+    expect(publishToUser).toHaveBeenCalledTimes(1);
+    expect(publishToUser).toHaveBeenCalledWith(3, 'mention', expect.objectContaining({
+      conversationId: 7,
+      mentionType: 'user'
+    }));
+  });
+
+  it('clears stored mentions when an edit removes them all', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    await expect(recordMentions({ ...message, content: 'no one' })).resolves.toEqual([]);
+
+    // No lookup is needed, only the cleanup
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(query.mock.calls[0][0]).toMatch(/DELETE FROM message_mentions/);
+    expect(query.mock.calls[0][1]).toEqual([40, []]);
+    expect(publishToUser).not.toHaveBeenCalled();
+  });
+});
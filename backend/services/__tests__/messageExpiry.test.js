@@ -0,0 +1,137 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+jest.mock('../eventBus', () => ({
+  publishToConversation: jest.fn()
+}));
+jest.mock('../storage', () => ({
+  storage: { remove: jest.fn().mockResolvedValue() },
+  storageKeyFromUrl: (url) => (url ? url.replace('/uploads/', '') : null)
+}));
+
+const { query, getClient } = require('../../config/database');
+const { publishToConversation } = require('../eventBus');
+const { storage } = require('../storage');
+const { BATCH_SIZE, purgeExpiredMessages } = require('../messageExpiry');
+
+/**
+ * A fake transaction client that answers the sweeper's queries from one batch each
+ * @param {Array<Object>} batches - { expiredIds, unpinned, removed } per batch
+ */
+const fakeClient = (batches) => {
+  let batch = null;
+  const client = {
+    queries: [],
+    release: jest.fn(),
+    query: jest.fn(async (sql) => {
+      client.queries.push(sql.trim().split(/\s+/)[0]);
+      if (/FOR UPDATE SKIP LOCKED/.test(sql)) {
+        batch = batches.shift() || { expiredIds: [] };
+        return { rows: batch.expiredIds.map(id => ({ id })) };
+      }
+      if (/FROM pinned_messages/.test(sql)) {
+        return { rows: batch.unpinned || [] };
+      }
+      if (/^\s*DELETE FROM messages/.test(sql)) {
+        return { rows: batch.removed || [] };
+      }
+      return { rows: [] };
+    })
+  };
+  return client;
+};
+
+const range = (count, start = 1) => Array.from({ length: count }, (_, index) => start + index);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  query.mockResolvedValue({ rows: [] });
+});
+
+describe('purgeExpiredMessages', () => {
+  it('reports cascaded thread replies and pins, not just the expired message', async () => {
+    getClient.mockResolvedValue(fakeClient([{
+      expiredIds: [10],
+      unpinned: [{ conversation_id: 1, message_id: 11 }],
+      removed: [
+        { id: 10, conversation_id: 1, thread_id: null, file_url: null },
+        { id: 11, conversation_id: 1, thread_id: 10, file_url: null }
+      ]
+    }]));
+
+    await expect(purgeExpiredMessages()).resolves.toBe(2);
+
+    expect(publishToConversation).toHaveBeenCalledWith(1, 'message_unpinned', { conversationId: 1, messageId: 11 });
+    expect(publishToConversation).toHaveBeenCalledWith(1, 'message_expired', { conversationId: 1, messageId: 10, threadId: null });
+    expect(publishToConversation).toHaveBeenCalledWith(1, 'message_expired', { conversationId: 1, messageId: 11, threadId: 10 });
+  });
+
+  it('removes files of deleted replies unless another message still uses them', async () => {
+    getClient.mockResolvedValue(fakeClient([{
+      expiredIds: [10],
+      removed: [
+        { id: 10, conversation_id: 1, thread_id: null, file_url: '/uploads/conversations/1/a.png' },
+        { id: 11, conversation_id: 1, thread_id: 10, file_url: '/uploads/conversations/1/b.pdf' }
+      ]
+    }]));
+    // a.png was forwarded elsewhere; b.pdf isn't used anymore
+    query.mockImplementation(async (sql, [fileUrl]) => ({ rows: fileUrl.endsWith('a.png') ? [{}] : [] }));
+
+    await purgeExpiredMessages();
+
+    expect(storage.remove).toHaveBeenCalledTimes(1);
+    expect(storage.remove).toHaveBeenCalledWith('conversations/1/b.pdf');
+  });
+
+  it('keeps working in batches until a batch comes back short', async () => {
+    const client = fakeClient([
+      { expiredIds: range(BATCH_SIZE), removed: range(BATCH_SIZE).map(id => ({ id, conversation_id: 1 })) },
+      { expiredIds: [BATCH_SIZE + 1], removed: [{ id: BATCH_SIZE + 1, conversation_id: 1 }] }
+    ]);
+    getClient.mockResolvedValue(client);
+
+    await expect(purgeExpiredMessages()).resolves.toBe(BATCH_SIZE + 1);
+
+    expect(getClient).toHaveBeenCalledTimes(2);
+    expect(client.queries.filter(name => name === 'COMMIT')).toHaveLength(2);
+    expect(client.release).toHaveBeenCalledTimes(2);
+  });
+
+  it('counts batches by expired messages, not by the replies deleted with them', async () => {
+    // Fewer expired messages than a batch, but their replies push the total over it
+    getClient.mockResolvedValue(fakeClient([{
+      expiredIds: [1],
+      removed: range(BATCH_SIZE + 5).map(id => ({ id, conversation_id: 1, thread_id: id === 1 ? null : 1 }))
+    }]));
+
+    await expect(purgeExpiredMessages()).resolves.toBe(BATCH_SIZE + 5);
+    expect(getClient).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops without deleting anything when nothing has expired', async () => {
+    const client = fakeClient([]);
+    getClient.mockResolvedValue(client);
+
+    await expect(purgeExpiredMessages()).resolves.toBe(0);
+
+    expect(client.queries).toEqual(['BEGIN', 'SELECT', 'COMMIT']);
+    expect(publishToConversation).not.toHaveBeenCalled();
+  });
+
+  it('rolls back and releases the client when a query fails', async () => {
+    const client = fakeClient([{ expiredIds: [1] }]);
+    const original = client.query.getMockImplementation();
+    client.query.mockImplementation(async (sql, params) => {
+      if (/^\s*DELETE FROM messages/.test(sql)) throw new Error('boom');
+      return original(sql, params);
+    });
+    getClient.mockResolvedValue(client);
+
+    await expect(purgeExpiredMessages()).rejects.toThrow('boom');
+
+    expect(client.queries).toContain('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+    expect(publishToConversation).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn()
+}));
+jest.mock('../../models/message', () => ({
+  createMessage: jest.fn()
+}));
+jest.mock('../eventBus', () => ({
+  publishToConversation: jest.fn(),
+  publishToUser: jest.fn()
+}));
+jest.mock('../linkPreviews', () => ({
+  queueLinkPreviews: jest.fn()
+}));
+
+const { query, getClient } = require('../../config/database');
+const { createMessage } = require('../../models/message');
+const { publishToConversation, publishToUser } = require('../eventBus');
+const { dispatchDueMessages } = require('../scheduledMessages');
+
+// Everything that happened, in order, so tests can check what came before the commit
+let log;
+
+const fakeClient = (dueRows) => ({
+  release: jest.fn(),
+  query: jest.fn(async (sql, params) => {
+    const statement = sql.trim().split(/\s+/)[0];
+    log.push(statement === 'UPDATE' ? `UPDATE ${params[0]} ${params[1]}` : statement);
+    return { rows: statement === 'SELECT' ? dueRows : [] };
+  })
+});
+
+const scheduledRow = (id, overrides = {}) => ({
+  id,
+  conversation_id: 7,
+  sender_id: 1,
+  content: `scheduled ${id}`,
+  format: 'plain',
+  ...overrides
+});
+
+// Participant checks pass unless listed; everything else returns no rows
+const answerQueries = ({ notParticipant = [] } = {}) => {
+  query.mockImplementation(async (sql, params) => {
+    if (/FROM conversation_participants WHERE conversation_id = \$1 AND user_id = \$2/.test(sql)) {
+      return { rows: notParticipant.includes(params[1]) ? [] : [{}] };
+    }
+    if (/FROM scheduled_messages/.test(sql)) {
+      return { rows: [{ id: params[0], sender_id: 1, status: 'sent' }] };
+    }
+    return { rows: [] };
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  log = [];
+  answerQueries();
+  createMessage.mockImplementation(async ({ clientId, conversationId, senderId, content }) => {
+    log.push(`create ${clientId}`);
+    return {
+      message: { id: 100, conversation_id: conversationId, sender_id: senderId, content, client_id: clientId },
+      created: true
+    };
+  });
+  publishToConversation.mockImplementation((conversationId, event) => log.push(`publish ${event}`));
+});
+
+describe('dispatchDueMessages', () => {
+  it('sends due messages with a client ID derived from the schedule and broadcasts after commit', async () => {
+    getClient.mockResolvedValue(fakeClient([scheduledRow(5)]));
+
+    await expect(dispatchDueMessages()).resolves.toBe(1);
+
+    expect(createMessage).toHaveBeenCalledWith(expect.objectContaining({ clientId: 'scheduled-5', conversationId: 7 }));
+    expect(log).toEqual(['BEGIN', 'SELECT', 'create scheduled-5', 'UPDATE 5 sent', 'COMMIT', 'publish new_message']);
+    expect(publishToUser).toHaveBeenCalledWith(1, 'scheduled_message_updated', expect.objectContaining({ id: 5 }));
+  });
+
+  it('reuses the same client ID when a run is retried, so the message is stored once', async () => {
+    // The first run stored the message but stopped before marking the schedule sent
+    getClient.mockResolvedValue(fakeClient([scheduledRow(5)]));
+    await dispatchDueMessages();
+    createMessage.mockImplementationOnce(async ({ clientId }) => ({
+      message: { id: 100, conversation_id: 7, sender_id: 1, content: 'scheduled 5', client_id: clientId },
+      created: false
+    }));
+
+    await dispatchDueMessages();
+
+    const clientIds = createMessage.mock.calls.map(([data]) => data.clientId);
+    expect(clientIds).toEqual(['scheduled-5', 'scheduled-5']);
+  });
+
+  it('marks the schedule failed when the sender left the conversation', async () => {
+    answerQueries({ notParticipant: [2] });
+    getClient.mockResolvedValue(fakeClient([scheduledRow(6, { sender_id: 2 })]));
+
+    await dispatchDueMessages();
+
+    expect(createMessage).not.toHaveBeenCalled();
+    expect(log).toContain('UPDATE 6 failed');
+    expect(publishToConversation).not.toHaveBeenCalled();
+  });
+
+  it('leaves a message pending when sending it fails and carries on with the rest', async () => {
+    createMessage.mockRejectedValueOnce(new Error('insert failed'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getClient.mockResolvedValue(fakeClient([scheduledRow(8), scheduledRow(9)]));
+
+    await expect(dispatchDueMessages()).resolves.toBe(1);
+
+    expect(log).not.toContain('UPDATE 8 sent');
+    expect(log).toContain('UPDATE 9 sent');
+    console.error.mockRestore();
+  });
+
+  it('rolls back and broadcasts nothing when marking a schedule fails', async () => {
+    const client = fakeClient([scheduledRow(5)]);
+    const record = client.query.getMockImplementation();
+    client.query.mockImplementation(async (sql, params) => {
+      const result = await record(sql, params);
+      if (/^\s*UPDATE/.test(sql)) throw new Error('update failed');
+      return result;
+    });
+    getClient.mockResolvedValue(client);
+
+    await expect(dispatchDueMessages()).rejects.toThrow('update failed');
+
+    expect(log).toContain('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+    expect(publishToConversation).not.toHaveBeenCalled();
+    expect(publishToUser).not.toHaveBeenCalled();
+  });
+});
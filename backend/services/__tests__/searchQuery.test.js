@@ -0,0 +1,131 @@
+const { parseSearchQuery, hasSearchCriteria, escapeLikePattern } = require('../searchQuery');
+
+const values = (search) => search.terms.map(group => group.map(term => term.value));
+
+describe('parseSearchQuery', () => {
+  it('separates filters from search words', () => {
+    const search = parseSearchQuery('deploy from:@Alice in:#General before:2024-02-01 after:2024-01-01 has:file is:pinned');
+
+    expect(search).toMatchObject({
+      text: 'deploy',
+      from: ['alice'],
+      in: ['general'],
+      before: '2024-02-01',
+      after: '2024-01-01',
+      has: ['file'],
+      is: ['pinned'],
+      errors: []
+    });
+  });
+
+  it('matches any of repeated from: and in: values', () => {
+    const search = parseSearchQuery('from:alice from:bob in:"Team Chat" in:@carol');
+
+    expect(search.from).toEqual(['alice', 'bob']);
+    expect(search.in).toEqual(['team chat', 'carol']);
+    expect(search.text).toBe('');
+  });
+
+  it.each([
+    ['before:yesterday', 'before: expects a date like 2024-01-31'],
+    ['after:2024-02-30', 'after: expects a date like 2024-01-31'],
+    ['has:video', 'has: expects file or link'],
+    ['is:starred', 'is: expects pinned']
+  ])('reports a bad value in %s', (input, error) => {
+    const search = parseSearchQuery(input);
+
+    expect(search.errors).toEqual([error]);
+    expect(hasSearchCriteria(search)).toBe(false);
+  });
+
+  it('searches anything else that looks like key:value as a word', () => {
+    const search = parseSearchQuery('https://example.com meet at 10:30');
+
+    expect(values(search)).toEqual([['https://example.com'], ['meet'], ['at'], ['10:30']]);
+    expect(search.text).toBe('https://example.com meet at 10:30');
+  });
+
+  it('ignores empty filters', () => {
+    const search = parseSearchQuery('from:"" in:""');
+
+    expect(search.from).toEqual([]);
+    expect(search.in).toEqual([]);
+  });
+});
+
+describe('hasSearchCriteria', () => {
+  it('is false for an empty query', () => {
+    expect(hasSearchCriteria(parseSearchQuery(''))).toBe(false);
+    expect(hasSearchCriteria(parseSearchQuery('   '))).toBe(false);
+  });
+
+  it.each(['word', 'from:alice', 'in:general', 'before:2024-01-01', 'after:2024-01-01', 'has:link', 'is:pinned'])(
+    'is true for %s',
+    (input) => {
+      expect(hasSearchCriteria(parseSearchQuery(input))).toBe(true);
+    }
+  );
+});
+
+describe('parseSearchQuery operators', () => {
+  it('groups terms joined with OR', () => {
+    const search = parseSearchQuery('deploy OR release notes');
+
+    expect(values(search)).toEqual([['deploy', 'release'], ['notes']]);
+  });
+
+  it('ignores a leading, trailing or negated OR', () => {
+    expect(values(parseSearchQuery('OR deploy OR'))).toEqual([['deploy']]);
+    expect(values(parseSearchQuery('deploy -OR release'))).toEqual([['deploy'], ['OR'], ['release']]);
+    expect(parseSearchQuery('deploy -OR release').terms[1][0].negated).toBe(true);
+  });
+
+  it('keeps quoted phrases together', () => {
+    const [[term]] = parseSearchQuery('"  release notes "').terms;
+
+    expect(term).toEqual({ value: 'release notes', phrase: true, prefix: false, negated: false });
+  });
+
+  it('marks prefixes and strips what to_tsquery would read as syntax', () => {
+    const [[term]] = parseSearchQuery("dep'l|o&y*").terms;
+
+    expect(term).toEqual({ value: 'deploy', phrase: false, prefix: true, negated: false });
+  });
+
+  it('drops a prefix with nothing left to search', () => {
+    expect(parseSearchQuery('*** &*').terms).toEqual([]);
+  });
+
+  it('negates words and phrases, and searches a negated filter as a word', () => {
+    const search = parseSearchQuery('deploy -staging -"dry run" -from:bob');
+
+    expect(search.terms.flat().map(({ value, negated }) => [value, negated])).toEqual([
+      ['deploy', false],
+      ['staging', true],
+      ['dry run', true],
+      ['from:bob', true]
+    ]);
+    expect(search.from).toEqual([]);
+  });
+
+  it('only puts positive terms in the fuzzy text', () => {
+    const search = parseSearchQuery('deploy OR "dry run" -staging');
+
+    expect(search.text).toBe('deploy dry run');
+  });
+
+  it('does not count exclusions alone as criteria', () => {
+    expect(hasSearchCriteria(parseSearchQuery('-staging -"dry run"'))).toBe(false);
+  });
+});
+
+describe('escapeLikePattern', () => {
+  it('escapes LIKE wildcards and the escape character', () => {
+    expect(escapeLikePattern('50%_off\\now')).toBe('50\\%\\_off\\\\now');
+  });
+
+  it('leaves other text alone', () => {
+    expect(escapeLikePattern('release-notes v2')).toBe('release-notes v2');
+    expect(escapeLikePattern()).toBe('');
+  });
+});
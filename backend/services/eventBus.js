@@ -0,0 +1,45 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Server-side event bus
+ * Routes and background jobs publish realtime events here; the socket controller
+ * relays them to Socket.IO rooms, so nothing outside it needs the io instance
+ */
+const eventBus = new EventEmitter();
+
+/**
+ * Publish an event to everyone who has joined a conversation's room
+ * @param {number|string} conversationId - Conversation ID
+ * @param {string} event - Socket event name
+ * @param {any} payload - Data to send
+ */
+const publishToConversation = (conversationId, event, payload) => {
+  eventBus.emit('conversation_event', { conversationId, event, payload });
+};
+
+/**
+ * Publish an event to every connected client of a user
+ * @param {number|string} userId - Target user ID
+ * @param {string} event - Socket event name
+ * @param {any} payload - Data to send
+ */
+const publishToUser = (userId, event, payload) => {
+  eventBus.emit('user_event', { userId, event, payload });
+};
+
+/**
+ * Drop a user's connected clients from a conversation's room
+ * Used when they lose access so they stop receiving its events
+ * @param {number|string} userId - User ID
+ * @param {number|string} conversationId - Conversation ID
+ */
+const removeUserFromConversation = (userId, conversationId) => {
+  eventBus.emit('room_leave', { userId, conversationId });
+};
+
+module.exports = {
+  eventBus,
+  publishToConversation,
+  publishToUser,
+  removeUserFromConversation
+};
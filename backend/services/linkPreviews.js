@@ -0,0 +1,133 @@
+const { query } = require('../config/database');
+const { getMessageById } = require('../models/message');
+const { publishToConversation } = require('./eventBus');
+const { createUnfurler, extractUrls } = require('./unfurl');
+
+const ENABLED = process.env.UNFURL_ENABLED !== 'false';
+const MAX_PREVIEWS_PER_MESSAGE = parseInt(process.env.UNFURL_MAX_PER_MESSAGE || '3');
+const CACHE_TTL_MINUTES = parseInt(process.env.UNFURL_CACHE_TTL_MINUTES || '1440');
+
+// Failed fetches are often transient, so they're retried sooner than good previews are refreshed
+const FAILED_RETRY_MINUTES = 10;
+
+const unfurler = createUnfurler();
+
+// URLs being fetched right now, so a link pasted in several messages is only fetched once
+const inFlight = new Map();
+
+const fetchAndCache = async (url) => {
+  let preview = null;
+  try {
+    preview = await unfurler.unfurl(url);
+  } catch (error) {
+    console.warn(`Could not unfurl ${url}: ${error.message}`);
+  }
+
+  await query(`
+    INSERT INTO link_previews (url, title, description, image_url, site_name, failed, fetched_at)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+    ON CONFLICT (url) DO UPDATE SET
+      title = EXCLUDED.title,
+      description = EXCLUDED.description,
+      image_url = EXCLUDED.image_url,
+      site_name = EXCLUDED.site_name,
+      failed = EXCLUDED.failed,
+      fetched_at = EXCLUDED.fetched_at
+  `, [
+    url,
+    preview?.title || null,
+    preview?.description || null,
+    preview?.image_url || null,
+    preview?.site_name || null,
+    !preview
+  ]);
+
+  return !!preview;
+};
+
+/**
+ * Make sure a URL has a fresh cache entry
+ * @param {string} url - URL to preview
+ * @returns {Promise<boolean>} Whether the URL has a preview to show
+ */
+const ensurePreview = async (url) => {
+  const cached = await query(`
+    SELECT failed FROM link_previews
+    WHERE url = $1
+    AND fetched_at > CURRENT_TIMESTAMP - make_interval(mins => CASE WHEN failed THEN $2 ELSE $3 END)
+  `, [url, FAILED_RETRY_MINUTES, CACHE_TTL_MINUTES]);
+
+  if (cached.rows.length > 0) {
+    return !cached.rows[0].failed;
+  }
+
+  if (!inFlight.has(url)) {
+    inFlight.set(url, fetchAndCache(url).finally(() => inFlight.delete(url)));
+  }
+  return inFlight.get(url);
+};
+
+/**
+ * Attach previews for the URLs in a message and broadcast the updated message
+ * Safe to call again after an edit: previews for removed URLs are dropped and
+ * previews the sender removed stay removed
+ * @param {Object} message - Stored message (id, conversation_id, content, message_type)
+ */
+const attachLinkPreviews = async (message) => {
+  const urls = message.message_type === 'system'
+    ? []
+    : extractUrls(message.content, MAX_PREVIEWS_PER_MESSAGE);
+
+  const removed = await query(
+    'DELETE FROM message_link_previews WHERE message_id = $1 AND NOT (url = ANY($2))',
+    [message.id, urls]
+  );
+
+  let added = 0;
+  for (const [position, url] of urls.entries()) {
+    if (!(await ensurePreview(url))) {
+      continue;
+    }
+
+    const inserted = await query(
+      `INSERT INTO message_link_previews (message_id, url, position)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (message_id, url) DO UPDATE SET position = EXCLUDED.position
+       RETURNING (xmax = 0) as inserted`,
+      [message.id, url, position]
+    );
+    if (inserted.rows[0].inserted) {
+      added++;
+    }
+  }
+
+  if (added === 0 && removed.rowCount === 0) {
+    return;
+  }
+
+  const updated = await getMessageById(message.id);
+  if (updated && !updated.deleted_at) {
+    publishToConversation(updated.conversation_id, 'message_updated', updated);
+  }
+};
+
+/**
+ * Unfurl a message's links in the background
+ * Fetching can take seconds, so senders get their response first and
+ * everyone receives the previews through a message_updated event
+ * @param {Object} message - Stored message
+ */
+const queueLinkPreviews = (message) => {
+  if (!ENABLED || !message) {
+    return;
+  }
+
+  attachLinkPreviews(message).catch(error => {
+    console.error('Error attaching link previews:', error);
+  });
+};
+
+module.exports = {
+  attachLinkPreviews,
+  queueLinkPreviews
+};
@@ -0,0 +1,100 @@
+const { query } = require('../config/database');
+const { publishToUser } = require('./eventBus');
+
+// @username (letters, numbers, underscores, like registration allows), @here and @all
+// The lookbehind skips email addresses and other words with an @ in the middle
+const MENTION_PATTERN = /(?<![\w@])@([a-zA-Z0-9_]{1,50})/g;
+
+/**
+ * Pull mention tokens out of message text
+ * @param {string} content - Message text
+ * @returns {{usernames: string[], here: boolean, all: boolean}}
+ */
+const parseMentions = (content = '') => {
+  const usernames = new Set();
+  let here = false;
+  let all = false;
+
+  for (const [, name] of (content || '').matchAll(MENTION_PATTERN)) {
+    const lower = name.toLowerCase();
+    if (lower === 'here') {
+      here = true;
+    } else if (lower === 'all') {
+      all = true;
+    } else {
+      usernames.add(lower);
+    }
+  }
+
+  return { usernames: [...usernames], here, all };
+};
+
+/**
+ * Store who a message mentions and notify newly mentioned users
+ * Safe to call again after an edit: mentions that were removed are dropped
+ * and only users who weren't mentioned before get another notification
+ * @param {Object} message - Stored message (id, conversation_id, sender_id, content, ...)
+ * @returns {Promise<number[]>} IDs of all users the message now mentions
+ */
+const recordMentions = async (message) => {
+  const { usernames, here, all } = parseMentions(message.content);
+
+  // Resolve tokens against the conversation's participants; the sender never mentions themselves
+  // @all reaches everyone, @here only participants who are online right now
+  const targetsResult = (usernames.length > 0 || here || all)
+    ? await query(`
+      SELECT
+        u.id,
+        CASE
+          WHEN LOWER(u.username) = ANY($3) THEN 'user'
+          WHEN $5 THEN 'all'
+          ELSE 'here'
+        END as mention_type
+      FROM conversation_participants cp
+      INNER JOIN users u ON u.id = cp.user_id
+      WHERE cp.conversation_id = $1
+      AND u.id != $2
+      AND (
+        LOWER(u.username) = ANY($3)
+        OR $5
+        OR ($4 AND u.status = 'online')
+      )
+    `, [message.conversation_id, message.sender_id, usernames, here, all])
+    : { rows: [] };
+
+  const targets = targetsResult.rows;
+  const targetIds = targets.map(target => target.id);
+
+  await query(
+    'DELETE FROM message_mentions WHERE message_id = $1 AND NOT (user_id = ANY($2))',
+    [message.id, targetIds]
+  );
+
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const insertResult = await query(
+    `INSERT INTO message_mentions (message_id, user_id, mention_type)
+     SELECT $1, t.user_id, t.mention_type
+     FROM UNNEST($2::int[], $3::text[]) AS t(user_id, mention_type)
+     ON CONFLICT DO NOTHING
+     RETURNING user_id, mention_type`,
+    [message.id, targetIds, targets.map(target => target.mention_type)]
+  );
+
+  for (const { user_id: userId, mention_type: mentionType } of insertResult.rows) {
+    publishToUser(userId, 'mention', {
+      conversationId: message.conversation_id,
+      mentionType,
+      message: { ...message, mentioned_user_ids: targetIds }
+    });
+  }
+
+  return targetIds;
+};
+
+module.exports = {
+  parseMentions,
+  recordMentions
+};
@@ -0,0 +1,147 @@
+const { query, getClient } = require('../config/database');
+const { publishToConversation } = require('./eventBus');
+const { storage, storageKeyFromUrl } = require('./storage');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.MESSAGE_EXPIRY_SWEEP_SECONDS || '30') * 1000;
+const BATCH_SIZE = 500;
+
+/**
+ * Check whether any remaining message still uses a stored file
+ * @param {string} fileUrl - File URL
+ * @returns {Promise<boolean>}
+ */
+const isFileReferenced = async (fileUrl) => {
+  const result = await query('SELECT 1 FROM messages WHERE file_url = $1 LIMIT 1', [fileUrl]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Delete one batch of expired messages in a transaction
+ * Thread replies go with their parent even if they haven't expired themselves, so
+ * they're deleted (and reported) explicitly rather than left to the foreign key
+ * @returns {Promise<Object>} expiredCount (messages that had expired), removed
+ *   (every deleted message) and unpinned (pins removed along with them)
+ */
+const purgeExpiredBatch = async () => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const expiredResult = await client.query(`
+      SELECT id FROM messages
+      WHERE expires_at <= CURRENT_TIMESTAMP
+      ORDER BY expires_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `, [BATCH_SIZE]);
+    const expiredIds = expiredResult.rows.map(row => row.id);
+
+    if (expiredIds.length === 0) {
+      await client.query('COMMIT');
+      return { expiredCount: 0, removed: [], unpinned: [] };
+    }
+
+    const unpinnedResult = await client.query(`
+      SELECT p.conversation_id, p.message_id
+      FROM pinned_messages p
+      INNER JOIN messages m ON m.id = p.message_id
+      WHERE m.id = ANY($1) OR m.thread_id = ANY($1)
+    `, [expiredIds]);
+
+    const removedResult = await client.query(`
+      DELETE FROM messages
+      WHERE id = ANY($1) OR thread_id = ANY($1)
+      RETURNING id, conversation_id, thread_id, file_url
+    `, [expiredIds]);
+
+    await client.query('COMMIT');
+
+    return {
+      expiredCount: expiredIds.length,
+      removed: removedResult.rows,
+      unpinned: unpinnedResult.rows
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Permanently delete messages whose expiry time has passed
+ * Reactions, mentions, edits and saved copies go with them through their foreign keys;
+ * clients are told about every removed message and pin, and attached files are
+ * removed from storage
+ * @returns {Promise<number>} Number of messages purged, including thread replies
+ */
+const purgeExpiredMessages = async () => {
+  let purged = 0;
+
+  // Work in batches so a large backlog doesn't hold one long transaction
+  for (;;) {
+    const { expiredCount, removed, unpinned } = await purgeExpiredBatch();
+
+    for (const pin of unpinned) {
+      publishToConversation(pin.conversation_id, 'message_unpinned', {
+        conversationId: pin.conversation_id,
+        messageId: pin.message_id
+      });
+    }
+
+    for (const message of removed) {
+      publishToConversation(message.conversation_id, 'message_expired', {
+        conversationId: message.conversation_id,
+        messageId: message.id,
+        threadId: message.thread_id
+      });
+
+      // Forwarded copies share the stored file, so keep it while any message still points at it
+      const key = storageKeyFromUrl(message.file_url);
+      if (key && !(await isFileReferenced(message.file_url))) {
+        await storage.remove(key).catch(error => {
+          console.error(`Error removing file for expired message ${message.id}:`, error);
+        });
+      }
+    }
+
+    purged += removed.length;
+    if (expiredCount < BATCH_SIZE) {
+      return purged;
+    }
+  }
+};
+
+/**
+ * Start purging expired messages periodically
+ * @returns {Function} Stops the sweeper
+ */
+const startMessageExpirySweeper = () => {
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await purgeExpiredMessages();
+    } catch (error) {
+      console.error('Error purging expired messages:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweep();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  BATCH_SIZE,
+  purgeExpiredMessages,
+  startMessageExpirySweeper
+};
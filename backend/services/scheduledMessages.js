@@ -0,0 +1,177 @@
+const { query, getClient } = require('../config/database');
+const { createMessage } = require('../models/message');
+const { publishToConversation, publishToUser } = require('./eventBus');
+const { queueLinkPreviews } = require('./linkPreviews');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULED_MESSAGES_POLL_SECONDS || '10') * 1000;
+const BATCH_SIZE = 20;
+
+// Columns returned to the scheduling user
+const SCHEDULED_SELECT = `
+  SELECT id, conversation_id, sender_id, content, format, scheduled_at, status, message_id, error, sent_at, created_at
+  FROM scheduled_messages
+`;
+
+/**
+ * Get a scheduled message by ID
+ * @param {number} id - Scheduled message ID
+ * @returns {Promise<Object|null>}
+ */
+const getScheduledMessage = async (id) => {
+  const result = await query(`${SCHEDULED_SELECT} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Send one due scheduled message
+ * The message's client ID is derived from the schedule, so if the server stops
+ * after the insert but before the schedule is marked sent, the next run finds
+ * the stored message instead of sending it twice
+ * @param {Object} scheduled - Locked scheduled_messages row
+ * @returns {Promise<{status: string, message?: Object, error?: string}>}
+ */
+const dispatchOne = async (scheduled) => {
+  const participantResult = await query(
+    'SELECT 1 FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2',
+    [scheduled.conversation_id, scheduled.sender_id]
+  );
+
+  if (participantResult.rows.length === 0) {
+    return { status: 'failed', error: 'No longer a participant in this conversation' };
+  }
+
+  const { message } = await createMessage({
+    conversationId: scheduled.conversation_id,
+    senderId: scheduled.sender_id,
+    content: scheduled.content,
+    format: scheduled.format,
+    clientId: `scheduled-${scheduled.id}`
+  });
+
+  return { status: 'sent', message };
+};
+
+/**
+ * Broadcast a sent message the same way the send_message socket handler does
+ * @param {Object} message - Stored message
+ */
+const broadcastMessage = async (message) => {
+  publishToConversation(message.conversation_id, 'new_message', message);
+
+  const recipientsResult = await query(
+    'SELECT user_id FROM conversation_participants WHERE conversation_id = $1 AND user_id != $2',
+    [message.conversation_id, message.sender_id]
+  );
+
+  for (const { user_id: userId } of recipientsResult.rows) {
+    publishToUser(userId, 'message_notification', {
+      conversationId: message.conversation_id,
+      senderName: message.sender_name,
+      preview: message.content.substring(0, 50)
+    });
+  }
+
+  queueLinkPreviews(message);
+};
+
+/**
+ * Send every scheduled message that is due
+ * Rows are claimed with FOR UPDATE SKIP LOCKED, so several server instances can
+ * run the dispatcher without sending a message twice
+ * @returns {Promise<number>} Number of scheduled messages processed
+ */
+const dispatchDueMessages = async () => {
+  const client = await getClient();
+  const sent = [];
+  const finished = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const dueResult = await client.query(`
+      SELECT id, conversation_id, sender_id, content, format
+      FROM scheduled_messages
+      WHERE status = 'pending' AND scheduled_at <= CURRENT_TIMESTAMP
+      ORDER BY scheduled_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `, [BATCH_SIZE]);
+
+    for (const scheduled of dueResult.rows) {
+      let outcome;
+      try {
+        outcome = await dispatchOne(scheduled);
+      } catch (error) {
+        // Leave it pending; the next run tries again
+        console.error(`Error sending scheduled message ${scheduled.id}:`, error);
+        continue;
+      }
+
+      await client.query(
+        `UPDATE scheduled_messages
+         SET status = $2, message_id = $3, error = $4, sent_at = CASE WHEN $2 = 'sent' THEN CURRENT_TIMESTAMP END
+         WHERE id = $1`,
+        [scheduled.id, outcome.status, outcome.message?.id || null, outcome.error || null]
+      );
+
+      // Broadcasting happens after commit, so a message found from an earlier
+      // interrupted run has never been broadcast either
+      finished.push(scheduled.id);
+      if (outcome.status === 'sent') {
+        sent.push(outcome.message);
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const message of sent) {
+    await broadcastMessage(message);
+  }
+
+  for (const id of finished) {
+    const scheduled = await getScheduledMessage(id);
+    publishToUser(scheduled.sender_id, 'scheduled_message_updated', scheduled);
+  }
+
+  return finished.length;
+};
+
+/**
+ * Start polling for due scheduled messages
+ * Anything that came due while the server was down is sent on the first run
+ * @returns {Function} Stops the dispatcher
+ */
+const startScheduledMessageDispatcher = () => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await dispatchDueMessages();
+    } catch (error) {
+      console.error('Error dispatching scheduled messages:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  SCHEDULED_SELECT,
+  getScheduledMessage,
+  dispatchDueMessages,
+  startScheduledMessageDispatcher
+};
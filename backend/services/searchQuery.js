@@ -0,0 +1,146 @@
+// key:value filters, key:"quoted value", "quoted phrases" and plain words, each optionally negated with -
+const TOKEN_PATTERN = /(-?)(?:([a-zA-Z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+))/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const HAS_VALUES = ['file', 'link'];
+const IS_VALUES = ['pinned'];
+
+// Dates like 2024-02-30 parse, but roll over into the next month
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Split a search query into search terms and filters
+ * Terms are words, "quoted phrases" and prefixes (deplo*). Terms must all match
+ * unless joined with OR, and a leading - excludes messages with that term.
+ * Supported filters: from:username, in:conversation (a group's name or the other
+ * person in a direct message), before:YYYY-MM-DD, after:YYYY-MM-DD, has:file,
+ * has:link and is:pinned. Repeating from: or in: matches any of the values.
+ * Anything else that looks like key:value (a URL, a time) is searched as a word.
+ * @param {string} input - Raw search query
+ * @returns {Object} terms (groups of alternatives, each { value, phrase, prefix, negated }),
+ *   text (the words to look for, for fuzzy matching), from, in, before, after, has, is,
+ *   and errors for filters with bad values
+ */
+const parseSearchQuery = (input = '') => {
+  const search = {
+    terms: [],
+    text: '',
+    from: [],
+    in: [],
+    before: null,
+    after: null,
+    has: [],
+    is: [],
+    errors: []
+  };
+  // OR joins the next term to the previous one's group
+  let joinNext = false;
+  const addTerm = (term) => {
+    if (!term.value) return;
+    const previous = search.terms[search.terms.length - 1];
+    if (joinNext && previous) {
+      previous.push(term);
+    } else {
+      search.terms.push([term]);
+    }
+    joinNext = false;
+  };
+
+  for (const [token, minus, key, quotedValue, plainValue, phrase, word] of String(input).matchAll(TOKEN_PATTERN)) {
+    const negated = minus === '-';
+
+    if (phrase !== undefined) {
+      addTerm({ value: phrase.trim(), phrase: true, prefix: false, negated });
+      continue;
+    }
+    if (word === 'OR' && !negated) {
+      joinNext = search.terms.length > 0;
+      continue;
+    }
+    // Filters can't be negated, so -key:value is searched as a word
+    if (key === undefined || negated) {
+      const text = negated ? token.slice(1) : token;
+      const prefix = /\*+$/.test(text);
+      // Prefixes go into to_tsquery syntax, so they keep only letters and digits
+      const value = prefix ? text.replace(/[^\p{L}\p{N}_]/gu, '') : text;
+      addTerm({ value, phrase: false, prefix, negated });
+      continue;
+    }
+
+    const value = (quotedValue !== undefined ? quotedValue : plainValue).trim();
+    const lowerValue = value.toLowerCase();
+
+    switch (key.toLowerCase()) {
+      case 'from':
+        if (value) search.from.push(lowerValue.replace(/^@/, ''));
+        break;
+      case 'in':
+        if (value) search.in.push(lowerValue.replace(/^[#@]/, ''));
+        break;
+      case 'before':
+      case 'after':
+        if (isValidDate(value)) {
+          search[key.toLowerCase()] = value;
+        } else {
+          search.errors.push(`${key}: expects a date like 2024-01-31`);
+        }
+        break;
+      case 'has':
+        if (HAS_VALUES.includes(lowerValue)) {
+          search.has.push(lowerValue);
+        } else {
+          search.errors.push(`has: expects ${HAS_VALUES.join(' or ')}`);
+        }
+        break;
+      case 'is':
+        if (IS_VALUES.includes(lowerValue)) {
+          search.is.push(lowerValue);
+        } else {
+          search.errors.push(`is: expects ${IS_VALUES.join(' or ')}`);
+        }
+        break;
+      default:
+        addTerm({ value: token, phrase: false, prefix: false, negated: false });
+    }
+  }
+
+  search.text = search.terms
+    .flat()
+    .filter(term => !term.negated)
+    .map(term => term.value)
+    .join(' ');
+  return search;
+};
+
+/**
+ * Whether a parsed search narrows anything down; an empty search would match every message
+ * Exclusions alone don't count, since they'd match nearly everything too
+ * @param {Object} search - Result of parseSearchQuery
+ * @returns {boolean}
+ */
+const hasSearchCriteria = (search) => Boolean(
+  search.text ||
+  search.from.length ||
+  search.in.length ||
+  search.before ||
+  search.after ||
+  search.has.length ||
+  search.is.length
+);
+
+/**
+ * Escape LIKE/ILIKE wildcards so user input only matches literally
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+const escapeLikePattern = (value = '') => String(value).replace(/[\\%_]/g, '\\$&');
+
+module.exports = {
+  parseSearchQuery,
+  hasSearchCriteria,
+  escapeLikePattern
+};
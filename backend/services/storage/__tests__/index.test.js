@@ -0,0 +1,35 @@
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), 'instant-chat-storage-test');
+
+const { buildStorageKey, storageKeyFromUrl } = require('..');
+
+describe('buildStorageKey', () => {
+  it('takes the extension from the MIME type', () => {
+    expect(buildStorageKey(7, 'image/png')).toMatch(/^conversations\/7\/[0-9a-f-]{36}\.png$/);
+    expect(buildStorageKey(7, 'application/pdf')).toMatch(/\.pdf$/);
+  });
+
+  it('leaves off the extension for types it has no extension for', () => {
+    expect(buildStorageKey(7, 'text/html')).toMatch(/^conversations\/7\/[0-9a-f-]{36}$/);
+  });
+
+  it('builds a new key every time', () => {
+    expect(buildStorageKey(7, 'image/png')).not.toBe(buildStorageKey(7, 'image/png'));
+  });
+});
+
+describe('storageKeyFromUrl', () => {
+  it('recovers the key from a stored file URL', () => {
+    const key = buildStorageKey(3, 'image/jpeg');
+    expect(storageKeyFromUrl(`/uploads/${key}`)).toBe(key);
+    expect(storageKeyFromUrl(`https://bucket.s3.us-east-1.amazonaws.com/${key}`)).toBe(key);
+  });
+
+  it('returns null for URLs that were not built from a key', () => {
+    expect(storageKeyFromUrl('https://example.com/avatar.png')).toBeNull();
+    expect(storageKeyFromUrl(null)).toBeNull();
+  });
+});
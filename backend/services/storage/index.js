@@ -0,0 +1,89 @@
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Pluggable file storage
+ * STORAGE_DRIVER selects the adapter: 'local' (default) or 's3'
+ * Every adapter exposes save(buffer, { key, mimeType, fileName }) and remove(key)
+ */
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local': {
+      const { createLocalStorage } = require('./local');
+      return createLocalStorage({
+        directory: path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')),
+        publicPath: '/uploads'
+      });
+    }
+
+    case 's3': {
+      // Required lazily so the AWS SDK is only loaded when it's actually used
+      const { createS3Storage } = require('./s3');
+      return createS3Storage({
+        bucket: process.env.AWS_S3_BUCKET,
+        region: process.env.AWS_REGION || 'us-east-1',
+        endpoint: process.env.AWS_S3_ENDPOINT,
+        publicUrl: process.env.AWS_S3_PUBLIC_URL
+      });
+    }
+
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const storage = createStorage();
+
+// Stored extensions come from the checked MIME type, never the client's file name,
+// so an upload can't be served back as HTML or script
+const EXTENSIONS_BY_MIME_TYPE = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'application/zip': '.zip',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.ms-powerpoint': '.ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx'
+};
+
+// Extensions of files that are safe to show inline; everything else is served as a download
+const INLINE_EXTENSIONS = ['.jpg', '.png', '.gif', '.webp'];
+
+/**
+ * Build a unique storage key for an uploaded file
+ * Types without a known extension (e.g. added through UPLOAD_ALLOWED_MIME_TYPES) get none
+ * @param {number|string} conversationId - Conversation the file belongs to
+ * @param {string} mimeType - The upload's allowlisted MIME type
+ * @returns {string} Storage key
+ */
+const buildStorageKey = (conversationId, mimeType) => {
+  const extension = EXTENSIONS_BY_MIME_TYPE[mimeType] || '';
+  return `conversations/${conversationId}/${crypto.randomUUID()}${extension}`;
+};
+
+/**
+ * Recover the storage key from a stored file's public URL
+ * @param {string} url - URL returned by save()
+ * @returns {string|null} Storage key, or null if the URL wasn't built from a key
+ */
+const storageKeyFromUrl = (url) => {
+  const match = /(conversations\/\d+\/[^/?#]+)$/.exec(url || '');
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  storage,
+  INLINE_EXTENSIONS,
+  buildStorageKey,
+  storageKeyFromUrl
+};
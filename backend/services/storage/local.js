@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage adapter
+ * Files are written under UPLOAD_DIR and served statically by server.js
+ * @param {Object} options - Adapter options
+ * @param {string} options.directory - Absolute directory to store files in
+ * @param {string} options.publicPath - URL prefix the directory is served from
+ */
+const createLocalStorage = ({ directory, publicPath }) => {
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Resolve a storage key to an absolute path, refusing anything that escapes the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  const save = async (buffer, { key }) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return {
+      key,
+      url: `${publicPath}/${key}`
+    };
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  };
+
+  return {
+    name: 'local',
+    directory,
+    publicPath,
+    save,
+    remove
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,63 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * S3-compatible storage adapter
+ * Works with AWS S3 as well as MinIO, R2 and other services when AWS_S3_ENDPOINT is set
+ * @param {Object} options - Adapter options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Bucket region
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {string} [options.publicUrl] - Base URL objects are publicly reachable at
+ */
+const createS3Storage = ({ bucket, region, endpoint, publicUrl }) => {
+  if (!bucket) {
+    throw new Error('AWS_S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    // Most S3-compatible services don't support virtual-hosted bucket URLs
+    forcePathStyle: Boolean(endpoint)
+  });
+
+  const getObjectUrl = (key) => {
+    if (publicUrl) {
+      return `${publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+    if (endpoint) {
+      return `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`;
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+  };
+
+  const save = async (buffer, { key, mimeType, fileName }) => {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimeType,
+      ContentDisposition: `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`
+    }));
+
+    return {
+      key,
+      url: getObjectUrl(key)
+    };
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({
+      Bucket: bucket,
+      Key: key
+    }));
+  };
+
+  return {
+    name: 's3',
+    save,
+    remove
+  };
+};
+
+module.exports = { createS3Storage };
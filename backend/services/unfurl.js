@@ -0,0 +1,300 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: parseInt(process.env.UNFURL_TIMEOUT_MS || '5000'),
+  maxBytes: parseInt(process.env.UNFURL_MAX_BYTES || String(512 * 1024)),
+  maxRedirects: 3,
+  // Only for development and fixture servers on localhost; never enable in production
+  allowPrivateHosts: process.env.UNFURL_ALLOW_PRIVATE_HOSTS === 'true',
+  // Origins (e.g. a test fixture's http://127.0.0.1:PORT) fetched without the private
+  // address check; redirects elsewhere are still checked
+  trustedOrigins: [],
+  userAgent: 'InstantChatBot/1.0 (+link previews)'
+};
+
+// Addresses a preview request must never reach: loopback, private networks,
+// link-local (including cloud metadata endpoints), CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['2001:db8::', 32], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is on a private or reserved network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it wraps
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * DNS lookup that refuses to resolve to private addresses
+ * Used as the socket's lookup so the address that's checked is the one connected to
+ */
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const allowed = addresses.filter(({ address }) => !isPrivateAddress(address));
+    if (allowed.length === 0) {
+      return callback(new Error(`Refusing to connect to private address for ${hostname}`));
+    }
+
+    if (options.all) {
+      return callback(null, allowed);
+    }
+    callback(null, allowed[0].address, allowed[0].family);
+  });
+};
+
+const decodeEntities = (text) => text
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+const clean = (value, maxLength) => {
+  if (!value) return null;
+  const text = decodeEntities(String(value)).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, maxLength) : null;
+};
+
+const getAttribute = (tag, name) => {
+  const match = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+};
+
+/**
+ * Pull OpenGraph / Twitter card / basic HTML metadata out of a page
+ * @param {string} html - Page source (possibly truncated)
+ * @returns {Object} Metadata keyed by property name, plus title and oEmbed link
+ */
+const parseHtmlMetadata = (html) => {
+  const meta = {};
+
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = (getAttribute(tag, 'property') || getAttribute(tag, 'name') || '').toLowerCase();
+    const content = getAttribute(tag, 'content');
+    if (key && content && !(key in meta)) {
+      meta[key] = content;
+    }
+  }
+
+  const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  const oembedTag = [...html.matchAll(/<link\b[^>]*>/gi)]
+    .map(([tag]) => tag)
+    .find(tag => /type\s*=\s*["']?application\/json\+oembed/i.test(tag));
+
+  return {
+    meta,
+    title: titleMatch ? titleMatch[1] : null,
+    oembedUrl: oembedTag ? getAttribute(oembedTag, 'href') : null
+  };
+};
+
+/**
+ * Resolve a possibly relative URL against the page it came from; only http(s) URLs are kept
+ */
+const resolveUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    const url = new URL(decodeEntities(value), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create an unfurler
+ * Options can be overridden per instance, e.g. to point it at a local fixture server
+ * @param {Object} [overrides] - timeoutMs, maxBytes, maxRedirects, allowPrivateHosts,
+ *   trustedOrigins, userAgent
+ * @returns {{unfurl: Function, fetchPage: Function}}
+ */
+const createUnfurler = (overrides = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+
+  /**
+   * GET a URL with redirects, a deadline and a body size cap
+   * @returns {Promise<{url: string, contentType: string, body: string}>}
+   */
+  const fetchPage = (rawUrl, redirectsLeft = options.maxRedirects) => new Promise((resolve, reject) => {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      return reject(new Error('Invalid URL'));
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return reject(new Error('Only http and https URLs can be previewed'));
+    }
+
+    if (url.username || url.password) {
+      return reject(new Error('URLs with credentials are not previewed'));
+    }
+
+    // Literal IPs skip DNS, so they're checked here rather than in the lookup
+    const checkAddress = !options.allowPrivateHosts && !options.trustedOrigins.includes(url.origin);
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (checkAddress && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return reject(new Error('Refusing to connect to a private address'));
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      headers: {
+        'User-Agent': options.userAgent,
+        Accept: 'text/html,application/xhtml+xml,application/json;q=0.9,*/*;q=0.1'
+      },
+      lookup: checkAddress ? safeLookup : undefined,
+      timeout: options.timeoutMs
+    }, (response) => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        clearTimeout(deadline);
+        if (redirectsLeft <= 0) {
+          return reject(new Error('Too many redirects'));
+        }
+        // Runs outside the promise executor, so a bad Location must not throw
+        let location;
+        try {
+          location = new URL(headers.location, url);
+        } catch (error) {
+          return reject(new Error('Invalid redirect location'));
+        }
+        return resolve(fetchPage(location.toString(), redirectsLeft - 1));
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        clearTimeout(deadline);
+        return reject(new Error(`Unexpected status ${statusCode}`));
+      }
+
+      const contentType = (headers['content-type'] || '').toLowerCase();
+      const chunks = [];
+      let received = 0;
+
+      const finish = () => {
+        clearTimeout(deadline);
+        resolve({ url: url.toString(), contentType, body: Buffer.concat(chunks).toString('utf8') });
+      };
+
+      response.on('data', (chunk) => {
+        chunks.push(chunk);
+        received += chunk.length;
+
+        // Metadata lives in <head>, so a truncated page is still useful
+        if (received >= options.maxBytes) {
+          response.destroy();
+          finish();
+        }
+      });
+      response.on('end', finish);
+      response.on('error', (error) => {
+        clearTimeout(deadline);
+        reject(error);
+      });
+    });
+
+    // Overall deadline; the socket timeout above only covers idle time
+    const deadline = setTimeout(() => {
+      request.destroy(new Error('Timed out fetching preview'));
+    }, options.timeoutMs);
+
+    request.on('timeout', () => request.destroy(new Error('Timed out fetching preview')));
+    request.on('error', (error) => {
+      clearTimeout(deadline);
+      reject(error);
+    });
+  });
+
+  const fetchOembed = async (oembedUrl) => {
+    try {
+      const { body } = await fetchPage(oembedUrl);
+      return JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  /**
+   * Fetch preview metadata for a URL
+   * @param {string} rawUrl - URL found in a message
+   * @returns {Promise<Object|null>} Preview fields, or null when the page has nothing to show
+   */
+  const unfurl = async (rawUrl) => {
+    const page = await fetchPage(rawUrl);
+
+    if (!page.contentType.includes('text/html') && !page.contentType.includes('application/xhtml')) {
+      return null;
+    }
+
+    const { meta, title, oembedUrl } = parseHtmlMetadata(page.body);
+    const resolvedOembedUrl = resolveUrl(oembedUrl, page.url);
+    const oembed = resolvedOembedUrl ? await fetchOembed(resolvedOembedUrl) : null;
+
+    const preview = {
+      url: rawUrl,
+      title: clean(meta['og:title'] || meta['twitter:title'] || oembed?.title || title, 300),
+      description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, 500),
+      image_url: resolveUrl(meta['og:image'] || meta['twitter:image'] || oembed?.thumbnail_url, page.url),
+      site_name: clean(meta['og:site_name'] || oembed?.provider_name || new URL(page.url).hostname, 100)
+    };
+
+    return preview.title || preview.description ? preview : null;
+  };
+
+  return { unfurl, fetchPage };
+};
+
+// URLs in message text, in order, without duplicates
+const extractUrls = (content = '', limit = 3) => {
+  const urls = [];
+  for (const [match] of (content || '').matchAll(/https?:\/\/[^\s<>"'`)\]]+/gi)) {
+    const url = match.replace(/[.,;:!?]+$/, '');
+    if (!urls.includes(url)) {
+      urls.push(url);
+    }
+    if (urls.length >= limit) break;
+  }
+  return urls;
+};
+
+module.exports = {
+  createUnfurler,
+  extractUrls,
+  isPrivateAddress,
+  parseHtmlMetadata
+};
@@ -0,0 +1,27 @@
+const express = require('express');
+
+// The signed-in user route tests run as
+const TEST_USER = { id: 1, username: 'alice' };
+
+/**
+ * Mount a router the way server.js does, with the signed-in user already set
+ * @param {string} path - Mount path, e.g. /api/messages
+ * @param {express.Router} router - Router under test
+ * @param {Object} user - req.user for every request
+ * @returns {express.Application}
+ */
+const buildApp = (path, router, user = TEST_USER) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(path, router);
+  return app;
+};
+
+module.exports = {
+  TEST_USER,
+  buildApp
+};
@@ -1,6 +1,9 @@
 -- InstantChat Database Schema
 -- Optimized for fast message search and real-time updates
 
+-- Trigram matching, for fuzzy message search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Users table
 CREATE TABLE users (
     id SERIAL PRIMARY KEY,
@@ -9,6 +12,7 @@ CREATE TABLE users (
     password_hash VARCHAR(255) NOT NULL,
     avatar_url VARCHAR(500),
     status VARCHAR(20) DEFAULT 'offline',
+    show_email BOOLEAN DEFAULT FALSE, -- whether other users can see (and search by) this user's email
     last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -19,6 +23,10 @@ CREATE TABLE conversations (
     id SERIAL PRIMARY KEY,
     name VARCHAR(100), -- NULL for 1:1 chats, name for group chats
     type VARCHAR(20) NOT NULL DEFAULT 'direct', -- 'direct' or 'group'
+    edit_window_minutes INTEGER, -- how long after sending messages can be edited; NULL means no limit
+    members_can_pin BOOLEAN DEFAULT FALSE, -- admins can always pin
+    message_ttl_seconds INTEGER, -- new messages disappear after this long; NULL means they are kept
+    search_language VARCHAR(32) NOT NULL DEFAULT 'english', -- text search configuration messages are indexed with
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -30,6 +38,9 @@ CREATE TABLE conversation_participants (
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     role VARCHAR(20) DEFAULT 'member', -- 'admin', 'member'
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_read_message_id INTEGER, -- newest message this participant has read
+    last_delivered_message_id INTEGER, -- newest message received by one of this participant's clients
+    last_read_at TIMESTAMP,
     UNIQUE(conversation_id, user_id)
 );
 
@@ -39,14 +50,140 @@ CREATE TABLE messages (
     conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
     sender_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     content TEXT NOT NULL,
-    message_type VARCHAR(20) DEFAULT 'text', -- 'text', 'image', 'file'
+    message_type VARCHAR(20) DEFAULT 'text', -- 'text', 'image', 'file', 'poll', 'system'
+    format VARCHAR(20) DEFAULT 'plain', -- how content is rendered: 'plain' or 'markdown'
     file_url VARCHAR(500),
+    file_name VARCHAR(255),
+    file_size INTEGER, -- bytes
+    file_mime_type VARCHAR(100),
+    thread_id INTEGER REFERENCES messages(id) ON DELETE CASCADE, -- parent message for threaded replies
+    reply_to_id INTEGER, -- quoted message; not a foreign key so replies survive the original being deleted
+    forwarded_from_message_id INTEGER, -- message this is a forwarded copy of; not a foreign key, like reply_to_id
+    forwarded_from_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- original author of a forwarded message
+    client_id VARCHAR(64), -- client-generated ID used to make sends idempotent
     is_edited BOOLEAN DEFAULT FALSE,
     edited_at TIMESTAMP,
+    deleted_at TIMESTAMP, -- set when deleted for everyone; the row is kept as a tombstone
+    deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP, -- disappearing messages are purged after this time
+    search_vector TSVECTOR, -- content indexed in the conversation's search language; maintained by triggers
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Messages a user deleted for themselves only
+CREATE TABLE message_hidden (
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    hidden_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (message_id, user_id)
+);
+
+-- Previous revisions of edited messages
+CREATE TABLE message_edits (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    content TEXT NOT NULL, -- content before the edit
+    edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP -- when this revision was replaced
+);
+
+-- Users mentioned by a message (@username, or everyone reached by @here / @all)
+CREATE TABLE message_mentions (
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    mention_type VARCHAR(10) NOT NULL DEFAULT 'user', -- 'user', 'here', 'all'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (message_id, user_id)
+);
+
+-- Pinned messages
+CREATE TABLE pinned_messages (
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    pinned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    pinned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (conversation_id, message_id)
+);
+
+-- Polls (the poll's question is its message's content)
+CREATE TABLE polls (
+    message_id INTEGER PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+    allow_multiple BOOLEAN NOT NULL DEFAULT FALSE,
+    anonymous BOOLEAN NOT NULL DEFAULT FALSE, -- hide who voted for what
+    closes_at TIMESTAMP -- no more votes after this time; NULL keeps the poll open
+);
+
+CREATE TABLE poll_options (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES polls(message_id) ON DELETE CASCADE,
+    position SMALLINT NOT NULL,
+    text VARCHAR(200) NOT NULL
+);
+
+CREATE TABLE poll_votes (
+    option_id INTEGER REFERENCES poll_options(id) ON DELETE CASCADE,
+    message_id INTEGER REFERENCES polls(message_id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (option_id, user_id)
+);
+
+-- Unsent composer text, one draft per user per conversation
+CREATE TABLE message_drafts (
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    format VARCHAR(20) NOT NULL DEFAULT 'plain',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (conversation_id, user_id)
+);
+
+-- Messages a user has bookmarked, with an optional personal note
+CREATE TABLE saved_messages (
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    note TEXT,
+    saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, message_id)
+);
+
+-- Messages composed now and sent later by the scheduler
+CREATE TABLE scheduled_messages (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+    sender_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    format VARCHAR(20) NOT NULL DEFAULT 'plain',
+    scheduled_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'sent', 'failed'
+    message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL, -- the message it became
+    error TEXT,
+    sent_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Link preview cache (one row per URL, refreshed after a TTL)
+CREATE TABLE link_previews (
+    url TEXT PRIMARY KEY,
+    title VARCHAR(300),
+    description VARCHAR(500),
+    image_url TEXT,
+    site_name VARCHAR(100),
+    failed BOOLEAN DEFAULT false, -- nothing to show, or the fetch failed
+    fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Link previews attached to messages
+CREATE TABLE message_link_previews (
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    url TEXT REFERENCES link_previews(url) ON DELETE CASCADE,
+    position SMALLINT NOT NULL DEFAULT 0,
+    dismissed BOOLEAN DEFAULT false, -- removed by the sender
+    PRIMARY KEY (message_id, url)
+);
+
 -- Message reactions
 CREATE TABLE message_reactions (
     id SERIAL PRIMARY KEY,
@@ -84,10 +221,44 @@ CREATE INDEX idx_participants_user_id ON conversation_participants(user_id);
 CREATE INDEX idx_messages_conversation_id ON messages(conversation_id);
 CREATE INDEX idx_messages_sender_id ON messages(sender_id);
 CREATE INDEX idx_messages_created_at ON messages(created_at);
-CREATE INDEX idx_messages_conversation_created ON messages(conversation_id, created_at);
+-- Matches the (created_at, id) order messages are paged in
+CREATE INDEX idx_messages_conversation_created ON messages(conversation_id, created_at, id);
+CREATE INDEX idx_messages_thread_id ON messages(thread_id, created_at);
+CREATE UNIQUE INDEX idx_messages_sender_client_id ON messages(sender_id, client_id) WHERE client_id IS NOT NULL;
+
+-- Search indexes: full-text (each message in its conversation's language) and trigrams for fuzzy matches
+CREATE INDEX idx_messages_search_vector ON messages USING gin(search_vector);
+CREATE INDEX idx_messages_content_trgm ON messages USING gin(content gin_trgm_ops);
+
+-- Hidden messages index (lookups by user)
+CREATE INDEX idx_message_hidden_user_id ON message_hidden(user_id);
+
+-- Edit history index
+CREATE INDEX idx_message_edits_message_id ON message_edits(message_id, created_at);
+
+-- Mentions inbox index
+CREATE INDEX idx_message_mentions_user_id ON message_mentions(user_id, created_at);
+
+-- Pins index (newest first per conversation)
+CREATE INDEX idx_pinned_messages_conversation ON pinned_messages(conversation_id, pinned_at);
+
+-- Saved messages index (each user's list, newest first)
+CREATE INDEX idx_saved_messages_user ON saved_messages(user_id, saved_at);
+
+-- Poll indexes
+CREATE INDEX idx_poll_options_message_id ON poll_options(message_id, position);
+CREATE INDEX idx_poll_votes_message_user ON poll_votes(message_id, user_id);
 
--- Full-text search index for message content
-CREATE INDEX idx_messages_content_search ON messages USING gin(to_tsvector('english', content));
+-- Disappearing messages indexes (expiring messages, and files still shared with forwarded copies)
+CREATE INDEX idx_messages_expires_at ON messages(expires_at) WHERE expires_at IS NOT NULL;
+CREATE INDEX idx_messages_file_url ON messages(file_url) WHERE file_url IS NOT NULL;
+
+-- Scheduled messages indexes (due pending messages, and each sender's list per conversation)
+CREATE INDEX idx_scheduled_messages_due ON scheduled_messages(scheduled_at) WHERE status = 'pending';
+CREATE INDEX idx_scheduled_messages_sender ON scheduled_messages(sender_id, conversation_id, status);
+
+-- Link preview cache index (for pruning stale entries)
+CREATE INDEX idx_link_previews_fetched_at ON link_previews(fetched_at);
 
 -- Reactions indexes
 CREATE INDEX idx_reactions_message_id ON message_reactions(message_id);
@@ -114,4 +285,37 @@ CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON messages
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); 
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_scheduled_messages_updated_at BEFORE UPDATE ON scheduled_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); 
+
+-- Index message content in its conversation's search language
+CREATE OR REPLACE FUNCTION update_message_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector = to_tsvector(
+        COALESCE((SELECT search_language FROM conversations WHERE id = NEW.conversation_id), 'english')::regconfig,
+        NEW.content
+    );
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_messages_search_vector BEFORE INSERT OR UPDATE OF content ON messages
+    FOR EACH ROW EXECUTE FUNCTION update_message_search_vector();
+
+-- Re-index a conversation's messages when its search language changes
+CREATE OR REPLACE FUNCTION reindex_conversation_messages()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE messages
+    SET search_vector = to_tsvector(NEW.search_language::regconfig, content)
+    WHERE conversation_id = NEW.id;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER reindex_conversation_messages AFTER UPDATE OF search_language ON conversations
+    FOR EACH ROW WHEN (OLD.search_language IS DISTINCT FROM NEW.search_language)
+    EXECUTE FUNCTION reindex_conversation_messages();
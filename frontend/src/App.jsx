@@ -24,6 +24,10 @@ function App() {
           path="/register" 
           element={isAuthenticated ? <Navigate to="/chat" replace /> : <Register />} 
         />
+        <Route
+          path="/chat/:conversationId/m/:messageId"
+          element={isAuthenticated ? <Chat /> : <Navigate to="/login" replace />}
+        />
         <Route 
           path="/chat/*" 
           element={isAuthenticated ? <Chat /> : <Navigate to="/login" replace />} 
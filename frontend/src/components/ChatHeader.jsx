@@ -1,8 +1,17 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { useChat } from '../context/ChatContext';
+import ConversationSettingsModal from './ConversationSettingsModal';
 
 const ChatHeader = ({ conversation, onToggleSidebar, sidebarOpen, typingUsers }) => {
   const { user } = useAuth();
+  const { pinnedMessages, jumpToMessage, unpinMessage } = useChat();
+  const [showSettings, setShowSettings] = useState(false);
+  const [showPins, setShowPins] = useState(false);
+
+  const isAdmin = (conversation.participants || [])
+    .some(participant => participant.id === user?.id && participant.role === 'admin');
+  const canPin = isAdmin || conversation.members_can_pin === true;
 
   const getConversationName = () => {
     if (conversation.name) {
@@ -46,77 +55,153 @@ const ChatHeader = ({ conversation, onToggleSidebar, sidebarOpen, typingUsers })
     }
   };
 
+  const getPinPreview = (pin) => {
+    const message = pin.message;
+    if (!message || message.deleted_at) return 'Message unavailable';
+    return message.content || message.file_name || 'Attachment';
+  };
+
+  const handleJump = (messageId) => {
+    setShowPins(false);
+    jumpToMessage(messageId);
+  };
+
+  const latestPin = pinnedMessages[0];
+
   return (
-    <div className="flex items-center justify-between p-4 border-b border-gray-200 bg-white">
-      {/* Left side - Conversation info */}
-      <div className="flex items-center space-x-3">
-        {/* Mobile menu button */}
-        <button
-          onClick={onToggleSidebar}
-          className="lg:hidden p-2 rounded-lg hover:bg-gray-100"
-        >
-          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
-          </svg>
-        </button>
-
-        {/* Conversation avatar */}
-        <div className="w-10 h-10 bg-primary-600 rounded-full flex items-center justify-center">
-          <span className="text-white font-semibold text-lg">
-            {getConversationName().charAt(0).toUpperCase()}
-          </span>
-        </div>
+    <div className="relative border-b border-gray-200 bg-white">
+      <div className="flex items-center justify-between p-4">
+        {/* Left side - Conversation info */}
+        <div className="flex items-center space-x-3">
+          {/* Mobile menu button */}
+          <button
+            onClick={onToggleSidebar}
+            className="lg:hidden p-2 rounded-lg hover:bg-gray-100"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
+            </svg>
+          </button>
 
-        {/* Conversation details */}
-        <div>
-          <h2 className="text-lg font-semibold text-gray-900">
-            {getConversationName()}
-          </h2>
-          <div className="flex items-center space-x-2">
-            <span className="text-sm text-gray-500">
-              {getParticipantCount()}
+          {/* Conversation avatar */}
+          <div className="w-10 h-10 bg-primary-600 rounded-full flex items-center justify-center">
+            <span className="text-white font-semibold text-lg">
+              {getConversationName().charAt(0).toUpperCase()}
             </span>
-            {conversation.type === 'group' && (
-              <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
-                Group
+          </div>
+
+          {/* Conversation details */}
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">
+              {getConversationName()}
+            </h2>
+            <div className="flex items-center space-x-2">
+              <span className="text-sm text-gray-500">
+                {getParticipantCount()}
               </span>
-            )}
+              {conversation.type === 'group' && (
+                <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+                  Group
+                </span>
+              )}
+            </div>
           </div>
         </div>
-      </div>
 
-      {/* Right side - Actions and typing indicator */}
-      <div className="flex items-center space-x-4">
-        {/* Typing indicator */}
-        {typingUsers.size > 0 && (
-          <div className="typing-indicator">
-            <span className="text-sm text-gray-500">
-              {getTypingIndicator()}
-            </span>
-            <div className="flex space-x-1 ml-2">
-              <div className="typing-dot"></div>
-              <div className="typing-dot"></div>
-              <div className="typing-dot"></div>
+        {/* Right side - Actions and typing indicator */}
+        <div className="flex items-center space-x-4">
+          {/* Typing indicator */}
+          {typingUsers.size > 0 && (
+            <div className="typing-indicator">
+              <span className="text-sm text-gray-500">
+                {getTypingIndicator()}
+              </span>
+              <div className="flex space-x-1 ml-2">
+                <div className="typing-dot"></div>
+                <div className="typing-dot"></div>
+                <div className="typing-dot"></div>
+              </div>
             </div>
+          )}
+
+          {/* Action buttons */}
+          <div className="flex items-center space-x-2">
+            <button className="p-2 rounded-lg hover:bg-gray-100 transition-colors">
+              <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+              </svg>
+            </button>
+            
+            <button
+              onClick={() => setShowSettings(true)}
+              className="p-2 rounded-lg hover:bg-gray-100 transition-colors"
+              title="Conversation settings"
+            >
+              <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+            </button>
           </div>
-        )}
+        </div>
+      </div>
 
-        {/* Action buttons */}
-        <div className="flex items-center space-x-2">
-          <button className="p-2 rounded-lg hover:bg-gray-100 transition-colors">
-            <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-            </svg>
+      {/* Pinned messages banner */}
+      {latestPin && (
+        <div className="flex items-center justify-between px-4 py-2 border-t border-gray-100 bg-gray-50 text-sm">
+          <button
+            onClick={() => handleJump(latestPin.message_id)}
+            className="flex items-center min-w-0 space-x-2 text-left hover:text-primary-700"
+          >
+            <span>📌</span>
+            <span className="font-medium text-gray-700 flex-shrink-0">
+              {latestPin.message?.sender_name}:
+            </span>
+            <span className="text-gray-600 truncate">{getPinPreview(latestPin)}</span>
           </button>
-          
-          <button className="p-2 rounded-lg hover:bg-gray-100 transition-colors">
-            <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-            </svg>
+          <button
+            onClick={() => setShowPins(prev => !prev)}
+            className="ml-3 flex-shrink-0 text-xs font-medium text-primary-600 hover:underline"
+          >
+            {showPins ? 'Hide' : `${pinnedMessages.length} pinned`}
           </button>
         </div>
-      </div>
+      )}
+
+      {/* Pinned messages list */}
+      {showPins && pinnedMessages.length > 0 && (
+        <div className="absolute right-4 top-full z-30 w-80 max-h-96 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg custom-scrollbar">
+          {pinnedMessages.map(pin => (
+            <div key={pin.message_id} className="flex items-start p-3 border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
+              <button
+                onClick={() => handleJump(pin.message_id)}
+                className="flex-1 min-w-0 text-left"
+              >
+                <p className="text-xs font-medium text-gray-900">{pin.message?.sender_name}</p>
+                <p className="text-sm text-gray-700 line-clamp-2 break-words">{getPinPreview(pin)}</p>
+                <p className="text-xs text-gray-400 mt-1">Pinned by {pin.pinned_by_name || 'unknown'}</p>
+              </button>
+              {canPin && (
+                <button
+                  onClick={() => unpinMessage(pin.message_id)}
+                  className="ml-2 p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-200"
+                  title="Unpin"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConversationSettingsModal
+        isOpen={showSettings}
+        onClose={() => setShowSettings(false)}
+        conversation={conversation}
+      />
     </div>
   );
 };
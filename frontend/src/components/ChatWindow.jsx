@@ -4,9 +4,10 @@ import { useSocket } from '../context/SocketContext';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
 import ChatHeader from './ChatHeader';
+import ThreadPanel from './ThreadPanel';
 
 const ChatWindow = ({ conversation, onToggleSidebar, sidebarOpen }) => {
-  const { messages, typingUsers } = useChat();
+  const { messages, typingUsers, activeThread } = useChat();
   const { startTyping, stopTyping } = useSocket();
   const [isTyping, setIsTyping] = useState(false);
   const typingTimeoutRef = useRef(null);
@@ -48,30 +49,37 @@ const ChatWindow = ({ conversation, onToggleSidebar, sidebarOpen }) => {
   }, [conversation.id, isTyping, stopTyping]);
 
   return (
-    <div className="flex flex-col h-full bg-white">
-      {/* Chat Header */}
-      <ChatHeader 
-        conversation={conversation}
-        onToggleSidebar={onToggleSidebar}
-        sidebarOpen={sidebarOpen}
-        typingUsers={typingUsers}
-      />
-
-      {/* Messages */}
-      <div className="flex-1 overflow-hidden">
-        <MessageList 
-          messages={messages}
-          conversationId={conversation.id}
+    <div className="flex h-full">
+      <div className={`flex-col flex-1 min-w-0 h-full bg-white ${activeThread ? 'hidden lg:flex' : 'flex'}`}>
+        {/* Chat Header */}
+        <ChatHeader 
+          conversation={conversation}
+          onToggleSidebar={onToggleSidebar}
+          sidebarOpen={sidebarOpen}
+          typingUsers={typingUsers}
         />
-      </div>
 
-      {/* Message Input */}
-      <div className="border-t border-gray-200 p-4">
-        <MessageInput 
-          conversationId={conversation.id}
-          onTyping={handleTyping}
-        />
+        {/* Messages */}
+        <div className="flex-1 overflow-hidden">
+          <MessageList 
+            messages={messages}
+            conversationId={conversation.id}
+          />
+        </div>
+
+        {/* Message Input */}
+        <div className="border-t border-gray-200 p-4">
+          <MessageInput 
+            conversationId={conversation.id}
+            onTyping={handleTyping}
+          />
+        </div>
       </div>
+
+      {/* Thread side panel */}
+      {activeThread && (
+        <ThreadPanel thread={activeThread} />
+      )}
     </div>
   );
 };
@@ -34,7 +34,14 @@ const ConversationItem = ({ conversation, isActive, onClick }) => {
     return '?';
   };
 
+  // Unsent text is shown instead of the last message, except in the open conversation
+  const draft = !isActive && conversation.draft?.content;
+
   const getLastMessagePreview = () => {
+    if (draft) {
+      return draft.length <= 50 ? draft : draft.substring(0, 50) + '...';
+    }
+
     if (!conversation.last_message) {
       return 'No messages yet';
     }
@@ -95,6 +102,7 @@ const ConversationItem = ({ conversation, isActive, onClick }) => {
         
         <div className="flex items-center justify-between mt-1">
           <p className={`text-xs truncate ${isActive ? 'text-primary-600' : 'text-gray-500'}`}>
+            {draft && <span className="font-medium text-red-600">Draft: </span>}
             {getLastMessagePreview()}
           </p>
           
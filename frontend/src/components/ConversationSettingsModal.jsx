@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useChat } from '../context/ChatContext';
+import { SEARCH_LANGUAGES } from '../utils/search';
+
+// Disappearing message presets, in seconds
+const MESSAGE_TTL_OPTIONS = [
+  { value: '', label: 'Off' },
+  { value: 60 * 60, label: '1 hour' },
+  { value: 24 * 60 * 60, label: '1 day' },
+  { value: 7 * 24 * 60 * 60, label: '7 days' }
+];
+
+const ConversationSettingsModal = ({ isOpen, onClose, conversation }) => {
+  const { user } = useAuth();
+  const { updateConversation } = useChat();
+  const [editWindow, setEditWindow] = useState('');
+  const [membersCanPin, setMembersCanPin] = useState(false);
+  const [messageTtl, setMessageTtl] = useState('');
+  const [searchLanguage, setSearchLanguage] = useState('english');
+  const [loading, setLoading] = useState(false);
+
+  const isAdmin = (conversation?.participants || [])
+    .some(participant => participant.id === user?.id && participant.role === 'admin');
+
+  useEffect(() => {
+    if (isOpen) {
+      setEditWindow(conversation?.edit_window_minutes ?? '');
+      setMembersCanPin(conversation?.members_can_pin === true);
+      setMessageTtl(conversation?.message_ttl_seconds ?? '');
+      setSearchLanguage(conversation?.search_language || 'english');
+    }
+  }, [
+    isOpen,
+    conversation?.edit_window_minutes,
+    conversation?.members_can_pin,
+    conversation?.message_ttl_seconds,
+    conversation?.search_language
+  ]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setLoading(true);
+
+    // An empty edit window means messages can be edited at any time
+    const result = await updateConversation(conversation.id, {
+      editWindowMinutes: editWindow === '' ? null : parseInt(editWindow),
+      membersCanPin,
+      messageTtlSeconds: messageTtl === '' ? null : parseInt(messageTtl),
+      searchLanguage
+    });
+
+    setLoading(false);
+    if (result.success) {
+      onClose();
+    }
+  };
+
+  if (!isOpen || !conversation) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">Conversation Settings</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Edit window */}
+            <div>
+              <label htmlFor="editWindow" className="block text-sm font-medium text-gray-700 mb-2">
+                Edit Window (minutes)
+              </label>
+              <input
+                type="number"
+                id="editWindow"
+                min="0"
+                value={editWindow}
+                onChange={(e) => setEditWindow(e.target.value)}
+                className="input-field"
+                placeholder="No limit"
+                disabled={!isAdmin}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Messages can't be edited once they are older than this. Leave empty for no limit.
+              </p>
+            </div>
+
+            {/* Pinning */}
+            <label className="flex items-start space-x-3">
+              <input
+                type="checkbox"
+                checked={membersCanPin}
+                onChange={(e) => setMembersCanPin(e.target.checked)}
+                className="mt-1"
+                disabled={!isAdmin}
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-700">Let members pin messages</span>
+                <span className="block text-xs text-gray-500">Admins can always pin and unpin messages.</span>
+              </span>
+            </label>
+
+            {/* Disappearing messages */}
+            <div>
+              <label htmlFor="messageTtl" className="block text-sm font-medium text-gray-700 mb-2">
+                Disappearing Messages
+              </label>
+              <select
+                id="messageTtl"
+                value={messageTtl}
+                onChange={(e) => setMessageTtl(e.target.value)}
+                className="input-field"
+                disabled={!isAdmin}
+              >
+                {MESSAGE_TTL_OPTIONS.map(option => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+                {/* Keep a value set through the API selectable */}
+                {messageTtl !== '' && !MESSAGE_TTL_OPTIONS.some(option => option.value === Number(messageTtl)) && (
+                  <option value={messageTtl}>{Math.round(messageTtl / 60)} minutes</option>
+                )}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                New messages are deleted for everyone this long after they are sent.
+              </p>
+            </div>
+
+            {/* Search language */}
+            <div>
+              <label htmlFor="searchLanguage" className="block text-sm font-medium text-gray-700 mb-2">
+                Search Language
+              </label>
+              <select
+                id="searchLanguage"
+                value={searchLanguage}
+                onChange={(e) => setSearchLanguage(e.target.value)}
+                className="input-field capitalize"
+                disabled={!isAdmin}
+              >
+                {SEARCH_LANGUAGES.map(language => (
+                  <option key={language} value={language}>
+                    {language === 'simple' ? 'Any language (no stemming)' : language}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Search matches other forms of a word (plan, plans, planning) in this language.
+              </p>
+            </div>
+
+            {!isAdmin && (
+              <p className="text-sm text-gray-500">Only conversation admins can change these settings.</p>
+            )}
+
+            {/* Submit Button */}
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 btn-secondary"
+                disabled={loading}
+              >
+                Cancel
+              </button>
+              {isAdmin && (
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 btn-primary"
+                >
+                  {loading ? 'Saving...' : 'Save'}
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConversationSettingsModal;
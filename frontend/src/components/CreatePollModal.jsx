@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { useChat } from '../context/ChatContext';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+const CreatePollModal = ({ isOpen, onClose }) => {
+  const { createPoll } = useChat();
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [closesAt, setClosesAt] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const filledOptions = options.map(option => option.trim()).filter(Boolean);
+  const canSubmit = question.trim() && filledOptions.length >= MIN_OPTIONS && !loading;
+
+  const resetForm = () => {
+    setQuestion('');
+    setOptions(['', '']);
+    setAllowMultiple(false);
+    setAnonymous(false);
+    setClosesAt('');
+  };
+
+  const updateOption = (index, value) => {
+    setOptions(prev => prev.map((option, i) => (i === index ? value : option)));
+  };
+
+  const removeOption = (index) => {
+    setOptions(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    setLoading(true);
+    const result = await createPoll(question, {
+      options: filledOptions,
+      allowMultiple,
+      anonymous,
+      closesAt: closesAt ? new Date(closesAt) : null
+    });
+    setLoading(false);
+
+    if (result.success) {
+      resetForm();
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">Create Poll</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Question */}
+            <div>
+              <label htmlFor="pollQuestion" className="block text-sm font-medium text-gray-700 mb-2">
+                Question
+              </label>
+              <input
+                type="text"
+                id="pollQuestion"
+                value={question}
+                onChange={(e) => setQuestion(e.target.value)}
+                className="input-field"
+                placeholder="Which day works?"
+                autoFocus
+              />
+            </div>
+
+            {/* Options */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Options
+              </label>
+              <div className="space-y-2">
+                {options.map((option, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <input
+                      type="text"
+                      value={option}
+                      onChange={(e) => updateOption(index, e.target.value)}
+                      maxLength={200}
+                      className="input-field"
+                      placeholder={`Option ${index + 1}`}
+                    />
+                    {options.length > MIN_OPTIONS && (
+                      <button
+                        type="button"
+                        onClick={() => removeOption(index)}
+                        className="p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                        title="Remove option"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              {options.length < MAX_OPTIONS && (
+                <button
+                  type="button"
+                  onClick={() => setOptions(prev => [...prev, ''])}
+                  className="mt-2 text-sm font-medium text-primary-600 hover:underline"
+                >
+                  + Add option
+                </button>
+              )}
+            </div>
+
+            {/* Settings */}
+            <div className="space-y-3">
+              <label className="flex items-center space-x-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={allowMultiple}
+                  onChange={(e) => setAllowMultiple(e.target.checked)}
+                />
+                <span>Allow multiple answers</span>
+              </label>
+              <label className="flex items-center space-x-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={anonymous}
+                  onChange={(e) => setAnonymous(e.target.checked)}
+                />
+                <span>Anonymous voting</span>
+              </label>
+              <div>
+                <label htmlFor="pollClosesAt" className="block text-sm font-medium text-gray-700 mb-2">
+                  Close at (optional)
+                </label>
+                <input
+                  type="datetime-local"
+                  id="pollClosesAt"
+                  value={closesAt}
+                  onChange={(e) => setClosesAt(e.target.value)}
+                  className="input-field"
+                />
+              </div>
+            </div>
+
+            {/* Submit Button */}
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 btn-secondary"
+                disabled={loading}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!canSubmit}
+                className="flex-1 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Creating...' : 'Create Poll'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CreatePollModal;
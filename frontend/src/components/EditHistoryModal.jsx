@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { useChat } from '../context/ChatContext';
+
+const EditHistoryModal = ({ messageId, onClose }) => {
+  const { fetchMessageHistory } = useChat();
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      setLoading(true);
+      const data = await fetchMessageHistory(messageId);
+      setHistory(data);
+      setLoading(false);
+    };
+
+    loadHistory();
+  }, [messageId]);
+
+  const formatTimestamp = (timestamp) => {
+    try {
+      return format(new Date(timestamp), 'MMM d, yyyy h:mm a');
+    } catch (error) {
+      return '';
+    }
+  };
+
+  // Newest first, starting with the current version
+  const versions = history
+    ? [
+        { id: 'current', content: history.current.content, written_at: history.current.written_at, isCurrent: true },
+        ...[...history.revisions].reverse()
+      ]
+    : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">Edit History</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {loading ? (
+            <p className="text-gray-500 text-sm text-center py-4">Loading history...</p>
+          ) : !history ? (
+            <p className="text-gray-500 text-sm text-center py-4">History is not available</p>
+          ) : (
+            <ol className="space-y-4">
+              {versions.map(version => (
+                <li key={version.id} className="border-l-2 border-gray-200 pl-3">
+                  <div className="flex items-center space-x-2 mb-1">
+                    <span className="text-xs text-gray-500">{formatTimestamp(version.written_at)}</span>
+                    {version.isCurrent && (
+                      <span className="text-xs bg-primary-100 text-primary-700 px-2 py-0.5 rounded-full">
+                        Current
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{version.content}</p>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditHistoryModal;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { useChat } from '../context/ChatContext';
+import { useAuth } from '../context/AuthContext';
+import { getConversationName } from '../utils/conversations';
+
+const ForwardModal = ({ isOpen, onClose, messageIds, onForwarded }) => {
+  const { user } = useAuth();
+  const { conversations, forwardMessages, forwardLimits } = useChat();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const filteredConversations = conversations.filter(conversation =>
+    getConversationName(conversation, user?.id).toLowerCase().includes(searchQuery.toLowerCase())
+  );
+
+  const handleToggle = (conversationId) => {
+    setSelectedIds(prev => (
+      prev.includes(conversationId)
+        ? prev.filter(id => id !== conversationId)
+        : [...prev, conversationId]
+    ));
+  };
+
+  const handleClose = () => {
+    setSelectedIds([]);
+    setSearchQuery('');
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (selectedIds.length === 0 || loading) return;
+
+    setLoading(true);
+    const result = await forwardMessages(messageIds, selectedIds);
+    setLoading(false);
+
+    if (result.success) {
+      handleClose();
+      onForwarded?.();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Forward {messageIds.length === 1 ? 'message' : `${messageIds.length} messages`}
+            </h2>
+            <button
+              onClick={handleClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <input
+                type="text"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                className="input-field mb-3"
+                placeholder="Search conversations..."
+                autoFocus
+              />
+
+              <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg p-2">
+                {filteredConversations.length === 0 ? (
+                  <p className="text-gray-500 text-sm text-center py-4">No conversations found</p>
+                ) : (
+                  filteredConversations.map(conversation => {
+                    const checked = selectedIds.includes(conversation.id);
+                    const name = getConversationName(conversation, user?.id);
+                    return (
+                      <label key={conversation.id} className="flex items-center p-2 hover:bg-gray-50 rounded cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={checked}
+                          disabled={!checked && selectedIds.length >= (forwardLimits?.maxTargets ?? Infinity)}
+                          onChange={() => handleToggle(conversation.id)}
+                          className="mr-3"
+                        />
+                        <div className="flex items-center space-x-3 min-w-0">
+                          <div className="w-8 h-8 flex-shrink-0 bg-primary-600 rounded-full flex items-center justify-center">
+                            <span className="text-white text-sm font-medium">
+                              {name.charAt(0).toUpperCase()}
+                            </span>
+                          </div>
+                          <p className="text-sm font-medium text-gray-900 truncate">{name}</p>
+                        </div>
+                      </label>
+                    );
+                  })
+                )}
+              </div>
+
+              {selectedIds.length > 0 && (
+                <p className="text-sm text-gray-600 mt-2">
+                  Selected: {selectedIds.length} conversation{selectedIds.length !== 1 ? 's' : ''}
+                </p>
+              )}
+            </div>
+
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={handleClose}
+                className="flex-1 btn-secondary"
+                disabled={loading}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={selectedIds.length === 0 || loading}
+                className="flex-1 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Forwarding...' : 'Forward'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForwardModal;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+
+const LinkPreviewCard = ({ preview, onRemove }) => {
+  const [imageFailed, setImageFailed] = useState(false);
+
+  return (
+    <div className="relative group flex overflow-hidden bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors">
+      <a
+        href={preview.url}
+        target="_blank"
+        rel="noopener noreferrer nofollow"
+        className="flex flex-1 min-w-0"
+      >
+        <div className="w-1 flex-shrink-0 bg-primary-500" />
+        <div className="flex-1 min-w-0 p-3">
+          {preview.site_name && (
+            <p className="text-xs text-gray-500 truncate">{preview.site_name}</p>
+          )}
+          {preview.title && (
+            <p className="text-sm font-medium text-gray-900 line-clamp-2">{preview.title}</p>
+          )}
+          {preview.description && (
+            <p className="text-xs text-gray-600 mt-1 line-clamp-3">{preview.description}</p>
+          )}
+        </div>
+        {preview.image_url && !imageFailed && (
+          <img
+            src={preview.image_url}
+            alt=""
+            loading="lazy"
+            referrerPolicy="no-referrer"
+            onError={() => setImageFailed(true)}
+            className="w-20 h-20 m-3 ml-0 flex-shrink-0 object-cover rounded"
+          />
+        )}
+      </a>
+
+      {onRemove && (
+        <button
+          onClick={onRemove}
+          className="absolute top-1 right-1 p-1 rounded-full bg-white text-gray-400 shadow opacity-0 group-hover:opacity-100 hover:text-gray-600 transition-opacity"
+          title="Remove preview"
+        >
+          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LinkPreviewCard;
@@ -0,0 +1,78 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github.css';
+import { splitMentions } from '../utils/mentions';
+import Mention from './Mention';
+
+// The subset of Markdown messages may use; anything else is rendered as its text
+const ALLOWED_ELEMENTS = ['p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'ul', 'ol', 'li', 'blockquote', 'a', 'span'];
+
+// Raw HTML is never rendered, and sanitizing runs before highlighting so only
+// the highlighter's own class names end up in the output
+const sanitizeSchema = {
+  ...defaultSchema,
+  tagNames: ALLOWED_ELEMENTS,
+  protocols: { href: ['http', 'https', 'mailto'] }
+};
+
+// Elements whose text is never scanned for @mentions
+const NO_MENTION_ELEMENTS = ['a', 'code', 'pre'];
+
+// Wrap @mentions in text in spans marked with data-mention; runs after sanitizing,
+// so the marker can't come from the message itself
+const rehypeMentions = () => (tree) => {
+  const visit = (node) => {
+    if (!node.children || NO_MENTION_ELEMENTS.includes(node.tagName)) return;
+
+    node.children = node.children.flatMap((child) => {
+      if (child.type !== 'text') {
+        visit(child);
+        return [child];
+      }
+
+      return splitMentions(child.value).map(part => (
+        typeof part === 'string'
+          ? { type: 'text', value: part }
+          : {
+            type: 'element',
+            tagName: 'span',
+            properties: { dataMention: part.mention },
+            children: [{ type: 'text', value: `@${part.mention}` }]
+          }
+      ));
+    });
+  };
+
+  visit(tree);
+};
+
+const components = {
+  a: ({ href, title, children }) => (
+    <a href={href} title={title} target="_blank" rel="noopener noreferrer nofollow" className="underline">
+      {children}
+    </a>
+  ),
+  span: ({ className, children, 'data-mention': mention }) => (
+    mention ? <Mention name={mention} /> : <span className={className}>{children}</span>
+  )
+};
+
+const MarkdownContent = ({ content, className = '' }) => (
+  <div className={`markdown-content text-sm ${className}`}>
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm]}
+      rehypePlugins={[[rehypeSanitize, sanitizeSchema], rehypeMentions, rehypeHighlight]}
+      allowedElements={ALLOWED_ELEMENTS}
+      unwrapDisallowed
+      skipHtml
+      components={components}
+    >
+      {content || ''}
+    </ReactMarkdown>
+  </div>
+);
+
+export default MarkdownContent;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import { BROADCAST_MENTIONS } from '../utils/mentions';
+
+// An @mention, highlighted more strongly when it reaches the current user
+const Mention = ({ name }) => {
+  const { user } = useAuth();
+  const lowerName = name.toLowerCase();
+  const isMe = lowerName === user?.username?.toLowerCase() || BROADCAST_MENTIONS.includes(lowerName);
+
+  return (
+    <span className={`font-semibold rounded px-0.5 ${isMe ? 'bg-yellow-200 text-gray-900' : ''}`}>
+      @{name}
+    </span>
+  );
+};
+
+export default Mention;
@@ -1,58 +1,515 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
 import { useChat } from '../context/ChatContext';
+import { getMentionQuery, BROADCAST_MENTIONS } from '../utils/mentions';
+import MarkdownContent from './MarkdownContent';
+import SchedulePicker from './SchedulePicker';
+import ScheduledMessageList from './ScheduledMessageList';
+import CreatePollModal from './CreatePollModal';
+
+// Formatting toolbar actions: wrap the selection, or prefix each selected line
+const FORMAT_ACTIONS = [
+  { id: 'bold', label: 'B', title: 'Bold', className: 'font-bold', wrap: ['**', '**'] },
+  { id: 'italic', label: 'I', title: 'Italic', className: 'italic', wrap: ['_', '_'] },
+  { id: 'strike', label: 'S', title: 'Strikethrough', className: 'line-through', wrap: ['~~', '~~'] },
+  { id: 'code', label: '</>', title: 'Inline code', className: 'font-mono', wrap: ['`', '`'] },
+  { id: 'codeblock', label: '{ }', title: 'Code block', className: 'font-mono', wrap: ['```\n', '\n```'] },
+  { id: 'list', label: '•', title: 'Bulleted list', linePrefix: '- ' },
+  { id: 'quote', label: '❝', title: 'Quote', linePrefix: '> ' }
+];
+
+const FORMATTING_STORAGE_KEY = 'composerFormatting';
+
+// Drafts are saved once typing pauses for this long
+const DRAFT_SAVE_DELAY_MS = 1000;
 
 const MessageInput = ({ conversationId, onTyping }) => {
   const [message, setMessage] = useState('');
-  const { sendMessage } = useChat();
+  const [uploads, setUploads] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [mention, setMention] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [formatting, setFormatting] = useState(() => localStorage.getItem(FORMATTING_STORAGE_KEY) !== 'off');
+  const [showPreview, setShowPreview] = useState(false);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [scheduling, setScheduling] = useState(false);
+  const [showPollModal, setShowPollModal] = useState(false);
+  const fileInputRef = useRef(null);
+  const textareaRef = useRef(null);
+  const draftTimerRef = useRef(null);
+  const pendingDraftRef = useRef(null);
+  const savedDraftRef = useRef('');
+  const { user } = useAuth();
+  const {
+    currentConversation,
+    sendMessage,
+    scheduleMessage,
+    uploadFile,
+    replyingTo,
+    cancelReply,
+    composerDraft,
+    saveDraft
+  } = useChat();
+
+  const flushDraft = () => {
+    clearTimeout(draftTimerRef.current);
+    const pending = pendingDraftRef.current;
+    pendingDraftRef.current = null;
+    if (pending) {
+      savedDraftRef.current = pending.content;
+      saveDraft(pending.conversationId, pending.content, pending.format);
+    }
+  };
+
+  // Nothing typed here should be saved as a draft (the message was sent or scheduled)
+  const discardPendingDraft = () => {
+    clearTimeout(draftTimerRef.current);
+    pendingDraftRef.current = null;
+  };
+
+  // Save what's typed so far when switching away, then start the next conversation empty
+  useEffect(() => {
+    setMessage('');
+    savedDraftRef.current = '';
+    return flushDraft;
+  }, [conversationId]);
+
+  // Restore the conversation's draft once it has been loaded
+  useEffect(() => {
+    if (composerDraft?.conversationId !== conversationId) return;
+
+    savedDraftRef.current = composerDraft.content;
+    setMessage(composerDraft.content);
+    if (composerDraft.format === 'markdown') {
+      setFormatting(true);
+    }
+  }, [composerDraft]);
+
+  // Save the draft after typing pauses
+  useEffect(() => {
+    if (message === savedDraftRef.current) {
+      discardPendingDraft();
+      return;
+    }
+
+    pendingDraftRef.current = { conversationId, content: message, format: formatting ? 'markdown' : 'plain' };
+    clearTimeout(draftTimerRef.current);
+    draftTimerRef.current = setTimeout(flushDraft, DRAFT_SAVE_DELAY_MS);
+  }, [message]);
+
+  // Participants (and @here / @all) matching the @mention being typed
+  const mentionOptions = mention
+    ? [
+        ...(currentConversation?.participants || [])
+          .filter(participant => participant.id !== user?.id)
+          .map(participant => ({ name: participant.username, label: participant.username })),
+        ...BROADCAST_MENTIONS.map(name => ({
+          name,
+          label: name === 'here' ? 'here (everyone online)' : 'all (everyone in this chat)'
+        }))
+      ]
+        .filter(option => option.name.toLowerCase().startsWith(mention.query.toLowerCase()))
+        .slice(0, 8)
+    : [];
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
+
     if (!message.trim()) return;
 
-    const result = await sendMessage(message.trim());
+    // Failed sends stay in the list with a retry control, so the input can be cleared right away
+    const content = message.trim();
+
+    // Sending clears the draft on the server
+    discardPendingDraft();
+    savedDraftRef.current = '';
+    setMessage('');
+    setMention(null);
+    setShowPreview(false);
+    await sendMessage(content, 'text', formatting ? 'markdown' : 'plain');
+  };
+
+  // Unlike sending, scheduling keeps the text until the server accepts it
+  const handleSchedule = async (scheduledAt) => {
+    if (!message.trim()) return;
+
+    setScheduling(true);
+    const result = await scheduleMessage(message, scheduledAt, formatting ? 'markdown' : 'plain');
+    setScheduling(false);
+
     if (result.success) {
       setMessage('');
+      setMention(null);
+      setShowPreview(false);
+      setShowSchedule(false);
+    }
+  };
+
+  const toggleFormatting = () => {
+    setFormatting(prev => {
+      localStorage.setItem(FORMATTING_STORAGE_KEY, prev ? 'off' : 'on');
+      return !prev;
+    });
+    setShowPreview(false);
+  };
+
+  const applyFormat = (action) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    const selected = message.slice(start, end);
+
+    let replacement;
+    let selectFrom;
+    let selectTo;
+
+    if (action.linePrefix) {
+      replacement = (selected || '').split('\n').map(line => action.linePrefix + line).join('\n');
+      selectFrom = start;
+      selectTo = start + replacement.length;
+    } else {
+      const [before, after] = action.wrap;
+      replacement = before + selected + after;
+      selectFrom = start + before.length;
+      selectTo = selectFrom + selected.length;
     }
+
+    setMessage(message.slice(0, start) + replacement + message.slice(end));
+
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(selectFrom, selectTo);
+    });
   };
 
   const handleChange = (e) => {
     setMessage(e.target.value);
+    setMention(getMentionQuery(e.target.value, e.target.selectionStart));
+    setMentionIndex(0);
     onTyping();
   };
 
+  const insertMention = (option) => {
+    const textarea = textareaRef.current;
+    const caret = textarea ? textarea.selectionStart : message.length;
+    const before = message.slice(0, mention.start);
+    const after = message.slice(caret);
+    const inserted = `@${option.name} `;
+
+    setMessage(before + inserted + after);
+    setMention(null);
+
+    // Put the caret after the inserted mention
+    requestAnimationFrame(() => {
+      if (textarea) {
+        const position = before.length + inserted.length;
+        textarea.focus();
+        textarea.setSelectionRange(position, position);
+      }
+    });
+  };
+
+  // Keyboard navigation for the mention list; runs before the Enter-to-send handler
+  const handleKeyDown = (e) => {
+    if (mentionOptions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setMentionIndex(prev => (prev + 1) % mentionOptions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setMentionIndex(prev => (prev - 1 + mentionOptions.length) % mentionOptions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention(mentionOptions[mentionIndex] || mentionOptions[0]);
+    } else if (e.key === 'Escape') {
+      setMention(null);
+    }
+  };
+
   const handleKeyPress = (e) => {
+    if (mentionOptions.length > 0) return;
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit(e);
     }
   };
 
+  // Upload files one after another, tracking progress for each
+  const handleFiles = async (files) => {
+    for (const file of files) {
+      const uploadId = `${file.name}-${Date.now()}`;
+      setUploads(prev => [...prev, { id: uploadId, name: file.name, progress: 0 }]);
+
+      await uploadFile(file, '', (progress) => {
+        setUploads(prev => prev.map(upload =>
+          upload.id === uploadId ? { ...upload, progress } : upload
+        ));
+      });
+
+      setUploads(prev => prev.filter(upload => upload.id !== uploadId));
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length > 0) {
+      handleFiles(files);
+    }
+  };
+
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length > 0) {
+      e.preventDefault();
+      handleFiles(files);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (e.dataTransfer?.types?.includes('Files')) {
+      e.preventDefault();
+      setIsDragging(true);
+    }
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore drag events moving between child elements
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const files = Array.from(e.dataTransfer?.files || []);
+    if (files.length > 0) {
+      handleFiles(files);
+    }
+  };
+
   return (
-    <form onSubmit={handleSubmit} className="flex items-end space-x-3">
-      <div className="flex-1">
-        <textarea
-          value={message}
-          onChange={handleChange}
-          onKeyPress={handleKeyPress}
-          placeholder="Type your message..."
-          className="w-full px-4 py-3 border border-gray-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all duration-200"
-          rows="1"
-          style={{ minHeight: '44px', maxHeight: '120px' }}
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      className={`relative rounded-lg ${isDragging ? 'ring-2 ring-primary-500 ring-offset-2' : ''}`}
+    >
+      {/* Drop overlay */}
+      {isDragging && (
+        <div className="absolute inset-0 z-10 flex items-center justify-center bg-primary-50 bg-opacity-90 rounded-lg pointer-events-none">
+          <span className="text-sm font-medium text-primary-700">Drop files to upload</span>
+        </div>
+      )}
+
+      {/* Upload progress */}
+      {uploads.length > 0 && (
+        <div className="mb-3 space-y-2">
+          {uploads.map(upload => (
+            <div key={upload.id} className="text-xs text-gray-600">
+              <div className="flex justify-between mb-1">
+                <span className="truncate">{upload.name}</span>
+                <span>{upload.progress}%</span>
+              </div>
+              <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-primary-600 transition-all duration-200"
+                  style={{ width: `${upload.progress}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ScheduledMessageList />
+
+      {/* Quote-reply preview */}
+      {replyingTo && (
+        <div className="flex items-start justify-between mb-3 pl-3 pr-2 py-2 border-l-4 border-primary-500 bg-gray-50 rounded">
+          <div className="min-w-0">
+            <p className="text-xs font-medium text-primary-700">
+              Replying to {replyingTo.sender_name}
+            </p>
+            <p className="text-xs text-gray-600 truncate">
+              {replyingTo.content || replyingTo.file_name || 'Attachment'}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={cancelReply}
+            className="p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-200"
+            title="Cancel reply"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      )}
+
+      {/* Formatting toolbar */}
+      {formatting && (
+        <div className="flex items-center mb-2 space-x-1">
+          {FORMAT_ACTIONS.map(action => (
+            <button
+              key={action.id}
+              type="button"
+              onClick={() => applyFormat(action)}
+              disabled={showPreview}
+              className={`w-8 h-8 rounded text-sm text-gray-600 hover:bg-gray-100 disabled:opacity-40 ${action.className || ''}`}
+              title={action.title}
+            >
+              {action.label}
+            </button>
+          ))}
+          <div className="flex-1" />
+          <button
+            type="button"
+            onClick={() => setShowPreview(prev => !prev)}
+            className={`px-2 py-1 rounded text-xs font-medium ${
+              showPreview ? 'bg-primary-100 text-primary-700' : 'text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            {showPreview ? 'Edit' : 'Preview'}
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex items-end space-x-3">
+        {/* Formatting toggle */}
+        <button
+          type="button"
+          onClick={toggleFormatting}
+          className={`p-3 rounded-lg transition-colors ${
+            formatting ? 'text-primary-600 bg-primary-50 hover:bg-primary-100' : 'text-gray-500 hover:bg-gray-100'
+          }`}
+          title={formatting ? 'Turn off formatting' : 'Turn on formatting'}
+        >
+          <span className="block w-5 h-5 text-sm font-semibold leading-5">Aa</span>
+        </button>
+
+        {/* Attach button */}
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="p-3 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+          title="Attach a file"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+          </svg>
+        </button>
+        {/* Poll button */}
+        <button
+          type="button"
+          onClick={() => setShowPollModal(true)}
+          className="p-3 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors"
+          title="Create a poll"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+          </svg>
+        </button>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          onChange={handleFileSelect}
+          className="hidden"
         />
-      </div>
-      
-      <button
-        type="submit"
-        disabled={!message.trim()}
-        className="btn-primary px-6 py-3 disabled:opacity-50 disabled:cursor-not-allowed"
-      >
-        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
-        </svg>
-      </button>
-    </form>
+
+        <div className="relative flex-1">
+          {/* Mention suggestions */}
+          {mentionOptions.length > 0 && (
+            <ul className="absolute bottom-full left-0 mb-2 w-64 py-1 bg-white border border-gray-200 rounded-lg shadow-lg z-20">
+              {mentionOptions.map((option, index) => (
+                <li key={option.name}>
+                  <button
+                    type="button"
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      insertMention(option);
+                    }}
+                    className={`block w-full px-3 py-2 text-left text-sm ${
+                      index === mentionIndex ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-100'
+                    }`}
+                  >
+                    @{option.label}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {showPreview && (
+            <div className="w-full px-4 py-3 border border-gray-300 rounded-lg bg-gray-50 overflow-y-auto" style={{ minHeight: '44px', maxHeight: '240px' }}>
+              {message.trim()
+                ? <MarkdownContent content={message} />
+                : <p className="text-sm text-gray-400">Nothing to preview</p>}
+            </div>
+          )}
+
+          <textarea
+            ref={textareaRef}
+            hidden={showPreview}
+            value={message}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            onKeyPress={handleKeyPress}
+            onBlur={() => setMention(null)}
+            onPaste={handlePaste}
+            placeholder="Type your message..."
+            className="w-full px-4 py-3 border border-gray-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all duration-200"
+            rows="1"
+            style={{ minHeight: '44px', maxHeight: '120px' }}
+          />
+        </div>
+
+        {/* Schedule (send later) */}
+        <div className="relative">
+          <button
+            type="button"
+            onClick={() => setShowSchedule(prev => !prev)}
+            disabled={!message.trim()}
+            className="p-3 rounded-lg text-gray-500 hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Schedule"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+          </button>
+          {showSchedule && message.trim() && (
+            <SchedulePicker
+              onSchedule={handleSchedule}
+              onClose={() => setShowSchedule(false)}
+              disabled={scheduling}
+            />
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={!message.trim()}
+          className="btn-primary px-6 py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+          </svg>
+        </button>
+      </form>
+
+      <CreatePollModal
+        isOpen={showPollModal}
+        onClose={() => setShowPollModal(false)}
+      />
+    </div>
   );
 };
 
-export default MessageInput; 
\ No newline at end of file
+export default MessageInput;
@@ -1,7 +1,48 @@
-import React from 'react';
+import React, { useState, useRef } from 'react';
 import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { formatFileSize } from '../utils/files';
+import { REACTIONS } from '../utils/reactions';
+import { splitMentions } from '../utils/mentions';
+import EditHistoryModal from './EditHistoryModal';
+import MarkdownContent from './MarkdownContent';
+import Mention from './Mention';
+import LinkPreviewCard from './LinkPreviewCard';
+import PollCard from './PollCard';
+
+const MessageItem = ({
+  message,
+  isOwn,
+  inThread = false,
+  onOpenThread,
+  onReply,
+  onDelete,
+  onToggleReaction,
+  onRemoveLinkPreview,
+  onVote,
+  onForward,
+  onTogglePin,
+  isPinned = false,
+  onToggleSave,
+  isSaved = false,
+  highlighted = false,
+  canDeleteForEveryone = false,
+  seenBy = [],
+  status,
+  onRetry,
+  selectable = false,
+  selected = false,
+  onToggleSelect,
+  onJumpToMessage
+}) => {
+  const [showDeleteMenu, setShowDeleteMenu] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  const longPressRef = useRef(null);
+  const { user } = useAuth();
+  const isDeleted = Boolean(message.deleted_at);
 
-const MessageItem = ({ message, isOwn }) => {
   const formatTime = (timestamp) => {
     try {
       return formatDistanceToNow(new Date(timestamp), { 
@@ -13,44 +54,381 @@ const MessageItem = ({ message, isOwn }) => {
     }
   };
 
+  // Highlight @mentions (Markdown messages do this inside MarkdownContent)
+  const renderText = (text) => splitMentions(text || '').map((part, index) => (
+    typeof part === 'string' ? part : <Mention key={index} name={part.mention} />
+  ));
+
+  const renderBody = (text) => (
+    message.format === 'markdown'
+      ? <MarkdownContent content={text} />
+      : <p className="text-sm">{renderText(text)}</p>
+  );
+
   const getMessageContent = () => {
+    if (isDeleted) {
+      return <p className="text-sm italic opacity-75">This message was deleted</p>;
+    }
+
     switch (message.message_type) {
       case 'image':
         return (
           <div className="space-y-2">
-            <img 
-              src={message.file_url} 
-              alt="Shared image" 
-              className="max-w-xs rounded-lg"
-            />
-            {message.content && (
-              <p className="text-sm">{message.content}</p>
-            )}
+            <a href={message.file_url} target="_blank" rel="noopener noreferrer">
+              <img 
+                src={message.file_url} 
+                alt={message.file_name || 'Shared image'} 
+                className="max-w-xs rounded-lg"
+              />
+            </a>
+            {message.content && renderBody(message.content)}
           </div>
         );
       
       case 'file':
         return (
           <div className="space-y-2">
-            <div className="flex items-center space-x-2 p-3 bg-gray-100 rounded-lg">
-              <svg className="w-6 h-6 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <a
+              href={message.file_url}
+              download={message.file_name || true}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center space-x-2 p-3 bg-gray-100 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <svg className="w-6 h-6 flex-shrink-0 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
               </svg>
-              <span className="text-sm font-medium text-gray-700">File attachment</span>
-            </div>
-            {message.content && (
-              <p className="text-sm">{message.content}</p>
-            )}
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-700 truncate">
+                  {message.file_name || 'File attachment'}
+                </p>
+                {message.file_size != null && (
+                  <p className="text-xs text-gray-500">{formatFileSize(message.file_size)}</p>
+                )}
+              </div>
+              <svg className="w-5 h-5 flex-shrink-0 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+            </a>
+            {message.content && renderBody(message.content)}
           </div>
         );
       
+      case 'poll':
+        return <PollCard message={message} onVote={onVote} />;
+
       default:
-        return <p className="text-sm">{message.content}</p>;
+        return renderBody(message.content);
     }
   };
 
+  // Virtualized lists only render what's on screen, so they handle the jump themselves
+  const scrollToMessage = (messageId) => {
+    if (onJumpToMessage) {
+      onJumpToMessage(messageId);
+      return;
+    }
+    const element = document.getElementById(`message-${messageId}`);
+    element?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const getQuotedMessage = () => {
+    const replyTo = message.reply_to;
+    if (!replyTo || isDeleted) return null;
+
+    return (
+      <button
+        type="button"
+        onClick={() => !replyTo.deleted && scrollToMessage(replyTo.id)}
+        className={`block w-full text-left mb-2 pl-2 border-l-2 ${
+          isOwn ? 'border-primary-200' : 'border-gray-400'
+        }`}
+      >
+        {replyTo.deleted ? (
+          <p className="text-xs italic opacity-75">Original message was deleted</p>
+        ) : (
+          <>
+            <p className="text-xs font-medium opacity-90">{replyTo.sender_name}</p>
+            <p className="text-xs opacity-75 truncate">
+              {replyTo.content || replyTo.file_name || 'Attachment'}
+            </p>
+          </>
+        )}
+      </button>
+    );
+  };
+
+  const getForwardedLabel = () => {
+    if (!message.forwarded_from_message_id || isDeleted) return null;
+
+    return (
+      <p className="flex items-center mb-1 text-xs italic opacity-75">
+        <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 5l7 7-7 7M5 5l7 7-7 7" />
+        </svg>
+        {message.forwarded_from_name ? `Forwarded from @${message.forwarded_from_name}` : 'Forwarded'}
+      </p>
+    );
+  };
+
+  const getStatusIcon = () => {
+    switch (status) {
+      case 'pending':
+        return (
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <title>Sending</title>
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+        );
+      case 'sent':
+        return (
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <title>Sent</title>
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+          </svg>
+        );
+      case 'delivered':
+      case 'read':
+        return (
+          <svg
+            className={`w-4 h-3.5 ${status === 'read' ? 'text-white' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 28 24"
+          >
+            <title>{status === 'read' ? 'Read' : 'Delivered'}</title>
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2 13l4 4L16 7M12 17l10-10" />
+          </svg>
+        );
+      default:
+        return null;
+    }
+  };
+
+  // Permalink handled by the /chat/:conversationId/m/:messageId route
+  const handleCopyLink = async () => {
+    const url = `${window.location.origin}/chat/${message.conversation_id}/m/${message.id}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleDelete = (scope) => {
+    setShowDeleteMenu(false);
+    onDelete(message, scope);
+  };
+
+  const handleReaction = (reaction) => {
+    setShowReactionPicker(false);
+    onToggleReaction(message, reaction);
+  };
+
+  // Touch devices have no hover, so a long press opens the reaction picker
+  const handleTouchStart = () => {
+    if (!canReact) return;
+    longPressRef.current = setTimeout(() => setShowReactionPicker(true), 500);
+  };
+
+  const cancelLongPress = () => {
+    clearTimeout(longPressRef.current);
+  };
+
+  const replyCount = message.thread_reply_count || 0;
+  const canOpenThread = !inThread && onOpenThread;
+  // Messages still waiting for the server can't be replied to or reacted to yet
+  const canReact = Boolean(message.id && !isDeleted && onToggleReaction);
+  // Polls carry their own votes, so only their question could be copied
+  const canForward = Boolean(onForward && Number.isInteger(message.id) && !isDeleted && message.message_type !== 'poll');
+  const showActions = !selectable && message.id && !isDeleted &&
+    (canOpenThread || (!inThread && onReply) || onDelete || canReact || onTogglePin || canForward || onToggleSave);
+  const reactions = isDeleted ? [] : (message.reactions || []);
+  const mentionsMe = !isDeleted && (message.mentioned_user_ids || []).includes(user?.id);
+
+  // Pin notices and other server-generated events
+  if (message.message_type === 'system') {
+    const target = message.reply_to;
+    return (
+      <div id={inThread ? undefined : `message-${message.id}`} className="flex justify-center">
+        <button
+          type="button"
+          onClick={() => target && !target.deleted && scrollToMessage(target.id)}
+          className="max-w-md px-3 py-1 rounded-full bg-gray-100 text-xs text-gray-600 hover:bg-gray-200 transition-colors"
+        >
+          <span className="font-medium">{message.content}</span>
+          {target && !target.deleted && (target.content || target.file_name) && (
+            <span className="italic">: {(target.content || target.file_name).slice(0, 60)}</span>
+          )}
+          <span className="ml-2 text-gray-400">{formatTime(message.created_at)}</span>
+        </button>
+      </div>
+    );
+  }
+
   return (
-    <div className={`flex ${isOwn ? 'justify-end' : 'justify-start'}`}>
+    <div
+      id={inThread ? undefined : `message-${message.id}`}
+      onClick={selectable && canForward ? () => onToggleSelect(message) : undefined}
+      className={`group flex items-start rounded-lg transition-colors duration-500 ${
+        highlighted ? 'bg-yellow-100' : ''
+      } ${selected ? 'bg-primary-50' : ''} ${selectable && canForward ? 'cursor-pointer' : ''} ${
+        isOwn ? 'justify-end' : 'justify-start'
+      }`}
+    >
+      {/* Multi-select checkbox */}
+      {selectable && (
+        <input
+          type="checkbox"
+          checked={selected}
+          disabled={!canForward}
+          onChange={() => onToggleSelect(message)}
+          onClick={(e) => e.stopPropagation()}
+          className={`order-first self-center ml-2 ${isOwn ? 'mr-auto' : 'mr-2'} disabled:opacity-30`}
+          aria-label="Select message"
+        />
+      )}
+
+      {/* Message actions */}
+      {showActions && (
+        <div className={`relative flex items-center self-center transition-opacity ${
+          showDeleteMenu || showReactionPicker ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+        } ${isOwn ? 'order-1 mr-2' : 'order-2 ml-2'}`}>
+          {canReact && (
+            <button
+              onClick={() => setShowReactionPicker(prev => !prev)}
+              className="p-1.5 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+              title="Add reaction"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.828 14.828a4 4 0 01-5.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+            </button>
+          )}
+          {!inThread && onReply && (
+            <button
+              onClick={() => onReply(message)}
+              className="p-1.5 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+              title="Reply"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+              </svg>
+            </button>
+          )}
+          {canOpenThread && (
+            <button
+              onClick={() => onOpenThread(message.id)}
+              className="p-1.5 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+              title="Reply in thread"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 8h10M7 12h4m1 8l-4-4H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-3l-4 4z" />
+              </svg>
+            </button>
+          )}
+          {canForward && (
+            <button
+              onClick={() => onForward(message)}
+              className="p-1.5 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+              title="Forward"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 10H11a8 8 0 00-8 8v2m18-10l-6 6m6-6l-6-6" />
+              </svg>
+            </button>
+          )}
+          {onTogglePin && (
+            <button
+              onClick={() => onTogglePin(message)}
+              className={`p-1.5 rounded-lg hover:bg-gray-100 ${
+                isPinned ? 'text-primary-600 hover:text-primary-700' : 'text-gray-400 hover:text-gray-600'
+              }`}
+              title={isPinned ? 'Unpin' : 'Pin'}
+            >
+              <svg className="w-4 h-4" fill={isPinned ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+              </svg>
+            </button>
+          )}
+          {onToggleSave && Number.isInteger(message.id) && (
+            <button
+              onClick={() => onToggleSave(message)}
+              className={`p-1.5 rounded-lg hover:bg-gray-100 ${
+                isSaved ? 'text-yellow-500 hover:text-yellow-600' : 'text-gray-400 hover:text-gray-600'
+              }`}
+              title={isSaved ? 'Remove from saved' : 'Save'}
+            >
+              <svg className="w-4 h-4" fill={isSaved ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+              </svg>
+            </button>
+          )}
+          {Number.isInteger(message.id) && (
+            <button
+              onClick={handleCopyLink}
+              className="p-1.5 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+              title="Copy link"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+              </svg>
+            </button>
+          )}
+          {onDelete && (
+            <button
+              onClick={() => setShowDeleteMenu(prev => !prev)}
+              className="p-1.5 rounded-lg text-gray-400 hover:text-red-600 hover:bg-gray-100"
+              title="Delete"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+            </button>
+          )}
+
+          {/* Reaction picker */}
+          {showReactionPicker && (
+            <div className={`absolute bottom-full mb-1 z-20 flex p-1 bg-white border border-gray-200 rounded-full shadow-lg ${
+              isOwn ? 'right-0' : 'left-0'
+            }`}>
+              {REACTIONS.map(reaction => (
+                <button
+                  key={reaction}
+                  onClick={() => handleReaction(reaction)}
+                  className="w-8 h-8 rounded-full text-lg leading-none hover:bg-gray-100 transition-transform hover:scale-110"
+                >
+                  {reaction}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Delete options */}
+          {showDeleteMenu && (
+            <div className={`absolute top-full mt-1 z-20 w-44 py-1 bg-white border border-gray-200 rounded-lg shadow-lg ${
+              isOwn ? 'right-0' : 'left-0'
+            }`}>
+              <button
+                onClick={() => handleDelete('me')}
+                className="block w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-100"
+              >
+                Delete for me
+              </button>
+              {canDeleteForEveryone && (
+                <button
+                  onClick={() => handleDelete('everyone')}
+                  className="block w-full px-3 py-2 text-left text-sm text-red-600 hover:bg-gray-100"
+                >
+                  Delete for everyone
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
       <div className={`max-w-xs lg:max-w-md ${isOwn ? 'order-2' : 'order-1'}`}>
         {/* Sender info for group chats */}
         {!isOwn && message.sender_name && (
@@ -60,23 +438,157 @@ const MessageItem = ({ message, isOwn }) => {
         )}
         
         {/* Message bubble */}
-        <div className={`
-          message-bubble ${isOwn ? 'message-own' : 'message-other'}
-          ${isOwn ? 'order-2' : 'order-1'}
-        `}>
+        <div
+          onTouchStart={handleTouchStart}
+          onTouchEnd={cancelLongPress}
+          onTouchMove={cancelLongPress}
+          className={`
+            message-bubble ${isOwn ? 'message-own' : 'message-other'}
+            ${isOwn ? 'order-2' : 'order-1'}
+            ${mentionsMe ? 'ring-2 ring-yellow-400' : ''}
+          `}
+        >
+          {getForwardedLabel()}
+          {getQuotedMessage()}
           {getMessageContent()}
           
           {/* Message metadata */}
           <div className={`flex items-center justify-end space-x-2 mt-2 text-xs ${
             isOwn ? 'text-primary-100' : 'text-gray-500'
           }`}>
-            {message.is_edited && (
-              <span className="italic">edited</span>
+            {message.is_edited && !isDeleted && (
+              <button
+                type="button"
+                onClick={() => setShowHistory(true)}
+                className="italic hover:underline"
+                title="View edit history"
+              >
+                edited
+              </button>
+            )}
+            {isPinned && (
+              <span title="Pinned">📌</span>
+            )}
+            {message.expires_at && !isDeleted && (
+              <span title={`Disappears ${formatTime(message.expires_at)}`}>
+                <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+              </span>
             )}
             <span>{formatTime(message.created_at)}</span>
+            {isOwn && getStatusIcon()}
           </div>
         </div>
+
+        {/* Link previews */}
+        {!isDeleted && message.link_previews?.length > 0 && (
+          <div className="mt-1 space-y-1">
+            {message.link_previews.map(preview => (
+              <LinkPreviewCard
+                key={preview.url}
+                preview={preview}
+                onRemove={onRemoveLinkPreview && (() => onRemoveLinkPreview(message, preview.url))}
+              />
+            ))}
+          </div>
+        )}
+
+        {/* Reactions */}
+        {reactions.length > 0 && (
+          <div className={`flex flex-wrap gap-1 mt-1 ${isOwn ? 'justify-end' : 'justify-start'}`}>
+            {reactions.map(({ reaction, count, users = [] }) => {
+              const reactedByMe = users.includes(user?.username);
+              return (
+                <button
+                  key={reaction}
+                  onClick={() => canReact && onToggleReaction(message, reaction)}
+                  disabled={!canReact}
+                  title={`Reacted by ${users.join(', ')}`}
+                  className={`flex items-center space-x-1 px-2 py-0.5 rounded-full border text-xs transition-colors ${
+                    reactedByMe
+                      ? 'bg-primary-50 border-primary-300 text-primary-700'
+                      : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+                  }`}
+                >
+                  <span>{reaction}</span>
+                  <span>{count}</span>
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Failed send */}
+        {status === 'failed' && (
+          <div className="flex items-center justify-end space-x-2 mt-1 text-xs text-red-600">
+            <span>Failed to send</span>
+            {onRetry && (
+              <button
+                onClick={() => onRetry(message.client_id)}
+                className="font-medium underline hover:text-red-700"
+              >
+                Retry
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Read receipts */}
+        {isOwn && seenBy.length > 0 && (
+          <div
+            className="flex items-center justify-end space-x-1 mt-1"
+            title={`Seen by ${seenBy.map(p => p.username).join(', ')}`}
+          >
+            <span className="text-xs text-gray-400 mr-1">Seen by</span>
+            {seenBy.slice(0, 5).map(participant => (
+              participant.avatar_url ? (
+                <img
+                  key={participant.id}
+                  src={participant.avatar_url}
+                  alt={participant.username}
+                  className="w-4 h-4 rounded-full object-cover"
+                />
+              ) : (
+                <div
+                  key={participant.id}
+                  className="w-4 h-4 bg-primary-600 rounded-full flex items-center justify-center"
+                >
+                  <span className="text-white text-[10px] font-medium leading-none">
+                    {participant.username.charAt(0).toUpperCase()}
+                  </span>
+                </div>
+              )
+            ))}
+            {seenBy.length > 5 && (
+              <span className="text-xs text-gray-400">+{seenBy.length - 5}</span>
+            )}
+          </div>
+        )}
+
+        {/* Thread summary */}
+        {canOpenThread && replyCount > 0 && (
+          <button
+            onClick={() => onOpenThread(message.id)}
+            className={`flex items-center space-x-2 mt-1 text-xs text-primary-600 hover:underline ${
+              isOwn ? 'ml-auto' : 'ml-2'
+            }`}
+          >
+            <span className="font-medium">
+              {replyCount} repl{replyCount === 1 ? 'y' : 'ies'}
+            </span>
+            {message.thread_last_reply_at && (
+              <span className="text-gray-500">
+                Last reply {formatTime(message.thread_last_reply_at)}
+              </span>
+            )}
+          </button>
+        )}
       </div>
+
+      {showHistory && (
+        <EditHistoryModal messageId={message.id} onClose={() => setShowHistory(false)} />
+      )}
     </div>
   );
 };
@@ -1,19 +1,255 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useMemo, useState } from 'react';
+import { Virtuoso } from 'react-virtuoso';
+import { format, isThisYear, isToday, isYesterday } from 'date-fns';
 import { useAuth } from '../context/AuthContext';
+import { useChat } from '../context/ChatContext';
+import { START_INDEX, messageKey, buildListItems, nextListWindow, countNewMessages } from '../utils/messageList';
 import MessageItem from './MessageItem';
+import ForwardModal from './ForwardModal';
+
+const formatDay = (date) => {
+  if (isToday(date)) return 'Today';
+  if (isYesterday(date)) return 'Yesterday';
+  return format(date, isThisYear(date) ? 'EEEE, MMMM d' : 'EEEE, MMMM d, yyyy');
+};
+
+// Kept outside the component so Virtuoso doesn't remount them on every render
+const ListHeader = ({ context }) => (
+  context.hasMoreBefore ? (
+    <p className="py-2 text-center text-sm text-gray-400">
+      {context.loadingPage ? 'Loading earlier messages...' : 'Scroll up for earlier messages'}
+    </p>
+  ) : <div className="h-2" />
+);
+
+const ListFooter = ({ context }) => (
+  context.hasMoreAfter ? (
+    <div className="flex items-center justify-center space-x-4 py-2">
+      <span className="text-sm text-gray-400">
+        {context.loadingPage ? 'Loading newer messages...' : 'Scroll down for newer messages'}
+      </span>
+      <button
+        onClick={context.onJumpToLatest}
+        className="text-sm text-gray-500 hover:text-gray-700 hover:underline"
+      >
+        Jump to latest
+      </button>
+    </div>
+  ) : <div className="h-2" />
+);
 
 const MessageList = ({ messages, conversationId }) => {
   const { user } = useAuth();
-  const messagesEndRef = useRef(null);
+  const {
+    currentConversation,
+    pinnedMessages,
+    highlightedMessageId,
+    openThread,
+    startReply,
+    retryMessage,
+    deleteMessage,
+    toggleReaction,
+    removeLinkPreview,
+    votePoll,
+    savedMessageIds,
+    saveMessage,
+    unsaveMessage,
+    pinMessage,
+    unpinMessage,
+    jumpToMessage,
+    forwardLimits,
+    messagePaging,
+    loadOlderMessages,
+    loadNewerMessages,
+    loadLatestMessages
+  } = useChat();
+  const virtuosoRef = useRef(null);
+  const [loadingPage, setLoadingPage] = useState(false);
+  const loadingPageRef = useRef(false);
+  // Whether the view is following the bottom; new messages only pull it down when it is
+  const atBottomRef = useRef(true);
+  const [newMessageCount, setNewMessageCount] = useState(0);
+  const lastKeyRef = useRef(null);
+  // Where the previous render's first message sat, to keep the view still when older pages arrive
+  const windowRef = useRef({ firstKey: null, firstOffset: 0, lastKey: null, firstItemIndex: START_INDEX, generation: 0 });
+  // Multi-select for forwarding; a message's Forward action starts it with that message picked
+  const [selectMode, setSelectMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showForwardModal, setShowForwardModal] = useState(false);
 
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  };
+  // Messages with a separator before the first one of each day
+  const items = useMemo(() => buildListItems(messages), [messages]);
+
+  // Prepending has to lower firstItemIndex by the number of items added above. When the
+  // list is replaced outright (a jump, a new conversation) the list is remounted instead.
+  const listWindow = useMemo(() => {
+    windowRef.current = nextListWindow(windowRef.current, items);
+    return windowRef.current;
+  }, [items]);
 
+  const highlightedIndex = highlightedMessageId
+    ? items.findIndex(item => item.type === 'message' && item.message.id === highlightedMessageId)
+    : -1;
+
+  // Bring jumped-to messages into view
+  useEffect(() => {
+    if (highlightedIndex === -1) return;
+    virtuosoRef.current?.scrollToIndex({ index: highlightedIndex, align: 'center', behavior: 'smooth' });
+  }, [highlightedMessageId, listWindow.generation]);
+
+  // Count messages that arrive while the user is reading further up
   useEffect(() => {
-    scrollToBottom();
+    const previousLast = lastKeyRef.current;
+    lastKeyRef.current = messageKey(messages[messages.length - 1]);
+    if (atBottomRef.current || !previousLast) return;
+
+    const added = countNewMessages(messages, previousLast, user?.id);
+    if (added > 0) {
+      setNewMessageCount(count => count + added);
+    }
   }, [messages]);
 
+  // Stick to the bottom for new messages, unless the user has scrolled up; always follow my own
+  const followOutput = (isAtBottom) => {
+    const last = messages[messages.length - 1];
+    if (last?.sender_id === user?.id && last?.status === 'pending') {
+      return 'auto';
+    }
+    return isAtBottom ? 'smooth' : false;
+  };
+
+  const handleAtBottomChange = (atBottom) => {
+    atBottomRef.current = atBottom;
+    if (atBottom) {
+      setNewMessageCount(0);
+    }
+  };
+
+  const scrollToLatest = () => {
+    virtuosoRef.current?.scrollToIndex({ index: items.length - 1, align: 'end', behavior: 'smooth' });
+    setNewMessageCount(0);
+  };
+
+  const loadPage = async (load) => {
+    if (loadingPageRef.current) return;
+    loadingPageRef.current = true;
+    setLoadingPage(true);
+    try {
+      await load();
+    } finally {
+      // A failed load mustn't leave infinite scroll stuck
+      loadingPageRef.current = false;
+      setLoadingPage(false);
+    }
+  };
+
+  const handleStartReached = () => {
+    if (messagePaging.hasMoreBefore) {
+      loadPage(loadOlderMessages);
+    }
+  };
+
+  const handleEndReached = () => {
+    if (messagePaging.hasMoreAfter) {
+      loadPage(loadNewerMessages);
+    }
+  };
+
+  useEffect(() => {
+    setSelectMode(false);
+    setSelectedIds([]);
+    setNewMessageCount(0);
+    atBottomRef.current = true;
+  }, [conversationId]);
+
+  const startSelecting = (message) => {
+    setSelectMode(true);
+    setSelectedIds([message.id]);
+  };
+
+  const cancelSelecting = () => {
+    setSelectMode(false);
+    setSelectedIds([]);
+  };
+
+  const toggleSelected = (message) => {
+    setSelectedIds(prev => {
+      if (prev.includes(message.id)) {
+        return prev.filter(id => id !== message.id);
+      }
+      return prev.length < (forwardLimits?.maxMessages ?? Infinity) ? [...prev, message.id] : prev;
+    });
+  };
+
+  // Show each participant under the latest of my messages they have read
+  const seenByMessage = useMemo(() => {
+    const seenBy = {};
+    const ownMessageIds = messages
+      .filter(message =>
+        message.sender_id === user?.id && Number.isInteger(message.id) && message.message_type !== 'system'
+      )
+      .map(message => message.id);
+
+    (currentConversation?.participants || [])
+      .filter(participant => participant.id !== user?.id && participant.last_read_message_id)
+      .forEach(participant => {
+        const lastSeenId = ownMessageIds
+          .filter(id => id <= participant.last_read_message_id)
+          .pop();
+
+        if (lastSeenId) {
+          seenBy[lastSeenId] = [...(seenBy[lastSeenId] || []), participant];
+        }
+      });
+
+    return seenBy;
+  }, [messages, currentConversation?.participants, user?.id]);
+
+  // Admins can delete anyone's messages for everyone; the server enforces the time window for senders
+  const isAdmin = (currentConversation?.participants || [])
+    .some(participant => participant.id === user?.id && participant.role === 'admin');
+
+  const canPin = isAdmin || currentConversation?.members_can_pin === true;
+  const pinnedIds = useMemo(
+    () => new Set(pinnedMessages.map(pin => pin.message_id)),
+    [pinnedMessages]
+  );
+
+  const handleTogglePin = (message) => {
+    if (pinnedIds.has(message.id)) {
+      unpinMessage(message.id);
+    } else {
+      pinMessage(message.id);
+    }
+  };
+
+  const handleToggleSave = (message) => {
+    if (savedMessageIds.has(message.id)) {
+      unsaveMessage(message.id);
+    } else {
+      saveMessage(message.id);
+    }
+  };
+
+  // pending -> sent -> delivered -> read, once every other participant has got that far
+  const getDeliveryStatus = (message) => {
+    if (message.status) {
+      return message.status;
+    }
+
+    const others = (currentConversation?.participants || []).filter(p => p.id !== user?.id);
+    if (others.length === 0) {
+      return 'sent';
+    }
+    if (others.every(p => (p.last_read_message_id || 0) >= message.id)) {
+      return 'read';
+    }
+    if (others.every(p => (p.last_delivered_message_id || 0) >= message.id)) {
+      return 'delivered';
+    }
+    return 'sent';
+  };
+
   if (messages.length === 0) {
     return (
       <div className="flex-1 flex items-center justify-center p-8">
@@ -31,15 +267,116 @@ const MessageList = ({ messages, conversationId }) => {
   }
 
   return (
-    <div className="flex-1 overflow-y-auto p-4 space-y-4 custom-scrollbar">
-      {messages.map((message) => (
-        <MessageItem
-          key={message.id}
-          message={message}
-          isOwn={message.sender_id === user?.id}
+    <div className="h-full flex flex-col">
+      {selectMode && (
+        <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 bg-gray-50 text-sm">
+          <span className="text-gray-700">
+            {selectedIds.length}{forwardLimits && ` of ${forwardLimits.maxMessages}`} selected
+          </span>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={() => setShowForwardModal(true)}
+              disabled={selectedIds.length === 0}
+              className="font-medium text-primary-600 hover:underline disabled:opacity-50 disabled:no-underline"
+            >
+              Forward to…
+            </button>
+            <button
+              onClick={cancelSelecting}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="relative flex-1 min-h-0">
+        <Virtuoso
+          key={`${conversationId}-${listWindow.generation}`}
+          ref={virtuosoRef}
+          className="custom-scrollbar"
+          style={{ height: '100%' }}
+          data={items}
+          firstItemIndex={listWindow.firstItemIndex}
+          initialTopMostItemIndex={
+            highlightedIndex !== -1
+              ? { index: highlightedIndex, align: 'center' }
+              : { index: items.length - 1, align: 'end' }
+          }
+          computeItemKey={(index, item) => item.key}
+          increaseViewportBy={{ top: 600, bottom: 600 }}
+          followOutput={messagePaging.hasMoreAfter ? false : followOutput}
+          atBottomStateChange={handleAtBottomChange}
+          startReached={handleStartReached}
+          endReached={handleEndReached}
+          context={{
+            loadingPage,
+            hasMoreBefore: messagePaging.hasMoreBefore,
+            hasMoreAfter: messagePaging.hasMoreAfter,
+            onJumpToLatest: loadLatestMessages
+          }}
+          components={{ Header: ListHeader, Footer: ListFooter }}
+          itemContent={(index, item) => {
+            if (item.type === 'day') {
+              return (
+                <div className="flex items-center px-4 py-2">
+                  <div className="flex-1 border-t border-gray-200" />
+                  <span className="px-3 text-xs font-medium text-gray-500">{formatDay(item.date)}</span>
+                  <div className="flex-1 border-t border-gray-200" />
+                </div>
+              );
+            }
+
+            const { message } = item;
+            const isOwn = message.sender_id === user?.id;
+            return (
+              <div className="px-4 py-2">
+                <MessageItem
+                  message={message}
+                  isOwn={isOwn}
+                  onOpenThread={openThread}
+                  onReply={startReply}
+                  onDelete={deleteMessage}
+                  onToggleReaction={toggleReaction}
+                  onRemoveLinkPreview={isOwn ? removeLinkPreview : undefined}
+                  onVote={votePoll}
+                  onForward={startSelecting}
+                  selectable={selectMode}
+                  selected={selectedIds.includes(message.id)}
+                  onToggleSelect={toggleSelected}
+                  onTogglePin={canPin ? handleTogglePin : undefined}
+                  isPinned={pinnedIds.has(message.id)}
+                  onToggleSave={handleToggleSave}
+                  isSaved={savedMessageIds.has(message.id)}
+                  onJumpToMessage={jumpToMessage}
+                  highlighted={highlightedMessageId === message.id}
+                  canDeleteForEveryone={isOwn || isAdmin}
+                  seenBy={seenByMessage[message.id]}
+                  status={isOwn ? getDeliveryStatus(message) : undefined}
+                  onRetry={retryMessage}
+                />
+              </div>
+            );
+          }}
         />
-      ))}
-      <div ref={messagesEndRef} />
+
+        {newMessageCount > 0 && (
+          <button
+            onClick={scrollToLatest}
+            className="absolute bottom-4 left-1/2 -translate-x-1/2 px-4 py-1.5 rounded-full bg-primary-600 text-white text-sm font-medium shadow-lg hover:bg-primary-700"
+          >
+            {newMessageCount} new {newMessageCount === 1 ? 'message' : 'messages'} ↓
+          </button>
+        )}
+      </div>
+
+      <ForwardModal
+        isOpen={showForwardModal}
+        onClose={() => setShowForwardModal(false)}
+        messageIds={messages.filter(message => selectedIds.includes(message.id)).map(message => message.id)}
+        onForwarded={cancelSelecting}
+      />
     </div>
   );
 };
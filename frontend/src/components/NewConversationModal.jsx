@@ -84,7 +84,7 @@ const NewConversationModal = ({ isOpen, onClose }) => {
 
   const filteredUsers = availableUsers.filter(userItem => 
     userItem.username.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    userItem.email.toLowerCase().includes(searchQuery.toLowerCase())
+    userItem.email?.toLowerCase().includes(searchQuery.toLowerCase())
   );
 
   if (!isOpen) return null;
@@ -188,7 +188,7 @@ const NewConversationModal = ({ isOpen, onClose }) => {
                         </div>
                         <div>
                           <p className="text-sm font-medium text-gray-900">{userItem.username}</p>
-                          <p className="text-xs text-gray-500">{userItem.email}</p>
+                          {userItem.email && <p className="text-xs text-gray-500">{userItem.email}</p>}
                         </div>
                       </div>
                     </label>
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+
+const PollCard = ({ message, onVote }) => {
+  const { user } = useAuth();
+  const [submitting, setSubmitting] = useState(false);
+  const poll = message.poll;
+
+  if (!poll) return null;
+
+  const options = poll.options || [];
+  const closed = poll.closed || (poll.closes_at && new Date(poll.closes_at) <= new Date());
+  const canVote = Boolean(onVote) && !closed && !submitting;
+
+  // Anonymous polls only tell us our own votes; otherwise they're in the voter lists
+  const myVotes = poll.my_option_ids
+    || options.filter(option => option.voter_ids?.includes(user?.id)).map(option => option.id);
+  const totalVotes = options.reduce((sum, option) => sum + option.vote_count, 0);
+
+  const handleSelect = async (optionId) => {
+    if (!canVote) return;
+
+    let next;
+    if (poll.allow_multiple) {
+      next = myVotes.includes(optionId)
+        ? myVotes.filter(id => id !== optionId)
+        : [...myVotes, optionId];
+    } else {
+      // Picking the current choice again retracts it
+      next = myVotes.includes(optionId) ? [] : [optionId];
+    }
+
+    setSubmitting(true);
+    await onVote(message, next);
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="w-64 max-w-full space-y-2">
+      <p className="text-sm font-semibold break-words">📊 {message.content}</p>
+      <p className="text-xs opacity-75">
+        {poll.allow_multiple ? 'Choose one or more' : 'Choose one'}
+        {poll.anonymous && ' · Anonymous'}
+      </p>
+
+      <div className="space-y-1.5">
+        {options.map(option => {
+          const selected = myVotes.includes(option.id);
+          const percent = totalVotes > 0 ? Math.round((option.vote_count / totalVotes) * 100) : 0;
+
+          return (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => handleSelect(option.id)}
+              disabled={!canVote}
+              className={`relative block w-full overflow-hidden rounded border text-left text-sm text-gray-800 bg-white ${
+                selected ? 'border-primary-500' : 'border-gray-200'
+              } ${canVote ? 'hover:border-primary-400' : 'cursor-default'}`}
+            >
+              <div
+                className="absolute inset-y-0 left-0 bg-primary-100 transition-all duration-300"
+                style={{ width: `${percent}%` }}
+              />
+              <div className="relative flex items-center justify-between px-2 py-1.5">
+                <span className="flex items-center min-w-0 space-x-2">
+                  <span
+                    className={`flex-shrink-0 w-3.5 h-3.5 border ${poll.allow_multiple ? 'rounded-sm' : 'rounded-full'} ${
+                      selected ? 'bg-primary-600 border-primary-600' : 'border-gray-400'
+                    }`}
+                  />
+                  <span className="truncate">{option.text}</span>
+                </span>
+                <span className="ml-2 flex-shrink-0 text-xs text-gray-500">{option.vote_count}</span>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      <p className="text-xs opacity-75">
+        {poll.voter_count} {poll.voter_count === 1 ? 'vote' : 'votes'}
+        {closed
+          ? ' · Closed'
+          : poll.closes_at && ` · Closes ${formatDistanceToNow(new Date(poll.closes_at), { addSuffix: true })}`}
+      </p>
+    </div>
+  );
+};
+
+export default PollCard;
@@ -0,0 +1,149 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useChat } from '../context/ChatContext';
+import { getConversationName } from '../utils/conversations';
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 150;
+
+const QuickSwitcher = ({ isOpen, onClose }) => {
+  const { user } = useAuth();
+  const { conversations, quickSearch, selectConversation, createConversation } = useChat();
+  const [input, setInput] = useState('');
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [loading, setLoading] = useState(false);
+  // Only the latest search may update the results
+  const searchIdRef = useRef(0);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const searchId = ++searchIdRef.current;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      const result = await quickSearch(input.trim());
+      if (searchId !== searchIdRef.current) return;
+
+      setLoading(false);
+      setResults(result.success ? result.results : []);
+      setActiveIndex(0);
+    }, input ? SEARCH_DELAY_MS : 0);
+
+    return () => clearTimeout(timer);
+  }, [isOpen, input]);
+
+  const getName = (result) => {
+    if (result.type === 'user') {
+      return result.username;
+    }
+    const conversation = conversations.find(conv => conv.id === result.id);
+    return conversation ? getConversationName(conversation, user?.id) : result.name || 'Conversation';
+  };
+
+  // Conversations open directly; people open the direct conversation, starting one if needed
+  const handleOpen = async (result) => {
+    const conversationId = result.type === 'user' ? result.conversation_id : result.id;
+    const conversation = conversations.find(conv => conv.id === conversationId);
+
+    if (conversation) {
+      onClose();
+      await selectConversation(conversation);
+    } else if (result.type === 'user') {
+      const created = await createConversation('direct', [result.id]);
+      if (created.success) {
+        onClose();
+      }
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.min(prev + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[activeIndex]) {
+        handleOpen(results[activeIndex]);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-start justify-center p-4 pt-[15vh]"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl max-w-lg w-full overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          maxLength={100}
+          className="w-full px-4 py-3 text-base border-b border-gray-200 focus:outline-none"
+          placeholder="Jump to a person or conversation..."
+          autoFocus
+        />
+
+        <ul className="max-h-80 overflow-y-auto custom-scrollbar">
+          {!input.trim() && results.length > 0 && (
+            <li className="px-4 pt-3 pb-1 text-xs font-medium text-gray-500 uppercase">Recent</li>
+          )}
+          {results.map((result, index) => (
+            <li key={`${result.type}-${result.id}`}>
+              <button
+                type="button"
+                onClick={() => handleOpen(result)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`w-full px-4 py-2 flex items-center space-x-3 text-left ${
+                  index === activeIndex ? 'bg-primary-50' : ''
+                }`}
+              >
+                <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
+                  result.type === 'user' ? 'bg-primary-600' : 'bg-gray-500'
+                }`}>
+                  <span className="text-white text-sm font-medium">
+                    {result.type === 'conversation' && result.conversation_type === 'group'
+                      ? '#'
+                      : getName(result).charAt(0).toUpperCase()}
+                  </span>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{getName(result)}</p>
+                  {result.type === 'user' && result.email && (
+                    <p className="text-xs text-gray-500 truncate">{result.email}</p>
+                  )}
+                </div>
+                {result.type === 'user' && !result.conversation_id && (
+                  <span className="text-xs text-gray-400">New message</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {!loading && input.trim() && results.length === 0 && (
+          <p className="p-4 text-center text-sm text-gray-500">No people or conversations found</p>
+        )}
+
+        <p className="px-4 py-2 border-t border-gray-100 text-xs text-gray-400">
+          ↑↓ to choose · Enter to open · Esc to close
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default QuickSwitcher;
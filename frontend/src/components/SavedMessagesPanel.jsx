@@ -0,0 +1,201 @@
+import React, { useEffect, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import { useChat } from '../context/ChatContext';
+import { getConversationName } from '../utils/conversations';
+
+const SavedItem = ({ item, conversationName, onOpen, onSaveNote, onRemove }) => {
+  const [editing, setEditing] = useState(false);
+  const [note, setNote] = useState('');
+  const { message } = item;
+
+  const startEditing = () => {
+    setNote(item.note || '');
+    setEditing(true);
+  };
+
+  const handleSaveNote = async () => {
+    const result = await onSaveNote(item, note);
+    if (result.success) {
+      setEditing(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setEditing(false);
+  };
+
+  const preview = message?.content || message?.file_name || 'Attachment';
+
+  return (
+    <li className="p-4 border-b border-gray-100 hover:bg-gray-50">
+      <div className="flex items-start justify-between space-x-3">
+        <button
+          type="button"
+          onClick={() => onOpen(item)}
+          className="flex-1 min-w-0 text-left"
+        >
+          <p className="text-xs text-gray-500 truncate">
+            <span className="font-medium text-gray-700">{conversationName}</span>
+            {' · '}
+            {message?.sender_name}
+            {' · '}
+            {formatDistanceToNow(new Date(message?.created_at || item.saved_at), { addSuffix: true })}
+          </p>
+          <p className="mt-1 text-sm text-gray-900 line-clamp-3 break-words">{preview}</p>
+        </button>
+        <button
+          onClick={() => onRemove(item)}
+          className="p-1.5 rounded-lg text-yellow-500 hover:text-yellow-600 hover:bg-gray-100"
+          title="Remove from saved"
+        >
+          <svg className="w-4 h-4" fill="currentColor" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Personal note */}
+      {editing ? (
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={1000}
+            rows={2}
+            className="input-field text-sm"
+            placeholder="Add a note..."
+            autoFocus
+          />
+          <div className="flex justify-end space-x-2">
+            <button onClick={handleCancel} className="text-sm text-gray-500 hover:text-gray-700">
+              Cancel
+            </button>
+            <button onClick={handleSaveNote} className="text-sm font-medium text-primary-600 hover:underline">
+              Save note
+            </button>
+          </div>
+        </div>
+      ) : item.note ? (
+        <button
+          type="button"
+          onClick={startEditing}
+          className="mt-2 block w-full text-left px-2 py-1 rounded bg-yellow-50 text-sm text-gray-700 italic hover:bg-yellow-100"
+          title="Edit note"
+        >
+          {item.note}
+        </button>
+      ) : (
+        <button
+          type="button"
+          onClick={startEditing}
+          className="mt-2 text-xs text-gray-500 hover:text-gray-700 hover:underline"
+        >
+          Add note
+        </button>
+      )}
+    </li>
+  );
+};
+
+const SavedMessagesPanel = ({ onClose }) => {
+  const { user } = useAuth();
+  const {
+    conversations,
+    savedItems,
+    loadSavedItems,
+    saveMessage,
+    unsaveMessage,
+    openMessage
+  } = useChat();
+  const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+
+  useEffect(() => {
+    loadSavedItems().then(result => {
+      setNextCursor(result.nextCursor);
+      setLoading(false);
+    });
+  }, []);
+
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+
+    setLoading(true);
+    const result = await loadSavedItems(nextCursor);
+    // A failed load keeps the cursor, so "Load more" can be tried again
+    if (result.success) {
+      setNextCursor(result.nextCursor);
+    }
+    setLoading(false);
+  };
+
+  // Open the message in its conversation
+  const handleOpen = async (item) => {
+    const result = await openMessage(item.conversation_id, item.message_id);
+    if (result.success) {
+      onClose();
+    }
+  };
+
+  const getName = (item) => {
+    const conversation = conversations.find(conv => conv.id === item.conversation_id);
+    return conversation ? getConversationName(conversation, user?.id) : item.conversation_name || 'Conversation';
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-white">
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Saved items</h3>
+          <p className="text-sm text-gray-500">Messages you saved, most recent first</p>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-2 rounded-lg hover:bg-gray-100 transition-colors"
+        >
+          <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto custom-scrollbar">
+        {!loading && savedItems.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <p className="font-medium text-gray-700 mb-1">Nothing saved yet</p>
+            <p className="text-sm">Use the star on any message to keep it here.</p>
+          </div>
+        ) : (
+          <ul>
+            {savedItems.map(item => (
+              <SavedItem
+                key={item.message_id}
+                item={item}
+                conversationName={getName(item)}
+                onOpen={handleOpen}
+                onSaveNote={(saved, note) => saveMessage(saved.message_id, note)}
+                onRemove={(saved) => unsaveMessage(saved.message_id)}
+              />
+            ))}
+          </ul>
+        )}
+
+        {nextCursor && (
+          <div className="p-4 text-center">
+            <button
+              onClick={handleLoadMore}
+              disabled={loading}
+              className="text-sm font-medium text-primary-600 hover:underline disabled:opacity-50"
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SavedMessagesPanel;
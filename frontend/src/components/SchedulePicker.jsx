@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { addDays, addHours, format, nextMonday, setHours, startOfHour, startOfMinute } from 'date-fns';
+
+const INPUT_FORMAT = "yyyy-MM-dd'T'HH:mm";
+
+// Common send-later times, in the sender's local time
+const getPresets = () => {
+  const now = new Date();
+  const atNine = (date) => startOfHour(setHours(date, 9));
+
+  return [
+    { label: 'In 1 hour', date: startOfMinute(addHours(now, 1)) },
+    { label: 'Tomorrow at 9:00', date: atNine(addDays(now, 1)) },
+    { label: 'Monday at 9:00', date: atNine(nextMonday(now)) }
+  ];
+};
+
+const SchedulePicker = ({ onSchedule, onClose, disabled }) => {
+  const [value, setValue] = useState(() => format(getPresets()[1].date, INPUT_FORMAT));
+
+  const chosen = value ? new Date(value) : null;
+  const isValid = chosen && !Number.isNaN(chosen.getTime()) && chosen > new Date();
+
+  return (
+    <div className="absolute bottom-full right-0 mb-2 w-72 p-3 bg-white border border-gray-200 rounded-lg shadow-lg z-20">
+      <p className="text-sm font-medium text-gray-900 mb-2">Schedule message</p>
+
+      <div className="space-y-1 mb-3">
+        {getPresets().map(preset => (
+          <button
+            key={preset.label}
+            type="button"
+            onClick={() => onSchedule(preset.date)}
+            disabled={disabled}
+            className="flex justify-between w-full px-2 py-1.5 rounded text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+          >
+            <span>{preset.label}</span>
+            <span className="text-xs text-gray-500">{format(preset.date, 'EEE HH:mm')}</span>
+          </button>
+        ))}
+      </div>
+
+      <label className="block text-xs text-gray-500 mb-1" htmlFor="scheduleAt">Custom time</label>
+      <input
+        id="scheduleAt"
+        type="datetime-local"
+        value={value}
+        min={format(new Date(), INPUT_FORMAT)}
+        onChange={(e) => setValue(e.target.value)}
+        className="input-field text-sm"
+      />
+
+      <div className="flex justify-end space-x-2 mt-3">
+        <button type="button" onClick={onClose} className="btn-secondary px-3 py-1.5 text-sm">
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onSchedule(chosen)}
+          disabled={disabled || !isValid}
+          className="btn-primary px-3 py-1.5 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Schedule
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SchedulePicker;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { useChat } from '../context/ChatContext';
+
+// Pending scheduled messages for the open conversation, visible only to their sender
+const ScheduledMessageList = () => {
+  const { scheduledMessages, cancelScheduledMessage } = useChat();
+  const [expanded, setExpanded] = useState(false);
+
+  if (scheduledMessages.length === 0) return null;
+
+  const count = scheduledMessages.length;
+
+  return (
+    <div className="mb-3 border border-gray-200 rounded-lg bg-gray-50 text-sm">
+      <button
+        type="button"
+        onClick={() => setExpanded(prev => !prev)}
+        className="flex items-center justify-between w-full px-3 py-2 text-left text-gray-700"
+      >
+        <span>🕒 {count} scheduled message{count !== 1 ? 's' : ''}</span>
+        <span className="text-xs font-medium text-primary-600">{expanded ? 'Hide' : 'Show'}</span>
+      </button>
+
+      {expanded && (
+        <ul className="max-h-48 overflow-y-auto border-t border-gray-200 custom-scrollbar">
+          {scheduledMessages.map(scheduled => (
+            <li key={scheduled.id} className="flex items-start px-3 py-2 border-b border-gray-100 last:border-b-0">
+              <div className="flex-1 min-w-0">
+                <p className="text-xs text-gray-500">
+                  {format(new Date(scheduled.scheduled_at), "EEE d MMM 'at' HH:mm")}
+                </p>
+                <p className="text-gray-800 truncate">{scheduled.content}</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => cancelScheduledMessage(scheduled.id)}
+                className="ml-2 p-1 rounded text-gray-400 hover:text-gray-600 hover:bg-gray-200"
+                title="Cancel scheduled message"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ScheduledMessageList;
@@ -0,0 +1,216 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuth } from '../context/AuthContext';
+import { useChat } from '../context/ChatContext';
+import { getConversationName } from '../utils/conversations';
+import { SEARCH_FILTER_HINTS, splitHighlights } from '../utils/search';
+
+const SearchResult = ({ result, conversationName, onOpen }) => {
+  // Filter-only searches have no headline, so fall back to the start of the message
+  const preview = result.headline
+    ? splitHighlights(result.headline)
+    : [result.content || result.file_name || 'Attachment'];
+
+  return (
+    <li className="border-b border-gray-100">
+      <button
+        type="button"
+        onClick={() => onOpen(result)}
+        className="w-full p-4 text-left hover:bg-gray-50"
+      >
+        <p className="text-xs text-gray-500 truncate">
+          {result.match_mode === 'fuzzy' && (
+            <span className="mr-1 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600" title="No exact match; this one is close">
+              Similar
+            </span>
+          )}
+          <span className="font-medium text-gray-700">{conversationName}</span>
+          {' · '}
+          {result.sender_name}
+          {' · '}
+          {formatDistanceToNow(new Date(result.created_at), { addSuffix: true })}
+          {result.thread_id && ' · in a thread'}
+        </p>
+        <p className="mt-1 text-sm text-gray-900 line-clamp-3 break-words">
+          {preview.map((part, index) => (
+            typeof part === 'string'
+              ? <React.Fragment key={index}>{part}</React.Fragment>
+              : <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm">{part.match}</mark>
+          ))}
+        </p>
+      </button>
+    </li>
+  );
+};
+
+const SearchPanel = ({ initialQuery = '', onClose }) => {
+  const { user } = useAuth();
+  const { conversations, searchAllMessages, openMessage } = useChat();
+  const [input, setInput] = useState(initialQuery);
+  // The query the shown results (and nextCursor) belong to
+  const [activeQuery, setActiveQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searched, setSearched] = useState(false);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [matchMode, setMatchMode] = useState(null);
+  // Only the latest search may update the results
+  const searchIdRef = useRef(0);
+
+  const runSearch = async (query, cursor = null) => {
+    const searchId = ++searchIdRef.current;
+    setActiveQuery(query);
+    setLoading(true);
+    const result = await searchAllMessages(query, cursor, cursor ? matchMode : null);
+    if (searchId !== searchIdRef.current) return;
+
+    setLoading(false);
+    setSearched(true);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setError(null);
+    setResults(prev => (cursor ? [...prev, ...result.results] : result.results));
+    setNextCursor(result.hasMore ? result.nextCursor : null);
+    setMatchMode(result.matchMode);
+  };
+
+  useEffect(() => {
+    if (initialQuery.trim()) {
+      runSearch(initialQuery.trim());
+    }
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!input.trim()) return;
+    setResults([]);
+    setNextCursor(null);
+    runSearch(input.trim());
+  };
+
+  const handleLoadMore = () => {
+    if (nextCursor && !loading) {
+      runSearch(activeQuery, nextCursor);
+    }
+  };
+
+  const handleAddFilter = (hint) => {
+    const [key] = hint.split(':');
+    setInput(prev => `${prev.trim()} ${key}:`.trimStart());
+  };
+
+  // Open the message in its conversation
+  const handleOpen = async (result) => {
+    const opened = await openMessage(result.conversation_id, result.id);
+    if (opened.success) {
+      onClose();
+    }
+  };
+
+  const getName = (result) => {
+    const conversation = conversations.find(conv => conv.id === result.conversation_id);
+    return conversation ? getConversationName(conversation, user?.id) : result.conversation_name || 'Conversation';
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-white">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200">
+        <div className="flex items-center justify-between mb-3">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Search messages</h3>
+            <p className="text-sm text-gray-500">Across all of your conversations, newest first</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex space-x-2">
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            maxLength={500}
+            className="input-field"
+            placeholder="Search, e.g. release notes from:alice has:link"
+            autoFocus
+          />
+          <button type="submit" disabled={!input.trim() || loading} className="btn-primary disabled:opacity-50">
+            Search
+          </button>
+        </form>
+
+        <div className="mt-2 flex flex-wrap gap-1">
+          {SEARCH_FILTER_HINTS.map(hint => (
+            <button
+              key={hint}
+              type="button"
+              onClick={() => handleAddFilter(hint)}
+              className="px-2 py-0.5 rounded bg-gray-100 text-xs text-gray-600 hover:bg-gray-200"
+              title={`Add ${hint}`}
+            >
+              {hint}
+            </button>
+          ))}
+        </div>
+
+        <p className="mt-2 text-xs text-gray-500">
+          Use "quotes" for phrases, word* for prefixes, OR for either word and -word to exclude.
+        </p>
+
+        {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+        {!error && matchMode === 'fuzzy' && results.length > 0 && (
+          <p className="mt-2 text-sm text-gray-600">No exact matches, so these are similar messages.</p>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto custom-scrollbar">
+        {searched && !loading && !error && results.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <p className="font-medium text-gray-700 mb-1">No messages found</p>
+            <p className="text-sm">Try fewer words or different filters.</p>
+          </div>
+        ) : (
+          <ul>
+            {results.map(result => (
+              <SearchResult
+                key={result.id}
+                result={result}
+                conversationName={getName(result)}
+                onOpen={handleOpen}
+              />
+            ))}
+          </ul>
+        )}
+
+        {loading && results.length === 0 && (
+          <p className="p-4 text-center text-sm text-gray-400">Searching...</p>
+        )}
+
+        {nextCursor && (
+          <div className="p-4 text-center">
+            <button
+              onClick={handleLoadMore}
+              disabled={loading}
+              className="text-sm font-medium text-primary-600 hover:underline disabled:opacity-50"
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -5,7 +5,18 @@ import ConversationList from './ConversationList';
 import UserMenu from './UserMenu';
 import SearchBar from './SearchBar';
 
-const Sidebar = ({ isOpen, onToggle, onCreateConversation, onLogout, user }) => {
+const Sidebar = ({
+  isOpen,
+  onToggle,
+  onCreateConversation,
+  onShowSaved,
+  showingSaved = false,
+  onSearchMessages,
+  showingSearch = false,
+  onQuickSwitch,
+  onLogout,
+  user
+}) => {
   const { conversations, loading } = useChat();
   const { isConnected } = useSocket();
   const [searchQuery, setSearchQuery] = useState('');
@@ -89,6 +100,44 @@ const Sidebar = ({ isOpen, onToggle, onCreateConversation, onLogout, user }) =>
             </button>
           </div>
 
+          {/* Saved items and message search */}
+          <div className="px-4 py-2 border-b border-gray-200 space-y-1">
+            <button
+              onClick={onShowSaved}
+              className={`flex items-center w-full px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                showingSaved ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <svg className="w-4 h-4 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+              </svg>
+              Saved
+            </button>
+            <button
+              onClick={() => onSearchMessages(searchQuery)}
+              className={`flex items-center w-full px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                showingSearch ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <svg className="w-4 h-4 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+              </svg>
+              <span className="truncate">
+                {searchQuery ? `Search messages for “${searchQuery}”` : 'Search messages'}
+              </span>
+            </button>
+            <button
+              onClick={onQuickSwitch}
+              className="flex items-center w-full px-3 py-2 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-100 transition-colors"
+            >
+              <svg className="w-4 h-4 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5m0 0l-5 5m5-5H6" />
+              </svg>
+              <span className="flex-1 text-left">Jump to...</span>
+              <kbd className="text-xs text-gray-400">Ctrl K</kbd>
+            </button>
+          </div>
+
           {/* Conversations List */}
           <div className="flex-1 overflow-y-auto">
             <ConversationList 
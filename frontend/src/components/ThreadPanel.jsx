@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useChat } from '../context/ChatContext';
+import MessageItem from './MessageItem';
+
+const ThreadPanel = ({ thread }) => {
+  const { user } = useAuth();
+  const { currentConversation, closeThread, sendThreadReply, deleteMessage, toggleReaction, removeLinkPreview, votePoll, savedMessageIds, saveMessage, unsaveMessage } = useChat();
+  const [reply, setReply] = useState('');
+  const repliesEndRef = useRef(null);
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [thread.replies]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!reply.trim()) return;
+
+    const result = await sendThreadReply(reply.trim());
+    if (result?.success) {
+      setReply('');
+    }
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSubmit(e);
+    }
+  };
+
+  const handleToggleSave = (message) => {
+    if (savedMessageIds.has(message.id)) {
+      unsaveMessage(message.id);
+    } else {
+      saveMessage(message.id);
+    }
+  };
+
+  const replyCount = thread.replies.filter(reply => !reply.deleted_at).length;
+  const isAdmin = (currentConversation?.participants || [])
+    .some(participant => participant.id === user?.id && participant.role === 'admin');
+
+  return (
+    <div className="flex flex-col h-full w-full lg:w-96 border-l border-gray-200 bg-white">
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Thread</h3>
+          <p className="text-sm text-gray-500">
+            {replyCount} repl{replyCount === 1 ? 'y' : 'ies'}
+          </p>
+        </div>
+        <button
+          onClick={closeThread}
+          className="p-2 rounded-lg hover:bg-gray-100 transition-colors"
+        >
+          <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Parent message and replies */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-4 custom-scrollbar">
+        <MessageItem
+          message={thread.parent}
+          isOwn={thread.parent.sender_id === user?.id}
+          inThread
+          onToggleReaction={toggleReaction}
+          onVote={votePoll}
+          onToggleSave={handleToggleSave}
+          isSaved={savedMessageIds.has(thread.parent.id)}
+        />
+
+        <div className="flex items-center space-x-2 text-xs text-gray-400">
+          <div className="flex-1 border-t border-gray-200" />
+          <span>{replyCount > 0 ? 'Replies' : 'No replies yet'}</span>
+          <div className="flex-1 border-t border-gray-200" />
+        </div>
+
+        {thread.replies.map((message) => (
+          <MessageItem
+            key={message.id}
+            message={message}
+            isOwn={message.sender_id === user?.id}
+            inThread
+            onDelete={deleteMessage}
+            onToggleReaction={toggleReaction}
+            onRemoveLinkPreview={message.sender_id === user?.id ? removeLinkPreview : undefined}
+            onVote={votePoll}
+            onToggleSave={handleToggleSave}
+            isSaved={savedMessageIds.has(message.id)}
+            canDeleteForEveryone={message.sender_id === user?.id || isAdmin}
+          />
+        ))}
+        <div ref={repliesEndRef} />
+      </div>
+
+      {/* Reply input */}
+      <form onSubmit={handleSubmit} className="flex items-end space-x-3 border-t border-gray-200 p-4">
+        <textarea
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          onKeyPress={handleKeyPress}
+          placeholder="Reply in thread..."
+          className="flex-1 px-4 py-3 border border-gray-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all duration-200"
+          rows="1"
+          style={{ minHeight: '44px', maxHeight: '120px' }}
+        />
+        <button
+          type="submit"
+          disabled={!reply.trim()}
+          className="btn-primary px-4 py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+          </svg>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ThreadPanel;
@@ -1,9 +1,9 @@
 import React, { useState } from 'react';
-import { useAuth } from '../context/AuthContext';
+import ProfileSettingsModal from './ProfileSettingsModal';
 
 const UserMenu = ({ user, onLogout }) => {
   const [isOpen, setIsOpen] = useState(false);
-  const { updateProfile } = useAuth();
+  const [showProfileSettings, setShowProfileSettings] = useState(false);
 
   const handleLogout = () => {
     setIsOpen(false);
@@ -39,7 +39,10 @@ const UserMenu = ({ user, onLogout }) => {
           <div className="absolute bottom-full left-0 right-0 mb-1 bg-white border border-gray-200 rounded-lg shadow-lg z-20">
             <div className="py-1">
               <button
-                onClick={() => setIsOpen(false)}
+                onClick={() => {
+                  setIsOpen(false);
+                  setShowProfileSettings(true);
+                }}
                 className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100 transition-colors"
               >
                 Profile Settings
@@ -54,6 +57,11 @@ const UserMenu = ({ user, onLogout }) => {
           </div>
         </>
       )}
+
+      <ProfileSettingsModal
+        isOpen={showProfileSettings}
+        onClose={() => setShowProfileSettings(false)}
+      />
     </div>
   );
 };
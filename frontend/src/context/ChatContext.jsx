@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { useSocket } from './SocketContext';
 import { useAuth } from './AuthContext';
 import axios from 'axios';
@@ -6,6 +6,17 @@ import toast from 'react-hot-toast';
 
 const ChatContext = createContext();
 
+const MESSAGE_PAGE_SIZE = 50;
+const NO_MORE_PAGES = { hasMoreBefore: false, hasMoreAfter: false, beforeCursor: null, afterCursor: null };
+
+// IDs generated for outgoing messages so retries can be de-duplicated by the server
+const generateClientId = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
 export const useChat = () => {
   const context = useContext(ChatContext);
   if (!context) {
@@ -21,27 +32,58 @@ export const ChatProvider = ({ children }) => {
     isConnected, 
     joinConversation, 
     leaveConversation,
+    sendMessage: emitMessage,
+    markDelivered,
+    markRead,
     onNewMessage,
     onUserTyping,
     onUserStoppedTyping,
     onUserStatusChanged,
+    onReadReceipt,
+    onDeliveryReceipt,
     offNewMessage,
     offUserTyping,
     offUserStoppedTyping,
-    offUserStatusChanged
+    offUserStatusChanged,
+    offReadReceipt,
+    offDeliveryReceipt,
+    onEvent,
+    offEvent
   } = useSocket();
 
   const [conversations, setConversations] = useState([]);
   const [currentConversation, setCurrentConversation] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [activeThread, setActiveThread] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [pinnedMessages, setPinnedMessages] = useState([]);
+  const [scheduledMessages, setScheduledMessages] = useState([]);
+  // Saved items list (loaded when opened), and which messages of the open conversation are saved
+  const [savedItems, setSavedItems] = useState([]);
+  const [savedMessageIds, setSavedMessageIds] = useState(new Set());
+  // Draft loaded for the composer when a conversation is opened
+  const [composerDraft, setComposerDraft] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  // Server limits on a single forward ({ maxMessages, maxTargets }), once loaded
+  const [forwardLimits, setForwardLimits] = useState(null);
+  // Whether there are older / newer messages than the loaded ones (newer ones exist after jumping back
+  // in history), and the cursors to fetch them with
+  const [messagePaging, setMessagePaging] = useState(NO_MORE_PAGES);
+  const messagePagingRef = useRef(NO_MORE_PAGES);
   const [loading, setLoading] = useState(false);
   const [typingUsers, setTypingUsers] = useState(new Set());
   const [onlineUsers, setOnlineUsers] = useState(new Set());
+  const lastReadRef = useRef(0);
+  // Thread replies already counted, since a reply can arrive from both the API response and a broadcast
+  const countedRepliesRef = useRef(new Set());
+  // Deletions already applied, for the same reason
+  const appliedDeletionsRef = useRef(new Set());
 
   // Fetch conversations on mount
   useEffect(() => {
     if (user) {
       fetchConversations();
+      fetchForwardLimits();
     }
   }, [user]);
 
@@ -50,19 +92,25 @@ export const ChatProvider = ({ children }) => {
     if (!socket || !isConnected()) return;
 
     const handleNewMessage = (message) => {
-      setMessages(prev => {
-        // Check if message already exists
-        if (prev.find(m => m.id === message.id)) {
-          return prev;
-        }
-        return [...prev, message];
-      });
+      // Let the sender know the message reached this client
+      if (message.sender_id !== user?.id) {
+        markDelivered(message.conversation_id, message.id);
+      }
+
+      // Thread replies go to the thread panel and only bump the parent's reply count
+      if (message.thread_id) {
+        addThreadReply(message.thread_id, message);
+        return;
+      }
+
+      // Replaces our own optimistic copy if this is the broadcast of a message we sent
+      upsertMessage(message);
 
       // Update conversation list with new message
       setConversations(prev => 
         prev.map(conv => 
-          conv.id === message.conversationId 
-            ? { ...conv, last_message: message.content, last_message_time: message.createdAt }
+          conv.id === message.conversation_id 
+            ? { ...conv, last_message: message.content, last_message_time: message.created_at }
             : conv
         )
       );
@@ -96,11 +144,217 @@ export const ChatProvider = ({ children }) => {
       });
     };
 
+    // Apply a read or delivery pointer update to a participant
+    const updateParticipant = (conversationId, userId, updater) => {
+      const applyUpdate = (conv) => {
+        if (conv.id !== Number(conversationId)) return conv;
+        return {
+          ...conv,
+          participants: conv.participants?.map(participant =>
+            participant.id === userId ? updater(participant) : participant
+          )
+        };
+      };
+
+      setConversations(prev => prev.map(applyUpdate));
+      setCurrentConversation(prev => prev && applyUpdate(prev));
+    };
+
+    const handleReadReceipt = (data) => {
+      // Anything read has also been delivered
+      updateParticipant(data.conversationId, data.userId, participant => ({
+        ...participant,
+        last_read_message_id: data.lastReadMessageId,
+        last_delivered_message_id: Math.max(participant.last_delivered_message_id || 0, data.lastReadMessageId)
+      }));
+    };
+
+    const handleDeliveryReceipt = (data) => {
+      updateParticipant(data.conversationId, data.userId, participant => ({
+        ...participant,
+        last_delivered_message_id: data.lastDeliveredMessageId
+      }));
+    };
+
+    const handleMessageUpdated = (message) => {
+      updateMessage(message.id, existing => ({
+        ...existing,
+        ...message,
+        // Broadcasts don't carry our own poll votes
+        poll: message.poll && { my_option_ids: existing.poll?.my_option_ids, ...message.poll }
+      }));
+    };
+
+    const handleMessageDeleted = (data) => {
+      applyTombstone(data.message);
+    };
+
+    // Deleted for this user only, possibly from another of their devices
+    const handleMessageHidden = (data) => {
+      removeMessage(data.messageId);
+    };
+
+    // A disappearing message reached its expiry and was purged
+    const handleMessageExpired = (data) => {
+      if (data.threadId && !appliedDeletionsRef.current.has(data.messageId)) {
+        setMessages(prev => prev.map(m =>
+          m.id === data.threadId
+            ? { ...m, thread_reply_count: Math.max((m.thread_reply_count || 1) - 1, 0) }
+            : m
+        ));
+      }
+      appliedDeletionsRef.current.add(data.messageId);
+
+      removeMessage(data.messageId);
+      setPinnedMessages(prev => prev.filter(pin => pin.message_id !== data.messageId));
+    };
+
+    // New tallies; our own votes aren't part of the broadcast, so keep the ones we know
+    const handlePollUpdated = (data) => {
+      updateMessage(data.messageId, message => ({
+        ...message,
+        poll: { ...data.poll, my_option_ids: message.poll?.my_option_ids }
+      }));
+    };
+
+    const handleReactionChanged = (data) => {
+      updateMessage(data.messageId, message => ({ ...message, reactions: data.reactions }));
+    };
+
+    const handleParticipantAdded = (data) => {
+      const applyUpdate = (conv) => {
+        if (conv.id !== data.conversationId || conv.participants?.some(p => p.id === data.participant.id)) {
+          return conv;
+        }
+        return { ...conv, participants: [...(conv.participants || []), data.participant] };
+      };
+
+      // Being added to a conversation makes it show up in our list
+      if (data.participant.id === user?.id) {
+        fetchConversations();
+        return;
+      }
+
+      setConversations(prev => prev.map(applyUpdate));
+      setCurrentConversation(prev => prev && applyUpdate(prev));
+    };
+
+    const handleParticipantRemoved = (data) => {
+      if (data.userId === user?.id) {
+        removeConversation(data.conversationId);
+        return;
+      }
+
+      const applyUpdate = (conv) => {
+        if (conv.id !== data.conversationId) return conv;
+        return { ...conv, participants: conv.participants?.filter(p => p.id !== data.userId) };
+      };
+
+      setConversations(prev => prev.map(applyUpdate));
+      setCurrentConversation(prev => prev && applyUpdate(prev));
+    };
+
+    const handleConversationCreated = (conversation) => {
+      setConversations(prev =>
+        prev.some(conv => conv.id === conversation.id) ? prev : [conversation, ...prev]
+      );
+    };
+
+    const handleConversationUpdated = (conversation) => {
+      const applyUpdate = (conv) => (conv.id === conversation.id ? { ...conv, ...conversation } : conv);
+      setConversations(prev => prev.map(applyUpdate));
+      setCurrentConversation(prev => prev && applyUpdate(prev));
+    };
+
+    // Saved or cleared on another device (or cleared by sending)
+    const handleDraftUpdated = (data) => {
+      setDraftInList(data.conversationId, data.draft);
+    };
+
+    const handleConversationDeleted = (data) => {
+      removeConversation(data.conversationId);
+    };
+
+    // Someone mentioned us; the message itself arrives through the room if the conversation is open
+    const handleMention = (data) => {
+      const isViewing = data.conversationId === currentConversation?.id && document.visibilityState === 'visible';
+      if (isViewing) return;
+
+      toast(`${data.message.sender_name} mentioned you: ${data.message.content.slice(0, 80)}`, { icon: '💬' });
+    };
+
+    const handleMessagePinned = (data) => {
+      if (data.conversationId !== currentConversation?.id) return;
+      setPinnedMessages(prev =>
+        prev.some(pin => pin.message_id === data.pin.message_id) ? prev : [data.pin, ...prev]
+      );
+    };
+
+    const handleMessageUnpinned = (data) => {
+      if (data.conversationId !== currentConversation?.id) return;
+      setPinnedMessages(prev => prev.filter(pin => pin.message_id !== data.messageId));
+    };
+
+    // Scheduled messages are private to their sender; only pending ones are listed
+    const handleScheduledMessageUpdated = (scheduled) => {
+      if (scheduled.conversation_id !== currentConversation?.id) return;
+      setScheduledMessages(prev => {
+        const others = prev.filter(item => item.id !== scheduled.id);
+        if (scheduled.status !== 'pending') {
+          if (scheduled.status === 'failed') {
+            toast.error(`A scheduled message couldn't be sent: ${scheduled.error}`);
+          }
+          return others;
+        }
+        return [...others, scheduled].sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at));
+      });
+    };
+
+    const handleScheduledMessageDeleted = (data) => {
+      setScheduledMessages(prev => prev.filter(item => item.id !== data.id));
+    };
+
+    // Saved or unsaved on another device
+    const handleSavedMessageUpdated = (item) => {
+      applySavedItem(item);
+    };
+
+    const handleSavedMessageDeleted = (data) => {
+      removeSavedItem(data.messageId);
+    };
+
+    const serverEvents = {
+      message_created: handleNewMessage,
+      message_updated: handleMessageUpdated,
+      message_deleted: handleMessageDeleted,
+      message_hidden: handleMessageHidden,
+      message_expired: handleMessageExpired,
+      poll_updated: handlePollUpdated,
+      reaction_added: handleReactionChanged,
+      reaction_removed: handleReactionChanged,
+      participant_added: handleParticipantAdded,
+      participant_removed: handleParticipantRemoved,
+      conversation_created: handleConversationCreated,
+      conversation_updated: handleConversationUpdated,
+      conversation_deleted: handleConversationDeleted,
+      mention: handleMention,
+      message_pinned: handleMessagePinned,
+      message_unpinned: handleMessageUnpinned,
+      scheduled_message_updated: handleScheduledMessageUpdated,
+      scheduled_message_deleted: handleScheduledMessageDeleted,
+      draft_updated: handleDraftUpdated,
+      saved_message_updated: handleSavedMessageUpdated,
+      saved_message_deleted: handleSavedMessageDeleted
+    };
+
     // Set up event listeners
     onNewMessage(handleNewMessage);
     onUserTyping(handleUserTyping);
     onUserStoppedTyping(handleUserStoppedTyping);
     onUserStatusChanged(handleUserStatusChanged);
+    onReadReceipt(handleReadReceipt);
+    onDeliveryReceipt(handleDeliveryReceipt);
+    Object.entries(serverEvents).forEach(([event, handler]) => onEvent(event, handler));
 
     // Cleanup
     return () => {
@@ -108,8 +362,30 @@ export const ChatProvider = ({ children }) => {
       offUserTyping();
       offUserStoppedTyping();
       offUserStatusChanged();
+      offReadReceipt();
+      offDeliveryReceipt();
+      Object.entries(serverEvents).forEach(([event, handler]) => offEvent(event, handler));
+    };
+  }, [socket, isConnected, currentConversation, onNewMessage, onUserTyping, onUserStoppedTyping, onUserStatusChanged, onReadReceipt, onDeliveryReceipt, offNewMessage, offUserTyping, offUserStoppedTyping, offUserStatusChanged, offReadReceipt, offDeliveryReceipt, onEvent, offEvent]);
+
+  // Mark the open conversation as read whenever newer messages are visible
+  useEffect(() => {
+    if (!currentConversation || messages.length === 0) return;
+
+    const markLatestRead = () => {
+      if (document.visibilityState !== 'visible') return;
+
+      const latestId = Math.max(...messages.map(m => m.id).filter(Number.isInteger));
+      if (!Number.isFinite(latestId) || latestId <= lastReadRef.current) return;
+
+      lastReadRef.current = latestId;
+      markConversationRead(currentConversation.id, latestId);
     };
-  }, [socket, isConnected, currentConversation, onNewMessage, onUserTyping, onUserStoppedTyping, onUserStatusChanged, offNewMessage, offUserTyping, offUserStoppedTyping, offUserStatusChanged]);
+
+    markLatestRead();
+    document.addEventListener('visibilitychange', markLatestRead);
+    return () => document.removeEventListener('visibilitychange', markLatestRead);
+  }, [messages, currentConversation?.id]);
 
   const fetchConversations = async () => {
     try {
@@ -124,23 +400,116 @@ export const ChatProvider = ({ children }) => {
     }
   };
 
-  const fetchMessages = async (conversationId, limit = 50, offset = 0) => {
+  // One page of messages: the latest, or relative to a cursor (before / after) or a message (around)
+  const fetchMessages = async (conversationId, params = {}) => {
     try {
       const response = await axios.get(`/api/messages/${conversationId}`, {
-        params: { limit, offset }
+        params: { limit: MESSAGE_PAGE_SIZE, ...params }
       });
-      return response.data.messages;
+      return response.data;
     } catch (error) {
       console.error('Error fetching messages:', error);
-      toast.error('Failed to load messages');
+      toast.error(error.response?.data?.error || 'Failed to load messages');
+      return null;
+    }
+  };
+
+  const updatePaging = (updater) => {
+    const next = typeof updater === 'function' ? updater(messagePagingRef.current) : updater;
+    messagePagingRef.current = next;
+    setMessagePaging(next);
+  };
+
+  const pagingFrom = ({ pagination }) => ({
+    hasMoreBefore: pagination.hasMoreBefore,
+    hasMoreAfter: pagination.hasMoreAfter,
+    beforeCursor: pagination.beforeCursor,
+    afterCursor: pagination.afterCursor
+  });
+
+  const highlightMessage = (messageId) => {
+    setHighlightedMessageId(messageId);
+    setTimeout(() => {
+      setHighlightedMessageId(prev => (prev === messageId ? null : prev));
+    }, 2000);
+  };
+
+  // Show a page fetched around a message, opening its thread if the target is a reply
+  const showMessagesAround = (page) => {
+    setMessages(page.messages);
+    updatePaging(pagingFrom(page));
+    highlightMessage(page.anchorId);
+    if (page.targetId !== page.anchorId) {
+      openThread(page.anchorId);
+    }
+  };
+
+  const fetchPins = async (conversationId) => {
+    try {
+      const response = await axios.get(`/api/conversations/${conversationId}/pins`);
+      return response.data.pins;
+    } catch (error) {
+      console.error('Error fetching pinned messages:', error);
       return [];
     }
   };
 
-  const selectConversation = async (conversation) => {
+  const fetchScheduledMessages = async (conversationId) => {
+    try {
+      const response = await axios.get('/api/scheduled-messages', { params: { conversationId } });
+      return response.data.scheduledMessages;
+    } catch (error) {
+      console.error('Error fetching scheduled messages:', error);
+      return [];
+    }
+  };
+
+  const fetchSavedMessageIds = async (conversationId) => {
+    try {
+      const response = await axios.get('/api/users/me/saved', { params: { conversationId, limit: 100 } });
+      return new Set(response.data.saved.map(item => item.message_id));
+    } catch (error) {
+      console.error('Error fetching saved messages:', error);
+      return new Set();
+    }
+  };
+
+  const fetchDraft = async (conversationId) => {
+    try {
+      const response = await axios.get(`/api/conversations/${conversationId}/draft`);
+      return response.data.draft;
+    } catch (error) {
+      console.error('Error fetching draft:', error);
+      return null;
+    }
+  };
+
+  const setDraftInList = (conversationId, draft) => {
+    setConversations(prev => prev.map(conv => (conv.id === conversationId ? { ...conv, draft } : conv)));
+  };
+
+  // Save the composer text for a conversation; empty text removes the draft
+  const saveDraft = async (conversationId, content, format = 'plain') => {
+    try {
+      const response = await axios.put(`/api/conversations/${conversationId}/draft`, { content, format });
+      setDraftInList(conversationId, response.data.draft);
+    } catch (error) {
+      console.error('Error saving draft:', error);
+    }
+  };
+
+  const selectConversation = async (conversation, { aroundMessageId } = {}) => {
     try {
       setCurrentConversation(conversation);
       setMessages([]);
+      updatePaging(NO_MORE_PAGES);
+      setActiveThread(null);
+      setReplyingTo(null);
+      setPinnedMessages([]);
+      setScheduledMessages([]);
+      setSavedMessageIds(new Set());
+      setComposerDraft(null);
+      lastReadRef.current = conversation?.last_read_message_id || 0;
       
       // Leave previous conversation if any
       if (currentConversation) {
@@ -150,41 +519,698 @@ export const ChatProvider = ({ children }) => {
       // Join new conversation
       if (conversation) {
         joinConversation(conversation.id);
-        const messages = await fetchMessages(conversation.id);
-        setMessages(messages);
+        const [page, pins, scheduled, saved, draft] = await Promise.all([
+          fetchMessages(conversation.id, aroundMessageId ? { around: aroundMessageId } : {}),
+          fetchPins(conversation.id),
+          fetchScheduledMessages(conversation.id),
+          fetchSavedMessageIds(conversation.id),
+          fetchDraft(conversation.id)
+        ]);
+        if (page?.targetId) {
+          showMessagesAround(page);
+        } else if (page) {
+          setMessages(page.messages);
+          updatePaging(pagingFrom(page));
+        }
+        setPinnedMessages(pins);
+        setScheduledMessages(scheduled);
+        setSavedMessageIds(saved);
+        setComposerDraft(draft && { ...draft, conversationId: conversation.id });
+        setDraftInList(conversation.id, draft);
       }
     } catch (error) {
       console.error('Error selecting conversation:', error);
     }
   };
 
-  const sendMessage = async (content, messageType = 'text') => {
-    if (!currentConversation || !content.trim()) return;
+  // Drop a conversation we no longer have access to, closing it if it's open
+  const removeConversation = (conversationId) => {
+    setConversations(prev => prev.filter(conv => conv.id !== conversationId));
+    if (currentConversation?.id === conversationId) {
+      setCurrentConversation(null);
+      setMessages([]);
+      updatePaging(NO_MORE_PAGES);
+      setActiveThread(null);
+    }
+  };
+
+  // Apply a change to a message wherever it's shown: the list, or the open thread
+  const updateMessage = (messageId, updater) => {
+    setMessages(prev => prev.map(m => (m.id === messageId ? updater(m) : m)));
+    setActiveThread(prev => {
+      if (!prev) return prev;
+      return {
+        parent: prev.parent.id === messageId ? updater(prev.parent) : prev.parent,
+        replies: prev.replies.map(r => (r.id === messageId ? updater(r) : r))
+      };
+    });
+  };
+
+  // Swap a message for its "deleted" placeholder, and drop it from its thread's reply count
+  const applyTombstone = (tombstone) => {
+    if (appliedDeletionsRef.current.has(tombstone.id)) return;
+    appliedDeletionsRef.current.add(tombstone.id);
+
+    updateMessage(tombstone.id, existing => ({ ...existing, ...tombstone, reactions: [] }));
+
+    if (tombstone.thread_id) {
+      setMessages(prev => prev.map(m =>
+        m.id === tombstone.thread_id
+          ? { ...m, thread_reply_count: Math.max((m.thread_reply_count || 1) - 1, 0) }
+          : m
+      ));
+    }
+  };
+
+  const removeMessage = (messageId) => {
+    setMessages(prev => prev.filter(m => m.id !== messageId));
+    setActiveThread(prev => {
+      if (!prev) return prev;
+      if (prev.parent.id === messageId) return null;
+      return { ...prev, replies: prev.replies.filter(r => r.id !== messageId) };
+    });
+  };
+
+  // scope is 'everyone' (leaves a placeholder for all participants) or 'me' (hides it just for us)
+  const deleteMessage = async (message, scope = 'everyone') => {
+    try {
+      const response = await axios.delete(`/api/messages/${message.id}`, { params: { scope } });
+
+      if (scope === 'me') {
+        removeMessage(message.id);
+      } else {
+        applyTombstone(response.data.data);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      const errorMessage = error.response?.data?.error || 'Failed to delete message';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Insert a stored message, replacing its optimistic copy or an earlier copy of the same message
+  const upsertMessage = (message) => {
+    setMessages(prev => {
+      const index = prev.findIndex(m =>
+        (message.id && m.id === message.id) ||
+        (message.client_id && m.client_id === message.client_id && m.sender_id === message.sender_id)
+      );
+
+      if (index === -1) {
+        // Looking at older history: the message shows up when paging forward
+        return messagePagingRef.current.hasMoreAfter ? prev : [...prev, message];
+      }
+
+      const next = [...prev];
+      next[index] = message;
+      return next;
+    });
+  };
+
+  // Send over the socket when connected (acknowledged), falling back to REST
+  // Both paths are idempotent on clientId, so falling back after a timeout can't duplicate
+  const deliverMessage = async (conversationId, payload) => {
+    if (isConnected()) {
+      const { content, messageType, ...options } = payload;
+      const ack = await emitMessage(conversationId, content, messageType, options);
+      if (ack?.success) {
+        return ack.message;
+      }
+    }
+
+    const response = await axios.post(`/api/messages/${conversationId}`, payload);
+    return response.data.data;
+  };
+
+  const attemptSend = async (pendingMessage) => {
+    try {
+      const storedMessage = await deliverMessage(pendingMessage.conversation_id, pendingMessage.payload);
+      upsertMessage(storedMessage);
+      return { success: true, message: storedMessage };
+    } catch (error) {
+      console.error('Error sending message:', error);
+      setMessages(prev =>
+        prev.map(m => (m.client_id === pendingMessage.client_id && !m.id ? { ...m, status: 'failed' } : m))
+      );
+      toast.error(error.response?.data?.error || 'Failed to send message');
+      return { success: false, error: error.message };
+    }
+  };
+
+  const sendMessage = async (content, messageType = 'text', format = 'plain') => {
+    if (!currentConversation || !content.trim()) return { success: false };
+
+    const clientId = generateClientId();
+
+    // Optimistic bubble shown until the server confirms the message
+    const pendingMessage = {
+      client_id: clientId,
+      conversation_id: currentConversation.id,
+      sender_id: user.id,
+      sender_name: user.username,
+      sender_avatar: user.avatar_url,
+      content: content.trim(),
+      message_type: messageType,
+      format,
+      reply_to: replyingTo
+        ? { id: replyingTo.id, sender_name: replyingTo.sender_name, content: replyingTo.content, deleted: false }
+        : null,
+      reactions: [],
+      created_at: new Date().toISOString(),
+      status: 'pending',
+      payload: {
+        content: content.trim(),
+        messageType,
+        format,
+        replyToId: replyingTo?.id,
+        clientId
+      }
+    };
+
+    // Sending from older history returns to the latest messages first
+    if (messagePagingRef.current.hasMoreAfter) {
+      await loadLatestMessages();
+    }
+
+    setMessages(prev => [...prev, pendingMessage]);
+    setReplyingTo(null);
+
+    // Update conversation list
+    setConversations(prev => 
+      prev.map(conv => 
+        conv.id === currentConversation.id 
+          ? { ...conv, last_message: content, last_message_time: pendingMessage.created_at }
+          : conv
+      )
+    );
+
+    return attemptSend(pendingMessage);
+  };
+
+  const retryMessage = async (clientId) => {
+    const failedMessage = messages.find(m => m.client_id === clientId && m.status === 'failed');
+    if (!failedMessage) return { success: false };
+
+    setMessages(prev =>
+      prev.map(m => (m.client_id === clientId && !m.id ? { ...m, status: 'pending' } : m))
+    );
+
+    return attemptSend(failedMessage);
+  };
+
+  // Append a reply to the open thread (if it's that thread) and update the parent's summary
+  const addThreadReply = (threadId, reply) => {
+    if (countedRepliesRef.current.has(reply.id)) return;
+    countedRepliesRef.current.add(reply.id);
+
+    setActiveThread(prev => {
+      if (!prev || prev.parent.id !== threadId || prev.replies.some(r => r.id === reply.id)) {
+        return prev;
+      }
+      return { ...prev, replies: [...prev.replies, reply] };
+    });
+
+    setMessages(prev =>
+      prev.map(message =>
+        message.id === threadId
+          ? {
+              ...message,
+              thread_reply_count: (message.thread_reply_count || 0) + 1,
+              thread_last_reply_at: reply.created_at
+            }
+          : message
+      )
+    );
+  };
+
+  const openThread = async (messageId) => {
+    try {
+      const response = await axios.get(`/api/messages/${messageId}/thread`);
+      setActiveThread({
+        parent: response.data.parent,
+        replies: response.data.replies
+      });
+    } catch (error) {
+      console.error('Error fetching thread:', error);
+      toast.error('Failed to load thread');
+    }
+  };
+
+  const closeThread = () => {
+    setActiveThread(null);
+  };
+
+  const sendThreadReply = async (content) => {
+    if (!currentConversation || !activeThread || !content.trim()) return;
 
     try {
       const response = await axios.post(`/api/messages/${currentConversation.id}`, {
         content: content.trim(),
-        messageType
+        threadId: activeThread.parent.id,
+        clientId: generateClientId()
+      });
+
+      addThreadReply(activeThread.parent.id, response.data.data);
+      return { success: true, message: response.data.data };
+    } catch (error) {
+      console.error('Error sending thread reply:', error);
+      toast.error('Failed to send reply');
+      return { success: false, error: error.message };
+    }
+  };
+
+  const markConversationRead = async (conversationId, messageId) => {
+    // Prefer the socket; fall back to REST when it's not connected
+    if (!markRead(conversationId, messageId)) {
+      try {
+        await axios.post(`/api/conversations/${conversationId}/read`, { messageId });
+      } catch (error) {
+        console.error('Error marking conversation as read:', error);
+        return;
+      }
+    }
+
+    setConversations(prev =>
+      prev.map(conv =>
+        conv.id === conversationId
+          ? { ...conv, unread_count: 0, last_read_message_id: messageId }
+          : conv
+      )
+    );
+  };
+
+  // Add our reaction, or remove it if we've already reacted with that emoji
+  const toggleReaction = async (message, reaction) => {
+    const hasReacted = message.reactions?.some(r => r.reaction === reaction && r.users?.includes(user.username));
+
+    try {
+      const response = hasReacted
+        ? await axios.delete(`/api/messages/${message.id}/reactions/${encodeURIComponent(reaction)}`)
+        : await axios.post(`/api/messages/${message.id}/reactions`, { reaction });
+
+      updateMessage(message.id, existing => ({ ...existing, reactions: response.data.reactions }));
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+      toast.error(error.response?.data?.error || 'Failed to update reaction');
+      return { success: false };
+    }
+  };
+
+  const pinMessage = async (messageId) => {
+    if (!currentConversation) return { success: false };
+
+    try {
+      const response = await axios.post(`/api/conversations/${currentConversation.id}/pins`, { messageId });
+      const pin = response.data.pin;
+      setPinnedMessages(prev =>
+        prev.some(p => p.message_id === pin.message_id) ? prev : [pin, ...prev]
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('Error pinning message:', error);
+      toast.error(error.response?.data?.error || 'Failed to pin message');
+      return { success: false };
+    }
+  };
+
+  const unpinMessage = async (messageId) => {
+    if (!currentConversation) return { success: false };
+
+    try {
+      await axios.delete(`/api/conversations/${currentConversation.id}/pins/${messageId}`);
+      setPinnedMessages(prev => prev.filter(pin => pin.message_id !== messageId));
+      return { success: true };
+    } catch (error) {
+      console.error('Error unpinning message:', error);
+      toast.error(error.response?.data?.error || 'Failed to unpin message');
+      return { success: false };
+    }
+  };
+
+  // Highlight a message in the open conversation (the list scrolls to it),
+  // loading the messages around it first when it isn't loaded
+  const jumpToMessage = async (messageId) => {
+    if (messages.some(m => m.id === messageId)) {
+      highlightMessage(messageId);
+      return { success: true };
+    }
+
+    if (!currentConversation) return { success: false };
+
+    const page = await fetchMessages(currentConversation.id, { around: messageId });
+    if (!page) return { success: false };
+
+    showMessagesAround(page);
+    return { success: true };
+  };
+
+  // Open a message in any conversation (permalinks, saved items)
+  const openMessage = async (conversationId, messageId) => {
+    if (currentConversation?.id === conversationId) {
+      return jumpToMessage(messageId);
+    }
+
+    const conversation = conversations.find(conv => conv.id === conversationId);
+    if (!conversation) {
+      toast.error('Conversation not found');
+      return { success: false };
+    }
+
+    await selectConversation(conversation, { aroundMessageId: messageId });
+    return { success: true };
+  };
+
+  const loadOlderMessages = async () => {
+    const { hasMoreBefore, beforeCursor } = messagePagingRef.current;
+    if (!currentConversation || !hasMoreBefore || !beforeCursor) return;
+
+    const conversationId = currentConversation.id;
+    const page = await fetchMessages(conversationId, { before: beforeCursor });
+    if (!page || messagePagingRef.current.beforeCursor !== beforeCursor) return;
+
+    setMessages(prev => [...page.messages.filter(m => !prev.some(existing => existing.id === m.id)), ...prev]);
+    updatePaging(prev => ({
+      ...prev,
+      hasMoreBefore: page.pagination.hasMoreBefore,
+      beforeCursor: page.pagination.beforeCursor || prev.beforeCursor
+    }));
+  };
+
+  const loadNewerMessages = async () => {
+    const { hasMoreAfter, afterCursor } = messagePagingRef.current;
+    if (!currentConversation || !hasMoreAfter || !afterCursor) return;
+
+    const conversationId = currentConversation.id;
+    const page = await fetchMessages(conversationId, { after: afterCursor });
+    if (!page || messagePagingRef.current.afterCursor !== afterCursor) return;
+
+    setMessages(prev => [...prev, ...page.messages.filter(m => !prev.some(existing => existing.id === m.id))]);
+    updatePaging(prev => ({
+      ...prev,
+      hasMoreAfter: page.pagination.hasMoreAfter,
+      afterCursor: page.pagination.afterCursor || prev.afterCursor
+    }));
+  };
+
+  // Leave older history and show the most recent messages
+  const loadLatestMessages = async () => {
+    if (!currentConversation) return;
+
+    const page = await fetchMessages(currentConversation.id);
+    if (!page) return;
+
+    setMessages(page.messages);
+    updatePaging(pagingFrom(page));
+  };
+
+  // One page of mentions, newest first; pass the returned nextCursor for the next page
+  const fetchMentions = async (cursor = null) => {
+    try {
+      const response = await axios.get('/api/users/me/mentions', { params: { ...(cursor && { cursor }) } });
+      const { mentions, pagination } = response.data;
+      return { mentions, nextCursor: pagination.nextCursor };
+    } catch (error) {
+      console.error('Error fetching mentions:', error);
+      toast.error('Failed to load mentions');
+      return { mentions: [], nextCursor: null };
+    }
+  };
+
+  // Load the saved items list; with a cursor the next page is appended
+  const loadSavedItems = async (cursor = null) => {
+    try {
+      const response = await axios.get('/api/users/me/saved', { params: { ...(cursor && { cursor }) } });
+      const { saved, pagination } = response.data;
+      setSavedItems(prev => (cursor ? [...prev, ...saved] : saved));
+      return { success: true, nextCursor: pagination.nextCursor };
+    } catch (error) {
+      console.error('Error fetching saved messages:', error);
+      toast.error('Failed to load saved items');
+      return { success: false, nextCursor: null };
+    }
+  };
+
+  // New saves go to the top; a changed note updates the item in place
+  const applySavedItem = (item) => {
+    setSavedItems(prev => (
+      prev.some(existing => existing.message_id === item.message_id)
+        ? prev.map(existing => (existing.message_id === item.message_id ? item : existing))
+        : [item, ...prev]
+    ));
+    if (item.conversation_id === currentConversation?.id) {
+      setSavedMessageIds(prev => new Set(prev).add(item.message_id));
+    }
+  };
+
+  const removeSavedItem = (messageId) => {
+    setSavedItems(prev => prev.filter(item => item.message_id !== messageId));
+    setSavedMessageIds(prev => {
+      const next = new Set(prev);
+      next.delete(messageId);
+      return next;
+    });
+  };
+
+  const saveMessage = async (messageId, note = null) => {
+    try {
+      const response = await axios.post('/api/users/me/saved', { messageId, note });
+      applySavedItem(response.data.saved);
+      return { success: true, saved: response.data.saved };
+    } catch (error) {
+      console.error('Error saving message:', error);
+      toast.error(error.response?.data?.error || 'Failed to save message');
+      return { success: false };
+    }
+  };
+
+  const unsaveMessage = async (messageId) => {
+    try {
+      await axios.delete(`/api/users/me/saved/${messageId}`);
+      removeSavedItem(messageId);
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing saved message:', error);
+      toast.error(error.response?.data?.error || 'Failed to remove saved message');
+      return { success: false };
+    }
+  };
+
+  const fetchMessageHistory = async (messageId) => {
+    try {
+      const response = await axios.get(`/api/messages/${messageId}/history`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching message history:', error);
+      toast.error(error.response?.data?.error || 'Failed to load edit history');
+      return null;
+    }
+  };
+
+  const scheduleMessage = async (content, scheduledAt, format = 'plain') => {
+    if (!currentConversation || !content.trim()) return { success: false };
+
+    try {
+      const response = await axios.post('/api/scheduled-messages', {
+        conversationId: currentConversation.id,
+        content: content.trim(),
+        format,
+        scheduledAt: scheduledAt.toISOString()
+      });
+      const scheduled = response.data.scheduledMessage;
+      setScheduledMessages(prev =>
+        [...prev.filter(item => item.id !== scheduled.id), scheduled]
+          .sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at))
+      );
+      toast.success('Message scheduled');
+      return { success: true, scheduledMessage: scheduled };
+    } catch (error) {
+      console.error('Error scheduling message:', error);
+      const details = error.response?.data?.details;
+      toast.error(details?.[0]?.msg || error.response?.data?.error || 'Failed to schedule message');
+      return { success: false };
+    }
+  };
+
+  const cancelScheduledMessage = async (scheduledId) => {
+    try {
+      await axios.delete(`/api/scheduled-messages/${scheduledId}`);
+      setScheduledMessages(prev => prev.filter(item => item.id !== scheduledId));
+      return { success: true };
+    } catch (error) {
+      console.error('Error cancelling scheduled message:', error);
+      toast.error(error.response?.data?.error || 'Failed to cancel scheduled message');
+      return { success: false };
+    }
+  };
+
+  const removeLinkPreview = async (message, url) => {
+    try {
+      const response = await axios.delete(`/api/messages/${message.id}/link-previews`, { params: { url } });
+      const updated = response.data.data;
+      updateMessage(updated.id, existing => ({ ...existing, ...updated }));
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing link preview:', error);
+      toast.error(error.response?.data?.error || 'Failed to remove preview');
+      return { success: false };
+    }
+  };
+
+  const updateConversation = async (conversationId, settings) => {
+    try {
+      const response = await axios.put(`/api/conversations/${conversationId}`, settings);
+      const updated = response.data.conversation;
+
+      const applyUpdate = (conv) => (conv.id === updated.id ? { ...conv, ...updated } : conv);
+      setConversations(prev => prev.map(applyUpdate));
+      setCurrentConversation(prev => prev && applyUpdate(prev));
+
+      toast.success('Conversation updated');
+      return { success: true, conversation: updated };
+    } catch (error) {
+      console.error('Error updating conversation:', error);
+      const message = error.response?.data?.error || 'Failed to update conversation';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const startReply = (message) => {
+    setReplyingTo(message);
+  };
+
+  const cancelReply = () => {
+    setReplyingTo(null);
+  };
+
+  const createPoll = async (question, { options, allowMultiple = false, anonymous = false, closesAt = null }) => {
+    if (!currentConversation) return { success: false };
+
+    try {
+      const response = await axios.post(`/api/messages/${currentConversation.id}`, {
+        content: question.trim(),
+        messageType: 'poll',
+        clientId: generateClientId(),
+        poll: {
+          options,
+          allowMultiple,
+          anonymous,
+          closesAt: closesAt ? closesAt.toISOString() : null
+        }
+      });
+
+      const newMessage = response.data.data;
+      upsertMessage(newMessage);
+
+      setConversations(prev =>
+        prev.map(conv =>
+          conv.id === currentConversation.id
+            ? { ...conv, last_message: newMessage.content, last_message_time: newMessage.created_at }
+            : conv
+        )
+      );
+
+      return { success: true, message: newMessage };
+    } catch (error) {
+      console.error('Error creating poll:', error);
+      const details = error.response?.data?.details;
+      toast.error(details?.[0]?.msg || error.response?.data?.error || 'Failed to create poll');
+      return { success: false };
+    }
+  };
+
+  // optionIds replaces our previous votes; an empty list retracts them
+  const votePoll = async (message, optionIds) => {
+    try {
+      const response = await axios.post(`/api/messages/${message.id}/votes`, { optionIds });
+      updateMessage(message.id, existing => ({ ...existing, poll: response.data.poll }));
+      return { success: true };
+    } catch (error) {
+      console.error('Error voting in poll:', error);
+      toast.error(error.response?.data?.error || 'Failed to record vote');
+      return { success: false };
+    }
+  };
+
+  const fetchForwardLimits = async () => {
+    try {
+      const response = await axios.get('/api/messages/forward/limits');
+      setForwardLimits(response.data);
+    } catch (error) {
+      // The server still enforces the limits; the UI just can't cap selections early
+      console.error('Error fetching forward limits:', error);
+    }
+  };
+
+  const forwardMessages = async (messageIds, conversationIds) => {
+    try {
+      const response = await axios.post('/api/messages/forward', { messageIds, conversationIds });
+      const forwarded = response.data.messages;
+
+      forwarded
+        .filter(message => message.conversation_id === currentConversation?.id)
+        .forEach(upsertMessage);
+
+      setConversations(prev =>
+        prev.map(conv => {
+          const latest = forwarded.filter(message => message.conversation_id === conv.id).pop();
+          return latest
+            ? { ...conv, last_message: latest.content, last_message_time: latest.created_at }
+            : conv;
+        })
+      );
+
+      toast.success(conversationIds.length === 1 ? 'Forwarded' : `Forwarded to ${conversationIds.length} conversations`);
+      return { success: true, messages: forwarded };
+    } catch (error) {
+      console.error('Error forwarding messages:', error);
+      toast.error(error.response?.data?.error || 'Failed to forward messages');
+      return { success: false };
+    }
+  };
+
+  const uploadFile = async (file, caption = '', onProgress) => {
+    if (!currentConversation || !file) return { success: false };
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('clientId', generateClientId());
+      if (caption.trim()) {
+        formData.append('content', caption.trim());
+      }
+
+      const response = await axios.post(`/api/messages/${currentConversation.id}/attachments`, formData, {
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) {
+            onProgress(Math.round((event.loaded * 100) / event.total));
+          }
+        }
       });
 
       // Add message to local state
       const newMessage = response.data.data;
-      setMessages(prev => [...prev, newMessage]);
+      upsertMessage(newMessage);
 
       // Update conversation list
       setConversations(prev => 
         prev.map(conv => 
           conv.id === currentConversation.id 
-            ? { ...conv, last_message: content, last_message_time: new Date().toISOString() }
+            ? { ...conv, last_message: caption.trim() || file.name, last_message_time: new Date().toISOString() }
             : conv
         )
       );
 
       return { success: true, message: newMessage };
     } catch (error) {
-      console.error('Error sending message:', error);
-      toast.error('Failed to send message');
-      return { success: false, error: error.message };
+      console.error('Error uploading file:', error);
+      const message = error.response?.data?.error || 'Failed to upload file';
+      toast.error(message);
+      return { success: false, error: message };
     }
   };
 
@@ -229,6 +1255,41 @@ export const ChatProvider = ({ children }) => {
     }
   };
 
+  // Search every conversation; filter mistakes come back as an error for the search box to show
+  // Later pages pass back the match mode of the first, so a fuzzy fallback keeps paging fuzzily
+  const searchAllMessages = async (query, cursor = null, matchMode = null) => {
+    try {
+      const response = await axios.get('/api/search', {
+        params: { q: query, ...(cursor && { cursor }), ...(matchMode && { match_mode: matchMode }) }
+      });
+      const { results, pagination } = response.data;
+      return {
+        success: true,
+        results,
+        hasMore: pagination.hasMore,
+        nextCursor: pagination.nextCursor,
+        matchMode: pagination.matchMode
+      };
+    } catch (error) {
+      console.error('Error searching all messages:', error);
+      if (error.response?.status !== 400) {
+        toast.error('Failed to search messages');
+      }
+      return { success: false, error: error.response?.data?.error || 'Search failed' };
+    }
+  };
+
+  // Quick switcher: people and conversations, best match first
+  const quickSearch = async (query) => {
+    try {
+      const response = await axios.get('/api/search/quick', { params: { q: query } });
+      return { success: true, results: response.data.results };
+    } catch (error) {
+      console.error('Error running quick search:', error);
+      return { success: false, error: error.response?.data?.error || 'Search failed' };
+    }
+  };
+
   const updateUserStatus = (status) => {
     // This will be handled by the socket context
     // but we can update local state immediately for better UX
@@ -247,13 +1308,54 @@ export const ChatProvider = ({ children }) => {
     conversations,
     currentConversation,
     messages,
+    activeThread,
+    replyingTo,
+    pinnedMessages,
+    highlightedMessageId,
+    forwardLimits,
     loading,
     typingUsers,
     onlineUsers,
     selectConversation,
     sendMessage,
+    retryMessage,
+    deleteMessage,
+    toggleReaction,
+    pinMessage,
+    unpinMessage,
+    jumpToMessage,
+    openMessage,
+    messagePaging,
+    loadOlderMessages,
+    loadNewerMessages,
+    loadLatestMessages,
+    uploadFile,
+    createPoll,
+    votePoll,
+    forwardMessages,
+    startReply,
+    cancelReply,
+    openThread,
+    closeThread,
+    sendThreadReply,
     createConversation,
+    updateConversation,
+    fetchMessageHistory,
+    removeLinkPreview,
+    savedItems,
+    savedMessageIds,
+    loadSavedItems,
+    saveMessage,
+    unsaveMessage,
+    scheduledMessages,
+    scheduleMessage,
+    cancelScheduledMessage,
+    composerDraft,
+    saveDraft,
+    fetchMentions,
     searchMessages,
+    searchAllMessages,
+    quickSearch,
     updateUserStatus,
     fetchConversations,
     fetchMessages
@@ -18,6 +18,7 @@ export const SocketProvider = ({ children }) => {
   const socketRef = useRef(null);
   const reconnectAttempts = useRef(0);
   const maxReconnectAttempts = 5;
+  const ackTimeout = 10000;
 
   useEffect(() => {
     if (isAuthenticated && token && !socketRef.current) {
@@ -107,14 +108,47 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
-  const sendMessage = (conversationId, content, messageType = 'text') => {
-    if (socketRef.current && socketRef.current.connected) {
-      socketRef.current.emit('send_message', {
+  // Resolves with the server's ack: { success: true, message } or { success: false, error }
+  const sendMessage = (conversationId, content, messageType = 'text', options = {}) => {
+    return new Promise((resolve) => {
+      if (!socketRef.current || !socketRef.current.connected) {
+        resolve({ success: false, error: 'Not connected to chat server' });
+        return;
+      }
+
+      socketRef.current.timeout(ackTimeout).emit('send_message', {
         conversationId,
         content,
-        messageType
+        messageType,
+        ...options
+      }, (error, response) => {
+        if (error) {
+          resolve({ success: false, error: 'Timed out waiting for chat server' });
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  };
+
+  const markDelivered = (conversationId, messageId) => {
+    if (socketRef.current && socketRef.current.connected) {
+      socketRef.current.emit('message_delivered', {
+        conversationId,
+        messageId
+      });
+    }
+  };
+
+  const markRead = (conversationId, messageId) => {
+    if (socketRef.current && socketRef.current.connected) {
+      socketRef.current.emit('mark_read', {
+        conversationId,
+        messageId
       });
+      return true;
     }
+    return false;
   };
 
   const startTyping = (conversationId) => {
@@ -165,6 +199,18 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  const onReadReceipt = (callback) => {
+    if (socketRef.current) {
+      socketRef.current.on('read_receipt', callback);
+    }
+  };
+
+  const onDeliveryReceipt = (callback) => {
+    if (socketRef.current) {
+      socketRef.current.on('delivery_receipt', callback);
+    }
+  };
+
   const onConversationJoined = (callback) => {
     if (socketRef.current) {
       socketRef.current.on('conversation_joined', callback);
@@ -207,6 +253,18 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  const offReadReceipt = () => {
+    if (socketRef.current) {
+      socketRef.current.off('read_receipt');
+    }
+  };
+
+  const offDeliveryReceipt = () => {
+    if (socketRef.current) {
+      socketRef.current.off('delivery_receipt');
+    }
+  };
+
   const offConversationJoined = () => {
     if (socketRef.current) {
       socketRef.current.off('conversation_joined');
@@ -219,6 +277,19 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  // Generic subscription for server events that don't need a dedicated helper
+  const onEvent = (event, callback) => {
+    if (socketRef.current) {
+      socketRef.current.on(event, callback);
+    }
+  };
+
+  const offEvent = (event, callback) => {
+    if (socketRef.current) {
+      socketRef.current.off(event, callback);
+    }
+  };
+
   const isConnected = () => {
     return socketRef.current && socketRef.current.connected;
   };
@@ -229,6 +300,8 @@ export const SocketProvider = ({ children }) => {
     joinConversation,
     leaveConversation,
     sendMessage,
+    markDelivered,
+    markRead,
     startTyping,
     stopTyping,
     updateStatus,
@@ -237,6 +310,8 @@ export const SocketProvider = ({ children }) => {
     onUserTyping,
     onUserStoppedTyping,
     onUserStatusChanged,
+    onReadReceipt,
+    onDeliveryReceipt,
     onConversationJoined,
     onConversationLeft,
     offNewMessage,
@@ -244,8 +319,12 @@ export const SocketProvider = ({ children }) => {
     offUserTyping,
     offUserStoppedTyping,
     offUserStatusChanged,
+    offReadReceipt,
+    offDeliveryReceipt,
     offConversationJoined,
-    offConversationLeft
+    offConversationLeft,
+    onEvent,
+    offEvent
   };
 
   return (
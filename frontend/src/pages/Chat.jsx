@@ -1,15 +1,62 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useChat } from '../context/ChatContext';
 import Sidebar from '../components/Sidebar';
 import ChatWindow from '../components/ChatWindow';
 import NewConversationModal from '../components/NewConversationModal';
+import SavedMessagesPanel from '../components/SavedMessagesPanel';
+import SearchPanel from '../components/SearchPanel';
+import QuickSwitcher from '../components/QuickSwitcher';
 
 const Chat = () => {
   const { user, logout } = useAuth();
-  const { currentConversation } = useChat();
+  const { conversations, currentConversation, openMessage } = useChat();
+  // Set when opened through a message permalink (/chat/:conversationId/m/:messageId)
+  const { conversationId, messageId } = useParams();
+  const navigate = useNavigate();
   const [showNewConversation, setShowNewConversation] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(true);
+  // 'saved' or 'search' replaces the conversation with that panel
+  const [panel, setPanel] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showQuickSwitcher, setShowQuickSwitcher] = useState(false);
+
+  // Picking a conversation in the sidebar leaves the saved items and search views
+  useEffect(() => {
+    setPanel(null);
+  }, [currentConversation?.id]);
+
+  const togglePanel = (name) => {
+    setPanel(prev => (prev === name ? null : name));
+  };
+
+  const handleSearchMessages = (query = '') => {
+    setSearchQuery(query);
+    setPanel('search');
+  };
+
+  // Ctrl+K (Cmd+K on Mac) toggles the quick switcher from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowQuickSwitcher(prev => !prev);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Open a permalinked message once the conversations have loaded
+  useEffect(() => {
+    if (!conversationId || !messageId || conversations.length === 0) return;
+
+    openMessage(parseInt(conversationId), parseInt(messageId)).then(() => {
+      navigate('/chat', { replace: true });
+    });
+  }, [conversationId, messageId, conversations.length]);
 
   const handleLogout = () => {
     logout();
@@ -22,13 +69,22 @@ const Chat = () => {
         isOpen={sidebarOpen}
         onToggle={() => setSidebarOpen(!sidebarOpen)}
         onCreateConversation={() => setShowNewConversation(true)}
+        onShowSaved={() => togglePanel('saved')}
+        showingSaved={panel === 'saved'}
+        onSearchMessages={handleSearchMessages}
+        showingSearch={panel === 'search'}
+        onQuickSwitch={() => setShowQuickSwitcher(true)}
         onLogout={handleLogout}
         user={user}
       />
 
       {/* Main Chat Area */}
       <div className="flex-1 flex flex-col">
-        {currentConversation ? (
+        {panel === 'saved' ? (
+          <SavedMessagesPanel onClose={() => setPanel(null)} />
+        ) : panel === 'search' ? (
+          <SearchPanel key={searchQuery} initialQuery={searchQuery} onClose={() => setPanel(null)} />
+        ) : currentConversation ? (
           <ChatWindow 
             conversation={currentConversation}
             onToggleSidebar={() => setSidebarOpen(!sidebarOpen)}
@@ -61,6 +117,14 @@ const Chat = () => {
           onClose={() => setShowNewConversation(false)}
         />
       )}
+
+      {/* Quick Switcher */}
+      {showQuickSwitcher && (
+        <QuickSwitcher
+          isOpen={showQuickSwitcher}
+          onClose={() => setShowQuickSwitcher(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { START_INDEX, messageKey, buildListItems, nextListWindow, countNewMessages } from '../messageList';
+
+// Local times, so days don't depend on the machine's time zone
+const message = (id, createdAt, fields = {}) => ({ id, created_at: createdAt, sender_id: 2, ...fields });
+
+const FIRST_WINDOW = { firstKey: null, firstOffset: 0, lastKey: null, firstItemIndex: START_INDEX, generation: 0 };
+
+const keys = (items) => items.map(item => item.key);
+
+describe('messageKey', () => {
+  it('prefers the client ID so a sent message keeps its row', () => {
+    expect(messageKey({ id: 5, client_id: 'abc' })).toBe('abc');
+    expect(messageKey({ id: 5, client_id: null })).toBe(5);
+    expect(messageKey(undefined)).toBeUndefined();
+  });
+});
+
+describe('buildListItems', () => {
+  it('puts a separator before the first message of each day', () => {
+    const items = buildListItems([
+      message(1, '2024-05-01T09:00:00'),
+      message(2, '2024-05-01T23:59:00'),
+      message(3, '2024-05-02T00:01:00')
+    ]);
+
+    expect(keys(items)).toEqual(['day-2024-05-01', 'message-1', 'message-2', 'day-2024-05-02', 'message-3']);
+    expect(items[0].date).toEqual(new Date('2024-05-01T09:00:00'));
+  });
+
+  it('returns nothing for no messages', () => {
+    expect(buildListItems([])).toEqual([]);
+  });
+});
+
+describe('nextListWindow', () => {
+  const page = buildListItems([message(10, '2024-05-02T09:00:00'), message(11, '2024-05-02T10:00:00')]);
+  const first = nextListWindow(FIRST_WINDOW, page);
+
+  it('starts a new list at the start index', () => {
+    expect(first).toEqual({
+      firstKey: 'message-10',
+      firstOffset: 1,
+      lastKey: 'message-11',
+      firstItemIndex: START_INDEX,
+      generation: 1
+    });
+  });
+
+  it('moves the first index up by everything an older page adds, separators included', () => {
+    const withOlder = buildListItems([
+      message(8, '2024-05-01T09:00:00'),
+      message(9, '2024-05-01T10:00:00'),
+      message(10, '2024-05-02T09:00:00'),
+      message(11, '2024-05-02T10:00:00')
+    ]);
+
+    const next = nextListWindow(first, withOlder);
+
+    // Two messages and a day separator went in above message 10
+    expect(next.firstItemIndex).toBe(START_INDEX - 3);
+    expect(next.generation).toBe(first.generation);
+  });
+
+  it('counts an older page on the same day without a new separator', () => {
+    const withOlder = buildListItems([message(9, '2024-05-02T08:00:00'), ...page.slice(1).map(item => item.message)]);
+
+    expect(nextListWindow(first, withOlder).firstItemIndex).toBe(START_INDEX - 1);
+  });
+
+  it('keeps the index when newer messages are added below', () => {
+    const withNewer = buildListItems([...page.slice(1).map(item => item.message), message(12, '2024-05-03T09:00:00')]);
+
+    expect(nextListWindow(first, withNewer)).toMatchObject({ firstItemIndex: START_INDEX, generation: first.generation });
+  });
+
+  it('keeps the list when its first message is trimmed but the rest remain', () => {
+    const trimmed = buildListItems([message(11, '2024-05-02T10:00:00')]);
+
+    expect(nextListWindow(first, trimmed).generation).toBe(first.generation);
+  });
+
+  it('starts over when the list is replaced by another page', () => {
+    const elsewhere = buildListItems([message(50, '2024-06-01T09:00:00')]);
+    const moved = nextListWindow({ ...first, firstItemIndex: START_INDEX - 40 }, elsewhere);
+
+    expect(moved.firstItemIndex).toBe(START_INDEX);
+    expect(moved.generation).toBe(first.generation + 1);
+  });
+});
+
+describe('countNewMessages', () => {
+  const messages = [
+    message(1, '2024-05-01T09:00:00'),
+    message(2, '2024-05-01T09:01:00', { sender_id: 1 }),
+    message(3, '2024-05-01T09:02:00'),
+    message(null, '2024-05-01T09:03:00', { client_id: 'pending-1', sender_id: 1 })
+  ];
+
+  it("counts other people's messages after the previous last one", () => {
+    expect(countNewMessages(messages, 1, 1)).toBe(1);
+    expect(countNewMessages(messages, 1, 3)).toBe(3);
+  });
+
+  it('finds the previous last message by its client ID', () => {
+    expect(countNewMessages([...messages, message(4, '2024-05-01T09:04:00')], 'pending-1', 1)).toBe(1);
+  });
+
+  it('counts nothing when the previous last message is no longer loaded', () => {
+    expect(countNewMessages(messages, 99, 1)).toBe(0);
+  });
+});
@@ -0,0 +1,14 @@
+/**
+ * Display name for a conversation: its name, or the other participants for direct chats
+ * @param {Object} conversation - Conversation with participants
+ * @param {number} currentUserId - Current user's ID
+ * @returns {string} Name to show
+ */
+export const getConversationName = (conversation, currentUserId) => {
+  if (conversation?.name) {
+    return conversation.name;
+  }
+
+  const others = (conversation?.participants || []).filter(p => p.id !== currentUserId);
+  return others.map(p => p.username).join(', ') || 'Unknown';
+};
@@ -0,0 +1,20 @@
+/**
+ * Format a byte count for display (e.g. 1536 -> "1.5 KB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unitIndex = 0;
+
+  while (size >= 1024 && unitIndex < units.length - 1) {
+    size /= 1024;
+    unitIndex++;
+  }
+
+  return `${size.toFixed(size < 10 ? 1 : 0)} ${units[unitIndex]}`;
+};
@@ -0,0 +1,35 @@
+// Same token rules as the server: @username (letters, numbers, underscores), @here and @all
+const MENTION_PATTERN = /(?<![\w@])@([a-zA-Z0-9_]{1,50})/g;
+
+export const BROADCAST_MENTIONS = ['here', 'all'];
+
+// Split text into plain strings and { mention } parts for rendering
+export const splitMentions = (text = '') => {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push(text.slice(lastIndex, match.index));
+    }
+    parts.push({ mention: match[1] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    parts.push(text.slice(lastIndex));
+  }
+
+  return parts;
+};
+
+// The partial @mention being typed just before the caret, if any
+export const getMentionQuery = (text, caret) => {
+  const match = /(?:^|[^\w@])@([a-zA-Z0-9_]*)$/.exec(text.slice(0, caret));
+  if (!match) return null;
+
+  return {
+    query: match[1],
+    start: caret - match[1].length - 1
+  };
+};
@@ -0,0 +1,78 @@
+import { format } from 'date-fns';
+
+// Virtuoso's index of the first item; it counts down as older pages are prepended
+export const START_INDEX = 1000000;
+
+/**
+ * Stable key for a message: its client ID while pending, so the row survives the server's reply
+ * @param {Object} message - Message
+ * @returns {string|number|undefined} Key
+ */
+export const messageKey = (message) => message && (message.client_id || message.id);
+
+/**
+ * List items for messages, with a separator before the first message of each day
+ * @param {Array} messages - Messages in chronological order
+ * @returns {Array} Items of type 'day' (with date) or 'message' (with message)
+ */
+export const buildListItems = (messages) => {
+  const list = [];
+  let lastDay = null;
+
+  messages.forEach(message => {
+    const date = new Date(message.created_at);
+    const day = format(date, 'yyyy-MM-dd');
+    if (day !== lastDay) {
+      list.push({ type: 'day', key: `day-${day}`, date });
+      lastDay = day;
+    }
+    list.push({ type: 'message', key: `message-${messageKey(message)}`, message });
+  });
+
+  return list;
+};
+
+/**
+ * Where the list starts after its items change; a new generation means it was replaced outright
+ * @param {Object} previous - Window from the previous render
+ * @param {Array} items - New list items
+ * @returns {Object} Window (firstKey, firstOffset, lastKey, firstItemIndex, generation)
+ */
+export const nextListWindow = (previous, items) => {
+  const firstMessage = items.findIndex(item => item.type === 'message');
+  const next = {
+    firstKey: items[firstMessage]?.key ?? null,
+    firstOffset: firstMessage,
+    lastKey: items[items.length - 1]?.key ?? null,
+    firstItemIndex: previous.firstItemIndex,
+    generation: previous.generation
+  };
+
+  const previousFirstAt = items.findIndex(item => item.key === previous.firstKey);
+  if (previousFirstAt !== -1) {
+    next.firstItemIndex -= previousFirstAt - previous.firstOffset;
+  } else if (!items.some(item => item.key === previous.lastKey)) {
+    next.firstItemIndex = START_INDEX;
+    next.generation += 1;
+  }
+
+  return next;
+};
+
+/**
+ * Count messages from others that arrived after the previous last message
+ * @param {Array} messages - Messages in chronological order
+ * @param {string|number} previousLastKey - Key of the last message before the update
+ * @param {number} currentUserId - Current user's ID
+ * @returns {number} New messages, or 0 when the previous last message is gone
+ */
+export const countNewMessages = (messages, previousLastKey, currentUserId) => {
+  const previousLastAt = messages.findIndex(message => messageKey(message) === previousLastKey);
+  if (previousLastAt === -1) {
+    return 0;
+  }
+
+  return messages
+    .slice(previousLastAt + 1)
+    .filter(message => message.sender_id !== currentUserId).length;
+};
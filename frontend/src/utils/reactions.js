@@ -0,0 +1,3 @@
+// Emoji offered in the reaction picker
+// Must match the server's allowed list in backend/config/reactions.js
+export const REACTIONS = ['👍', '👎', '❤️', '😂', '😮', '😢', '🎉', '🙏', '🔥', '👀'];
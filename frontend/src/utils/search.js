@@ -0,0 +1,65 @@
+// The server marks matches in search headlines with these private-use characters
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+
+// Text search configurations a conversation can use; keep in sync with backend/config/searchLanguages.js
+export const SEARCH_LANGUAGES = [
+  'simple',
+  'arabic',
+  'danish',
+  'dutch',
+  'english',
+  'finnish',
+  'french',
+  'german',
+  'greek',
+  'hungarian',
+  'indonesian',
+  'irish',
+  'italian',
+  'lithuanian',
+  'nepali',
+  'norwegian',
+  'portuguese',
+  'romanian',
+  'russian',
+  'spanish',
+  'swedish',
+  'tamil',
+  'turkish'
+];
+
+export const SEARCH_FILTER_HINTS = [
+  'from:username',
+  'in:conversation',
+  'before:2024-01-31',
+  'after:2024-01-01',
+  'has:file',
+  'has:link',
+  'is:pinned'
+];
+
+// Split a headline into plain strings and { match } parts for rendering
+export const splitHighlights = (headline = '') => {
+  const parts = [];
+  let inMatch = false;
+  let current = '';
+
+  for (const char of headline) {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_END) {
+      if (current) {
+        parts.push(inMatch ? { match: current } : current);
+      }
+      current = '';
+      inMatch = char === HIGHLIGHT_START;
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) {
+    parts.push(inMatch ? { match: current } : current);
+  }
+
+  return parts;
+};